@@ -9,8 +9,10 @@ const CORE_ASSETS = [
   // sprite atlases
   '/assets/sprites/shipsandufos.json',
   '/assets/sprites/shipsandufos.png',
+  '/assets/sprites/shipsandufos.hulls.json',
   '/assets/sprites/Meteors/meteors.json',
   '/assets/sprites/Meteors/meteors.png',
+  '/assets/sprites/Meteors/meteors.hulls.json',
 
   // add others as needed
 ];
@@ -15,6 +15,8 @@ const DEFAULT_SFX_VOLUMES = {
   shieldDown: 1.0,
   asteroidHit: 0.5,
   ufoLaser: 1.0,
+  hyperspace: 1.0,
+  ufoExplosion: 1.0,
 };
 
 /**
@@ -64,6 +66,8 @@ export class AudioManager {
       shieldDown: readVolume(sfxConfig, ['shieldDown', 'SHIELD_DOWN', 'playerHit', 'PLAYER_HIT'], DEFAULT_SFX_VOLUMES.shieldDown),
       asteroidHit: readVolume(sfxConfig, ['asteroidHit', 'ASTEROID_HIT'], DEFAULT_SFX_VOLUMES.asteroidHit),
       ufoLaser: readVolume(sfxConfig, ['ufoLaser', 'UFO_LASER', 'ufo', 'UFO'], DEFAULT_SFX_VOLUMES.ufoLaser),
+      hyperspace: readVolume(sfxConfig, ['hyperspace', 'HYPERSPACE'], DEFAULT_SFX_VOLUMES.hyperspace),
+      ufoExplosion: readVolume(sfxConfig, ['ufoExplosion', 'UFO_EXPLOSION'], DEFAULT_SFX_VOLUMES.ufoExplosion),
     };
 
     /**
@@ -78,8 +82,27 @@ export class AudioManager {
       shieldUp: 0,
       shieldDown: 0,
       ufoLaser: 0.03,
+      hyperspace: 0,
+      ufoExplosion: 0.1,
     };
 
+    /**
+     * Per-SFX playback tweaks, so a sound sharing a sample with another one
+     * still sounds like itself: `rate` (playback speed, which also shifts the
+     * pitch) and `reverse` (play the sample backwards).
+     * @type {{ [key: string]: { rate?: number, reverse?: boolean } }}
+     */
+    this._sfxPlayback = {
+      hyperspace: { rate: 0.75, reverse: true }, // shield-up, backwards and lower: a "whoosh" out
+      ufoExplosion: { rate: 0.6 },               // the asteroid crunch, slowed into a deep, longer boom
+    };
+
+    /**
+     * Reversed copies of the loaded buffers (see `_sfxPlayback`), made on first use.
+     * @type {{ [key: string]: AudioBuffer }}
+     */
+    this._reversedBuffers = {};
+
     /** @type {AudioContext|null} */
     this.ctx = null;
     /** @type {GainNode|null} */
@@ -96,6 +119,8 @@ export class AudioManager {
       shieldDown: null,
       asteroidHit: null,
       ufoLaser: null,
+      hyperspace: null,
+      ufoExplosion: null,
     };
 
     /**
@@ -115,6 +140,18 @@ export class AudioManager {
     this.musicGain = null;
     /** @type {Promise<void>|null} */
     this._loadingMusic = null;
+    /** @type {number} AudioContext time at which the current loop started. */
+    this._musicStartedAt = 0;
+    /** @type {number|null} Loop offset (seconds) saved by `suspendMusic()`. */
+    this._musicSuspendedOffset = null;
+    /**
+     * Bumped by every `startMusic()` / `stopMusic()`: a start still waiting for
+     * the unlock or the track only plays if no newer call came in meanwhile.
+     * @type {number}
+     */
+    this._musicRequest = 0;
+    /** @type {number|null} Offset of the start still waiting (null: none). */
+    this._pendingMusicOffset = null;
 
     /**
      * Work scheduled while the context is still locked.  Functions stored in
@@ -130,6 +167,8 @@ export class AudioManager {
       shieldDown: 'assets/audio/sfx_shieldDown.mp3',
       asteroidHit: 'assets/audio/explosionCrunch_000.mp3',
       ufoLaser: 'assets/audio/laserRetro_001.mp3',
+      hyperspace: 'assets/audio/sfx_shieldUp.mp3', // played reversed (see _sfxPlayback)
+      ufoExplosion: 'assets/audio/explosionCrunch_000.mp3', // slowed down (see _sfxPlayback)
     };
   }
 
@@ -346,17 +385,43 @@ export class AudioManager {
     this._playSfx('ufoLaser');
   }
 
+  /** Play the hyperspace jump sound effect. */
+  playHyperspace() {
+    this._playSfx('hyperspace');
+  }
+
+  /** Play the UFO destruction sound effect. */
+  playUfoExplosion() {
+    this._playSfx('ufoExplosion');
+  }
+
 
   /**
    * Begin looping background music (if a `musicUrl` was supplied).
    * Safe to call repeatedly; it will restart the loop when invoked.
+   *
+   * @param {number} [offset=0] Position (seconds) within the track to start from.
    */
-  startMusic() {
+  startMusic(offset = 0) {
     if (!this.musicUrl) return; // no-op if you don’t provide a track
     if (!this.enabled) return;
+    this._playMusic(offset, ++this._musicRequest);
+  }
+
+  /**
+   * Start the loop for `startMusic()` call number `request`, waiting for the
+   * unlock and the track first. Gives up once a newer start / stop came in.
+   *
+   * @private
+   * @param {number} offset
+   * @param {number} request
+   */
+  _playMusic(offset, request) {
+    if (request !== this._musicRequest || !this.enabled) return;
+    this._pendingMusicOffset = offset;
     if (!this.isUnlocked || !this.ctx) {
       this.unlock();
-      this._afterUnlock.push(() => this.startMusic());
+      this._afterUnlock.push(() => this._playMusic(offset, request));
       this._ensureMusicLoaded();
       return;
     }
@@ -364,28 +429,64 @@ export class AudioManager {
       const pending = this._ensureMusicLoaded();
       pending?.then(() => {
         if (this.enabled && this.ctx && this.isUnlocked) {
-          this.startMusic();
+          this._playMusic(offset, request);
         }
       });
       return;
     }
+    this._pendingMusicOffset = null;
     if (!this.musicGain) return;
     this.musicGain.gain.value = this.musicVolume;
     // Stop any existing loop
-    this.stopMusic();
+    try { this.musicSource?.stop?.(); } catch {}
+    this.musicSource = null;
+    this._musicSuspendedOffset = null;
+
+    const duration = this.musicBuffer.duration || 0;
+    const startOffset = duration > 0 ? Math.max(0, offset) % duration : 0;
 
     const src = this.ctx.createBufferSource();
     src.buffer = this.musicBuffer;
     src.loop = true;
     src.connect(this.musicGain);
-    src.start();
+    src.start(0, startOffset);
     this.musicSource = src;
+    this._musicStartedAt = this.ctx.currentTime - startOffset;
   }
 
-  /** Stop currently playing background music (if any). */
+  /** Stop currently playing background music (if any), and any start still waiting. */
   stopMusic() {
+    this._musicRequest++;
+    this._pendingMusicOffset = null;
     try { this.musicSource?.stop?.(); } catch {}
     this.musicSource = null;
+    this._musicSuspendedOffset = null;
+  }
+
+  /**
+   * Halt the music loop but remember where it was, so `resumeMusic()` can pick
+   * up from the same spot (used while the game is paused). A start still
+   * waiting for the unlock or the track is held back until then.
+   */
+  suspendMusic() {
+    let offset = this._pendingMusicOffset;
+    if (this.musicSource && this.ctx) {
+      offset = Math.max(0, this.ctx.currentTime - this._musicStartedAt);
+    }
+    if (offset == null) return;
+    this.stopMusic();
+    this._musicSuspendedOffset = offset;
+  }
+
+  /**
+   * Restart music from the offset saved by `suspendMusic()`.
+   * No-op when nothing was suspended (e.g. music was never playing).
+   */
+  resumeMusic() {
+    const offset = this._musicSuspendedOffset;
+    if (offset == null) return;
+    this._musicSuspendedOffset = null;
+    this.startMusic(offset);
   }
 
   /**
@@ -402,6 +503,7 @@ export class AudioManager {
     for (const key of Object.keys(this.buffers)) {
       this.buffers[key] = null;
     }
+    this._reversedBuffers = {};
     this._loadingSfx = {};
     this._loadingMusic = null;
     this.isUnlocked = false;
@@ -446,7 +548,8 @@ export class AudioManager {
       }
 
       this._sfxLastPlayTime[key] = now;
-      this._playBuffer(buffer, finalGain);
+      const { rate = 1, reverse = false } = this._sfxPlayback[key] ?? {};
+      this._playBuffer(reverse ? this._reversedBuffer(key, buffer) : buffer, finalGain, 0, rate);
     };
 
     const buffer = this.buffers[key];
@@ -509,6 +612,26 @@ export class AudioManager {
     });
   }
 
+  /**
+   * A backwards copy of an SFX buffer, cached per key.
+   *
+   * @private
+   * @param {string} key
+   * @param {AudioBuffer} buffer
+   * @returns {AudioBuffer}
+   */
+  _reversedBuffer(key, buffer) {
+    const cached = this._reversedBuffers[key];
+    if (cached) return cached;
+
+    const reversed = this.ctx.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+      reversed.getChannelData(ch).set(buffer.getChannelData(ch).slice().reverse());
+    }
+    this._reversedBuffers[key] = reversed;
+    return reversed;
+  }
+
   /**
    * Wire up a BufferSource → Gain → master gain and start playback.
    *
@@ -516,11 +639,13 @@ export class AudioManager {
    * @param {AudioBuffer} buffer
    * @param {number} [gainValue=1]
    * @param {number} [when=0]
+   * @param {number} [rate=1] - playback speed (pitch shifts with it)
    */
-  _playBuffer(buffer, gainValue = 1.0, when = 0) {
+  _playBuffer(buffer, gainValue = 1.0, when = 0, rate = 1) {
     if (!this.ctx || !this.masterGain) return;
     const src = this.ctx.createBufferSource();
     src.buffer = buffer;
+    src.playbackRate.value = rate;
     const gain = this.ctx.createGain();
     gain.gain.value = gainValue;
 
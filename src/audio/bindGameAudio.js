@@ -0,0 +1,32 @@
+/* ========================= src/audio/bindGameAudio.js ========================= */
+import { GameEvent } from '../core/GameEvents.js';
+
+/**
+ * Play sound effects in response to gameplay events.
+ * Music start/stop stays with Game, which owns the run lifecycle.
+ * @param {import('../core/EventEmitter.js').EventEmitter} events - game.events
+ * @param {import('./AudioManager.js').AudioManager} audio
+ * @returns {() => void} call to unsubscribe every handler
+ */
+export function bindGameAudio(events, audio) {
+  const offs = [
+    events.on(GameEvent.BULLET_FIRED, () => audio.playShoot?.()),
+    events.on(GameEvent.UFO_FIRED, () => audio.playUfoLaser?.()),
+    events.on(GameEvent.FIGHTER_FIRED, () => audio.playUfoLaser?.()),
+    events.on(GameEvent.BOSS_FIRED, () => audio.playUfoLaser?.()),
+    events.on(GameEvent.BOSS_HIT, () => audio.playAsteroidHit?.()),
+    events.on(GameEvent.UFO_HIT, ({ destroyed }) => {
+      if (!destroyed) audio.playAsteroidHit?.();
+    }),
+    events.on(GameEvent.UFO_DESTROYED, () => audio.playUfoExplosion?.()),
+    events.on(GameEvent.ASTEROID_HIT, () => audio.playAsteroidHit?.()),
+    events.on(GameEvent.ASTEROID_DESTROYED, () => audio.playAsteroidHit?.()),
+    events.on(GameEvent.POWERUP_COLLECTED, () => audio.playPowerup?.()),
+    events.on(GameEvent.SHIP_HIT, () => audio.playPlayerHit?.()),
+    events.on(GameEvent.HYPERSPACE_JUMP, () => audio.playHyperspace?.())
+  ];
+
+  return () => {
+    for (const off of offs) off();
+  };
+}
@@ -23,6 +23,18 @@ export const CONFIG = {
     MAX_SPEED: 340,       // clamp for ship velocity before speed power-up bonuses
     FIRE_COOLDOWN: 0.18,  // seconds between shots
     RESPAWN_INVULN: 3,    // seconds of invulnerability granted on spawn/respawn
+    RESPAWN_DELAY: 1.5,   // minimum seconds without a ship after losing a life (RESPAWNING)
+    RESPAWN_SAFE_RADIUS: 120, // the ship only launches once this radius around the center is clear
+    RESPAWN_TIMEOUT: 10,  // seconds after losing a life when the ship launches regardless
+
+    // Hyperspace (Shift / K): jump to a random spot, at a risk
+    HYPERSPACE: {
+      COOLDOWN: 4,                // seconds between jumps
+      EDGE_MARGIN: 40,            // keep the destination this far from the canvas edges
+      SELF_DESTRUCT_CHANCE: 0.08, // probability (0–1) a jump destroys the ship (shields do not help)
+      DISORIENT_CHANCE: 0.25,     // probability (0–1) of arriving disoriented
+      DISORIENT_DURATION: 0.75    // seconds without steering, thrust or firing after a disoriented jump
+    },
     INVULN_BLINK_INTERVAL: 0.15, // seconds between blink toggles while invulnerable
     LIVES: 3,             // number of lives before GAME OVER
     MAX_LIVES: 5,         // max number of lives
@@ -57,7 +69,49 @@ export const CONFIG = {
     SPEED_MAX: 120,           // maximum drifting speed
     SIZES: [42, 28, 18],      // asteroid radii for large, medium, small
     SPLIT_COUNT: 2,           // number of smaller asteroids spawned upon destruction
-    SPEED_GROWTH_PER_WAVE: 0.1 // additive multiplier growth applied each wave
+    SPLIT_ENERGY: 0.12,       // share of the impact speed (bullet or shield ram) that pushes split children apart
+    SPLIT_MIN_SPREAD: 30,     // px/s: the least sideways speed split children get
+    SPEED_GROWTH_PER_WAVE: 0.1, // additive multiplier growth applied each wave
+    COLLISIONS: false,        // asteroids bounce off each other (game modes override with asteroidCollisions)
+    RESTITUTION: 1,           // bounce elasticity between asteroids (1 = perfectly elastic); mass follows SIZES
+    OVERLAP_CORRECTION: 0.5,  // share of an overlap pushed apart per tick (eases overlaps out instead of popping)
+
+    // Archetypes rolled per large asteroid by spawnWave. Weights are relative;
+    // a type joins at `minWave` (0-based) with `weight`, gaining `weightPerWave`
+    // each wave after that up to `maxWeight`. Split children become `splitInto`
+    // ('rock' unless set). `tint` / `tintAlpha` / `sprites` (large, medium, small
+    // frame names) are how Renderer tells the types apart.
+    TYPES: {
+      rock: { weight: 1 },
+      armored: {
+        hits: 3,                // bullet hits needed; cracks show the damage taken
+        scoreMultiplier: 3,
+        minWave: 2, weight: 0.1, weightPerWave: 0.05, maxWeight: 0.4,
+        tint: '#9fb3d9', tintAlpha: 0.3,
+        sprites: ['meteorGrey_big4.png', 'meteorGrey_med2.png', 'meteorGrey_small2.png']
+      },
+      explosive: {
+        blastRadius: 90,        // px beyond the rock's edge: everything inside is destroyed too
+        blastSpeed: 300,        // px/s the blast hits neighbours with (drives their split spread)
+        scoreMultiplier: 2,
+        minWave: 3, weight: 0.08, weightPerWave: 0.03, maxWeight: 0.25,
+        tint: '#ff5a2e', tintAlpha: 0.45
+      },
+      gold: {
+        scoreMultiplier: 10,
+        dropsPowerup: true,     // leaves a random power-up where it breaks
+        minWave: 1, weight: 0.04, maxWeight: 0.04,
+        tint: '#ffcf40', tintAlpha: 0.55,
+        sprites: ['meteorBrown_big3.png', 'meteorBrown_med3.png', 'meteorBrown_small2.png']
+      },
+      ice: {
+        chillDuration: 2.5,     // seconds the ship stays slowed after touching it
+        chillFactor: 0.45,      // thrust and top speed multiplier while chilled
+        minWave: 1, weight: 0.1, weightPerWave: 0.03, maxWeight: 0.3,
+        tint: '#8fe3ff', tintAlpha: 0.5,
+        splitInto: 'ice'
+      }
+    }
   },
 
   /* UFO Enemy Settings */
@@ -71,6 +125,74 @@ export const CONFIG = {
     LASER_SPEED: 360,           // speed of the UFO laser projectiles (pixels/s)
     LASER_LIFETIME: 2.5,        // seconds before a UFO laser despawns automatically
     OFFSCREEN_MARGIN: 36,       // spawn/despawn margin outside the playfield
+    CROSSINGS: 3,               // trips across the field before the UFO leaves
+    HIT_FLASH: 0.12,            // seconds the saucer flashes white after a hit it survives
+
+    // Smoke trailing a damaged saucer: more puffs the fewer hits it has left.
+    SMOKE: { puffs: 6, trail: 42, period: 0.9, color: '#8c8c8c' }, // max puffs, px long, s per puff, fill
+
+    // What a destroyed saucer leaves behind; a variant's `loot` overrides single
+    // fields (of `debris` too).
+    //  - powerUpChance: chance of dropping a power-up where it blew up (1: always)
+    //  - powerUps: POWERUP type → weight of the drop (unlisted types never drop)
+    //  - debris: wreck fragments flung outwards; they hit a ship for `lifetime` seconds
+    LOOT: {
+      powerUpChance: 0.4,
+      powerUps: { tripleShot: 3, shield: 3, speed: 2, extraLife: 1 },
+      debris: { count: 5, speedMin: 70, speedMax: 170, radius: 7, lifetime: 1.2, spin: 6 }
+    },
+    // Debris frames (Parts atlas) per saucer sprite, in the saucer's color.
+    DEBRIS_SPRITES: {
+      ufoBlue: ['wingBlue_2', 'wingBlue_6', 'cockpitBlue_3'],
+      ufoGreen: ['wingGreen_2', 'wingGreen_6', 'cockpitGreen_3'],
+      ufoRed: ['wingRed_2', 'wingRed_6', 'cockpitRed_3'],
+      ufoYellow: ['wingYellow_2', 'wingYellow_6', 'cockpitYellow_3']
+    },
+
+    // Movement behaviors (src/entities/ufoBehaviors.js); variants pick theirs.
+    BEHAVIORS: {
+      sine: { amplitude: 45, period: 2.4 },         // px either side, seconds per weave
+      zigzag: { interval: 1.4, angle: 0.6 },        // seconds per leg, radians off course
+      avoidAsteroids: { range: 70, speed: 110 },    // px of clearance, px/s to veer away
+      dodgeBullets: { senseRadius: 170, speed: 170, margin: 8 } // px, px/s, px beyond its radius
+    },
+
+    // Saucer variants; the wave weights which one spawns (same scheme as
+    // ASTEROID.TYPES: `weight` from `minWave` on, plus `weightPerWave`, up to
+    // `maxWeight`). Unset fields fall back to the defaults above.
+    //  - fireIntervalScale: multiplies FIRE_INTERVAL (the difficulty's cadence)
+    //  - aim: 'direct' shoots where the ship is, 'lead' where it will be
+    //  - spread: largest aim error (radians, either side); `spreadPerWave`
+    //    changes it every wave, never below `minSpread`
+    //  - headingJitter: radians its course may stray from straight across
+    //  - behaviors: BEHAVIORS key → first wave it is used in
+    //  - crossings: overrides CROSSINGS
+    //  - loot: overrides fields of LOOT
+    VARIANTS: {
+      large: {
+        label: 'Large Saucer',
+        sprites: ['ufoBlue', 'ufoGreen'],
+        radius: 26, speed: 110, hits: 3, score: 500,
+        fireIntervalScale: 1.2,
+        aim: 'direct', spread: 0.5,
+        headingJitter: 0.6,
+        behaviors: { sine: 0, avoidAsteroids: 3 },
+        weight: 1
+      },
+      small: {
+        label: 'Small Saucer',
+        sprites: ['ufoRed', 'ufoYellow'],
+        radius: 16, speed: 200, hits: 1, score: 1000,
+        fireIntervalScale: 0.9,
+        aim: 'lead', spread: 0.3, spreadPerWave: -0.03, minSpread: 0.02,
+        headingJitter: 0.15,
+        behaviors: { zigzag: 1, avoidAsteroids: 1, dodgeBullets: 4 },
+        crossings: 2,
+        loot: { powerUpChance: 1, debris: { count: 3, radius: 5 } },
+        minWave: 1, weight: 0.2, weightPerWave: 0.15, maxWeight: 2
+      }
+    },
+
     SPAWN_TIMER: {
       START: 30,                // seconds before the first UFO of the run spawns
       DECREMENT_PER_WAVE: 1.2,  // reduce spawn timer each wave
@@ -78,10 +200,282 @@ export const CONFIG = {
     }
   },
 
+  /* Enemy fighter squadrons (Enemies atlas) */
+  FIGHTERS: {
+    START_WAVE: 1,              // first wave (0-based) with squadrons
+    BUDGET: {
+      START: 2,                 // points to spend on fighters in START_WAVE (each costs its type's `cost`)
+      GROWTH_PER_WAVE: 1,       // extra points every wave after that
+      MAX: 10
+    },
+    SQUADRON_SIZE: { MIN: 2, MAX: 4 }, // fighters per squadron (fewer when the budget runs out)
+    SQUADRON_SPACING: 40,       // px between fighters of a squadron as it flies in
+    FIRST_SQUADRON_DELAY: 8,    // seconds into the wave before the first squadron arrives
+    SQUADRON_INTERVAL: 10,      // seconds between the following squadrons
+    OFFSCREEN_MARGIN: 40,       // spawn / wrap margin outside the playfield
+
+    // Per type: `cost` against the wave budget, `health` (bullet hits), `score`,
+    // collision `radius`, `sprites` (Enemies atlas, one picked per squadron),
+    // flight tuning and the type's own `shot` (sprite from the Lasers atlas).
+    // A `fireInterval` of null never fires. Types join at `minWave` (0-based).
+    types: {
+      chaser: {
+        label: 'Chaser',
+        cost: 1, health: 1, score: 150, radius: 16,
+        sprites: ['enemyBlack1', 'enemyBlack2', 'enemyBlack3'],
+        speed: 120,             // px/s
+        turnRate: 2.2,          // rad/s it can steer toward the ship
+        fireInterval: 2.4,
+        shot: { sprite: 'laserGreen10', speed: 260, lifetime: 2, radius: 5 }
+      },
+      strafer: {
+        label: 'Strafer',
+        minWave: 2,
+        cost: 2, health: 2, score: 300, radius: 18,
+        sprites: ['enemyBlue2', 'enemyBlue4', 'enemyGreen2'],
+        speed: 150,
+        turnRate: 3,
+        orbitRadius: 170,       // px from the ship it circles at
+        fireInterval: 1.2,
+        shot: { sprite: 'laserRed07', speed: 380, lifetime: 1.6, radius: 4 }
+      },
+      kamikaze: {
+        label: 'Kamikaze',
+        minWave: 3,
+        cost: 1, health: 1, score: 200, radius: 15,
+        sprites: ['enemyRed1', 'enemyRed3', 'enemyRed5'],
+        speed: 90,
+        turnRate: 1.6,
+        diveRange: 260,         // px from the ship where it locks on and dives
+        diveSpeed: 340,
+        diveTime: 1.4,          // seconds of a dive before it pulls out and lines up again
+        fireInterval: 3,        // lobs flak while lining up, never while diving
+        shot: { sprite: 'laserRed10', speed: 200, lifetime: 2.5, radius: 6 }
+      }
+    }
+  },
+
+  /* Boss waves: a mothership replaces the asteroid field */
+  BOSS: {
+    EVERY_N_WAVES: 5,           // waves 5, 10, 15, ... (as shown on the HUD) are boss waves
+    LABEL: 'Mothership',
+    SPRITE: 'ufoRed',           // hull (ships-and-UFOs atlas), drawn 2 * RADIUS wide
+    SHIELD_SPRITE: 'shield3',   // drawn over the core while it is shielded (Effects atlas)
+    RADIUS: 64,
+    SCORE: 5000,                // for the kill, on top of the zones' scores
+    HEALTH_GROWTH: 0.25,        // every earlier boss adds this much to every zone's health
+    ENTRY_SPEED: 60,            // px/s descending from the top edge
+    CRUISE_Y: 120,              // height it cruises at
+    DRIFT_SPEED: 70,            // px/s side to side
+    DRIFT_MARGIN: 140,          // px from the side edges where it turns round
+
+    // Hit zones, offsets from its center. The core is shielded while any
+    // other zone stands; destroying the core destroys the mothership.
+    ZONES: [
+      { id: 'core', core: true, x: 0, y: 0, radius: 52, health: 30 },
+      { id: 'leftPod', x: -84, y: 30, radius: 22, health: 10, score: 750, sprite: 'gun09' },
+      { id: 'rightPod', x: 84, y: 30, radius: 22, health: 10, score: 750, sprite: 'gun09' }
+    ],
+
+    // Attack phases, cycled in this order (`duration` in seconds).
+    PHASES: {
+      volley: {
+        duration: 6,
+        interval: 1.1,          // seconds between volleys
+        shots: 5,               // lasers per gun and volley, fanned across `arc` radians
+        arc: 0.9
+      },
+      escorts: {
+        duration: 4,
+        count: 2,               // escort UFOs called in at the start of the phase
+        max: 4,                 // escorts on the field at most
+        variant: 'large'        // CONFIG.UFO.VARIANTS entry
+      },
+      beam: {
+        charge: 1.5,            // seconds of warning before it fires
+        duration: 2.5,          // seconds it fires
+        width: 28,
+        length: 1200,
+        turnRate: 0.45,         // rad/s it follows the ship
+        sprite: 'beamLong2',    // Parts atlas, tiled along the beam
+        chargeSprite: 'beam3'
+      }
+    }
+  },
+
   /* Wave System */
   WAVES: {
     START_COUNT: 4,   // number of asteroids in wave 0
-    GROWTH: 1         // increase asteroid count by this each new wave
+    GROWTH: 1,        // increase asteroid count by this each new wave
+    INTRO_DURATION: 2 // seconds of "Wave N" banner before the field moves (WAVE_INTRO)
+  },
+
+  /* Game modes (chosen on the start menu; each keeps its own high score) */
+  GAME_MODES: {
+    DEFAULT: 'classic',
+    types: {
+      classic: {
+        label: 'Classic Endless',
+        description: 'Endless waves, three lives.'
+      },
+      timeAttack: {
+        label: 'Time Attack',
+        description: 'Three minutes. Highest score wins.',
+        timeLimit: 180                 // seconds of play before the run ends
+      },
+      hardcore: {
+        label: 'Hardcore',
+        description: 'One life, no shields.',
+        lives: 1,                      // overrides SHIP.LIVES
+        disabledPowerups: ['shield', 'extraLife']
+      },
+      zen: {
+        label: 'Zen',
+        description: 'No death. Just the score.',
+        noDeath: true,                 // hits never cost a life
+        disabledPowerups: ['extraLife'],
+        asteroidCollisions: true       // asteroids bounce off each other
+      },
+      versus: {
+        label: 'Versus',
+        description: 'Two ships, one screen. First to five kills wins the round.',
+        players: 2,                    // always two ships (the menu's player count is ignored)
+        versus: true,                  // bullets hit the other ship; nothing scores points
+        killsToWin: 5,                 // kills that win the round
+        spawnSpacing: 480,             // overrides PLAYERS.SPAWN_SPACING: spawn on opposite sides
+        noUfo: true,
+        noFighters: true,
+        noBoss: true,
+        powerupInterval: 10,           // seconds between power-up drops (instead of the per-wave roll)
+        maxPowerups: 2,                // drops skip while this many power-ups are on the field
+        disabledPowerups: ['extraLife'],
+        asteroidCollisions: true
+      }
+    }
+  },
+
+  /*
+   * Difficulty presets (chosen on the start menu; each keeps its own high score).
+   * `overrides` mirrors the layout of CONFIG and is merged into a per-run copy
+   * (see core/difficulty.js); the CONFIG object itself is never changed.
+   * Only values the Simulation reads from state.config are affected: waves,
+   * asteroid speed growth, UFO timing, fighter squadron budgets, power-up drops,
+   * scoring and lives.
+   */
+  DIFFICULTY: {
+    DEFAULT: 'normal',
+    presets: {
+      easy: {
+        label: 'Easy',
+        overrides: {
+          ASTEROID: { SPEED_GROWTH_PER_WAVE: 0.05 },
+          UFO: {
+            FIRE_INTERVAL: 2.25,
+            SPAWN_TIMER: { START: 40, DECREMENT_PER_WAVE: 0.8, MIN: 12 }
+          },
+          FIGHTERS: { START_WAVE: 2, BUDGET: { START: 1, GROWTH_PER_WAVE: 0.5, MAX: 6 } },
+          WAVES: { START_COUNT: 3, GROWTH: 1 },
+          POWERUP: {
+            types: {
+              tripleShot: { chancePerWave: 0.5 },
+              extraLife: { chancePerWave: 0.5 },
+              shield: { chancePerWave: 0.5 },
+              speed: { chancePerWave: 0.45 }
+            }
+          }
+        }
+      },
+      normal: {
+        label: 'Normal',
+        overrides: {}
+      },
+      hard: {
+        label: 'Hard',
+        overrides: {
+          ASTEROID: { SPEED_GROWTH_PER_WAVE: 0.15 },
+          UFO: {
+            FIRE_INTERVAL: 1.1,
+            SPAWN_TIMER: { START: 22, DECREMENT_PER_WAVE: 1.5, MIN: 4 }
+          },
+          FIGHTERS: { BUDGET: { START: 3, GROWTH_PER_WAVE: 1.5, MAX: 14 }, SQUADRON_INTERVAL: 8 },
+          WAVES: { GROWTH: 2 },
+          POWERUP: {
+            types: {
+              tripleShot: { chancePerWave: 0.25 },
+              extraLife: { chancePerWave: 0.2 },
+              shield: { chancePerWave: 0.25 },
+              speed: { chancePerWave: 0.2 }
+            }
+          }
+        }
+      },
+      insane: {
+        label: 'Insane',
+        overrides: {
+          ASTEROID: { SPEED_GROWTH_PER_WAVE: 0.22 },
+          UFO: {
+            FIRE_INTERVAL: 0.75,
+            SPAWN_TIMER: { START: 12, DECREMENT_PER_WAVE: 2, MIN: 3 }
+          },
+          FIGHTERS: { START_WAVE: 0, BUDGET: { START: 4, GROWTH_PER_WAVE: 2, MAX: 18 }, SQUADRON_INTERVAL: 6 },
+          WAVES: { START_COUNT: 6, GROWTH: 2 },
+          POWERUP: {
+            types: {
+              tripleShot: { chancePerWave: 0.15 },
+              extraLife: { chancePerWave: 0.1 },
+              shield: { chancePerWave: 0.15 },
+              speed: { chancePerWave: 0.1 }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  /* Local co-op: 1–2 ships sharing one keyboard (see core/players.js) */
+  PLAYERS: {
+    MAX: 2,
+    DEFAULT_COUNT: 1,
+    DEFAULT_SCORE_MODE: 'shared', // 'shared': one team score | 'separate': each player's score shown on its own
+    SPAWN_SPACING: 120,           // px between the ships' spawn points in co-op (solo spawns at the center)
+    COLORS: ['blue', 'red'],      // shipsandufos atlas color per player (playerShipN_<color>.png)
+
+    // Key sets (KeyboardEvent.code). `fire` auto-fires while held, `tapFire` fires once per press.
+    // A solo run uses 'solo'; in co-op player N uses COOP_CONTROLS[N - 1].
+    CONTROLS: {
+      solo: {
+        left: ['ArrowLeft', 'KeyA'],
+        right: ['ArrowRight', 'KeyD'],
+        thrust: ['ArrowUp', 'KeyW'],
+        fire: ['Space'],
+        tapFire: ['KeyJ'],
+        hyperspace: ['ShiftLeft', 'ShiftRight', 'KeyK']
+      },
+      p1: {
+        left: ['KeyA'],
+        right: ['KeyD'],
+        thrust: ['KeyW'],
+        fire: ['Space'],
+        tapFire: [],
+        hyperspace: ['KeyS']
+      },
+      p2: {
+        left: ['ArrowLeft'],
+        right: ['ArrowRight'],
+        thrust: ['ArrowUp'],
+        fire: ['Slash', 'ControlRight', 'Numpad0'],
+        tapFire: [],
+        hyperspace: ['ArrowDown']
+      }
+    },
+    COOP_CONTROLS: ['p1', 'p2']
+  },
+
+  /* Daily challenge: one shared seed per local calendar day (see utils/dailyChallenge.js) */
+  DAILY_CHALLENGE: {
+    SEED_PREFIX: 'rockbuster-daily', // hashed together with the date (YYYY-MM-DD) into the run seed
+    GAME_MODE: 'classic',            // rules every daily run is played under
+    DIFFICULTY: 'normal'
   },
 
   /* Scoring for destroying different asteroid sizes */
@@ -91,6 +485,23 @@ export const CONFIG = {
     LARGE: 20         // largest asteroid
   },
 
+  /* Collision shapes */
+  COLLISION: {
+    MODE: 'polygon'           // 'polygon': sprite hulls for asteroids and ships (atlas .hulls.json sidecars); 'circle': radius only
+  },
+
+  /* Rendering */
+  RENDER: {
+    INTERPOLATION: true       // draw between the last two fixed steps (smooth on 144 Hz+ / throttled devices); I toggles in-game
+  },
+
+  /* Ghost of the best solo run on the same seed, game mode and difficulty */
+  GHOST: {
+    ENABLED: true,            // default when the player has not chosen (menu "Ghost" picker; G toggles in-game)
+    ALPHA: 0.35,              // opacity of the ghost ship
+    MAX_STORED: 20            // ghosts kept in IndexedDB (the most recently improved seeds)
+  },
+
   /* Enable or disable debug output/overlays */
   DEBUG: {
     CONSOLE_OVERLAY: {
@@ -109,7 +520,9 @@ export const CONFIG = {
       POWERUP: 1.0,    // collecting a power-up
       PLAYER_HIT: 1.0, // ship taking damage / shield down
       UFO_LASER: 1.0,  // UFO laser firing volume
-      ASTEROID_HIT: 0.25 // asteroid explosion volume (half of other effects)
+      HYPERSPACE: 0.8, // hyperspace jump
+      ASTEROID_HIT: 0.25, // asteroid explosion volume (half of other effects)
+      UFO_EXPLOSION: 0.6  // a saucer blowing up
     }
   },
 
@@ -0,0 +1,68 @@
+/* ========================= src/core/EventEmitter.js ========================= */
+
+/**
+ * Minimal synchronous event emitter.
+ *
+ * The Simulation emits gameplay events through one of these so it never has
+ * to know who is listening (the browser Game shell, a headless bot, a test).
+ * Listeners run in subscription order; a throwing listener is logged and does
+ * not stop the others or the simulation tick that emitted the event.
+ */
+export class EventEmitter {
+  constructor() {
+    /** @type {Map<string, Set<Function>>} */
+    this._listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event type.
+   * @param {string} type
+   * @param {(payload: any) => void} listener
+   * @returns {() => void} call to unsubscribe
+   */
+  on(type, listener) {
+    if (typeof listener !== 'function') return () => {};
+    let set = this._listeners.get(type);
+    if (!set) {
+      set = new Set();
+      this._listeners.set(type, set);
+    }
+    set.add(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Remove a listener previously added with on().
+   * @param {string} type
+   * @param {(payload: any) => void} listener
+   */
+  off(type, listener) {
+    const set = this._listeners.get(type);
+    if (!set) return;
+    set.delete(listener);
+    if (set.size === 0) this._listeners.delete(type);
+  }
+
+  /**
+   * Invoke every listener for `type` with `payload`.
+   * @param {string} type
+   * @param {any} [payload]
+   */
+  emit(type, payload) {
+    const set = this._listeners.get(type);
+    if (!set) return;
+    // Copy so listeners may unsubscribe while being notified.
+    for (const listener of [...set]) {
+      try {
+        listener(payload);
+      } catch (err) {
+        console.error(`EventEmitter: listener for "${type}" failed`, err);
+      }
+    }
+  }
+
+  /** Drop every listener (used on teardown). */
+  clear() {
+    this._listeners.clear();
+  }
+}
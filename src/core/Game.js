@@ -1,22 +1,77 @@
 /* ========================= src/core/Game.js ========================= */
-import { Ship } from '../entities/Ship.js';
-import { Ufo } from '../entities/Ufo.js';
 import { VirtualControls } from '../ui/VirtualControls.js';
 import { Input } from './Input.js';
+import { GamepadInput } from './GamepadInput.js';
+import { Simulation, Mode } from './Simulation.js';
+import { getDefaultGameMode, isGameMode, listGameModes } from './gameModes.js';
+import { getDefaultDifficulty, getDifficultyPreset, isDifficulty, listDifficulties } from './difficulty.js';
+import { getMaxPlayers, normalizePlayerCount, normalizeScoreMode, SCORE_MODES } from './players.js';
+import { GameEvent } from './GameEvents.js';
 import { Renderer } from '../systems/Renderer.js';
 import { HudRenderer } from '../systems/HudRenderer.js';
+import { CollisionShapes } from '../systems/CollisionShapes.js';
 import { drawHUD } from '../systems/HUD.js';
-import {
-  circleHit,
-  findShipAsteroidHit,
-  forEachBulletAsteroidHit
-} from '../systems/Collision.js';
-import { integrateAndWrap } from '../systems/Physics.js';
-import { spawnWave, maybeSpawnPowerUp } from '../systems/Spawner.js';
 import { CONFIG } from '../config.js';
 import { AudioManager } from '../audio/AudioManager.js';
+import { bindGameAudio } from '../audio/bindGameAudio.js';
 import { loadHighScore, saveHighScore } from '../utils/highScoreStorage.js';
+import { loadSavedRun, saveRun as persistSavedRun, clearSavedRun } from '../utils/runStorage.js';
+import { loadDailyResults, saveDailyResults } from '../utils/dailyChallengeStorage.js';
+import { loadGhost, saveGhost, loadGhostEnabled, saveGhostEnabled } from '../utils/ghostStorage.js';
+import { getDailyKey, getDailySeed } from '../utils/dailyChallenge.js';
+import { serializeRun, RUN_SAVE_VERSION } from '../save/runSnapshot.js';
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+import { ReplayPlayer } from '../replay/ReplayPlayer.js';
+import { GhostRecorder } from '../replay/GhostRecorder.js';
+import { ghostPoseAt, ghostScoreAt } from '../replay/ghostFormat.js';
+import { wrapDelta } from '../utils/math.js';
+
+// Playback speeds offered while watching a replay (Digit keys 1 / 2 / 4).
+const REPLAY_SPEEDS = [1, 2, 4];
+
+// A ghost step longer than this (px, across screen edges the short way) was a
+// hyperspace jump or relaunch, not flight: the ghost snaps instead of sliding.
+const GHOST_JUMP_DISTANCE = 32;
+
+// Run clock as m:ss, rounded up so it only reads 0:00 once time is out.
+function formatClock(seconds) {
+  const total = Math.ceil(Math.max(0, seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Key of one high-score table in Game.highScores (one per game mode and difficulty, solo or co-op).
+function highScoreKey(gameMode, difficulty, playerCount = 1) {
+  const key = `${gameMode}/${difficulty}`;
+  return playerCount > 1 ? `${key}/coop` : key;
+}
+
+// "2 lives left" / "1 life left"
+function livesLeft(lives) {
+  return `${lives} ${lives === 1 ? 'life' : 'lives'} left`;
+}
+
+// "P1: 2 kills   P2: 3 kills" (versus banners)
+function killsLine(players) {
+  return players.map((player) => `P${player.index + 1}: ${player.kills} ${player.kills === 1 ? 'kill' : 'kills'}`).join('   ');
+}
+
+// "+1,200 vs best" / "-300 vs best"
+function ghostDelta(delta) {
+  return `${delta < 0 ? '-' : '+'}${Math.abs(delta).toLocaleString()} vs best`;
+}
+
+// Hyperspace cooldown as shown on the HUD.
+function hyperspaceStatus(ship) {
+  return ship.canHyperspace() ? 'READY' : `${ship.hyperspaceCooldown.toFixed(1)}s`;
+}
 
+/**
+ * Game
+ * ----
+ * Browser shell around the headless Simulation: owns the canvas, renderer,
+ * audio, DOM input, gamepads, virtual controls, high-score / saved-run persistence and replays,
+ * and turns simulation events into sounds, sprites and canvas CustomEvents.
+ */
 export class Game {
   constructor(canvas, ctx, { atlasCache } = {}) {
     this.canvas = canvas;
@@ -26,15 +81,31 @@ export class Game {
     this._initInputAndAudio();
     this._setupAudioUnlockListeners();
     this._setupMuteButtonBounds();
-    this._initStateAndShip();
+    this._initSimulation(atlasCache);
     this._loadHighScoreAsync();
+    this._loadSavedRunAsync();
+    this._loadDailyResultsAsync();
     this._setupVirtualControls();
     this._attachCanvasListeners();
+    this._attachAutoPauseListeners();
+    this._attachSaveListeners();
 
     // --- Game loop timing (fixed-step simulation) ---
     this.lastTime = 0;       // previous frame timestamp (seconds)
     this.accum = 0;          // leftover time accumulation
-    this.fixedDt = 1 / 120;  // run physics at 120 FPS for consistency
+    this.fixedDt = this.sim.fixedDt; // run physics at 120 FPS for consistency
+    this.timeScale = 1;      // >1 fast-forwards replays (more fixed ticks per frame)
+    this.renderInterpolation = CONFIG.RENDER?.INTERPOLATION ?? true; // blend between fixed steps
+
+    // --- Replays ---
+    this.replayRecorder = null; // records the live run's input
+    this.replayPlayer = null;   // feeds a recorded run back instead of live input
+    this.lastReplay = null;     // most recently finished recording (for download)
+
+    // --- Ghost of the best solo run on the same seed (see replay/ghostFormat.js) ---
+    this.ghostEnabled = loadGhostEnabled(); // menu "Ghost" picker / G key
+    this.ghostRecorder = null;              // samples the live solo run's ship
+    this.ghost = null;                      // stored best run drawn alongside it
 
     this._loop = this.loop.bind(this);
   }
@@ -44,6 +115,21 @@ export class Game {
       canvasWidth: CONFIG.CANVAS.W,
       canvasHeight: CONFIG.CANVAS.H,
       defaultUfoRadius: CONFIG.UFO.RADIUS,
+      ufoSpriteKeys: [...new Set([
+        ...CONFIG.UFO.SPRITES,
+        ...Object.values(CONFIG.UFO.VARIANTS ?? {}).flatMap((variant) => variant.sprites ?? [])
+      ])],
+      ghostAlpha: CONFIG.GHOST?.ALPHA,
+      asteroidTypes: CONFIG.ASTEROID.TYPES,
+      chillTint: CONFIG.ASTEROID.TYPES?.ice?.tint,
+      bossSprites: {
+        shield: CONFIG.BOSS.SHIELD_SPRITE,
+        beam: CONFIG.BOSS.PHASES.beam.sprite,
+        beamCharge: CONFIG.BOSS.PHASES.beam.chargeSprite,
+        beamWidth: CONFIG.BOSS.PHASES.beam.width,
+        beamLength: CONFIG.BOSS.PHASES.beam.length,
+      },
+      ufoSmoke: CONFIG.UFO.SMOKE,
     });
     this.hudRenderer = new HudRenderer(this.renderer);
   }
@@ -51,6 +137,7 @@ export class Game {
 
   _initInputAndAudio() {
     this.input = new Input();
+    this.gamepads = new GamepadInput(this.input); // pads press their player's keys on this.input
     this.audio = new AudioManager({ volumes: CONFIG.AUDIO });
 
     this._firstGestureCleanup = [];
@@ -103,25 +190,322 @@ export class Game {
   }
 
 
-  _initStateAndShip() {
-    this.highScore = 0;
-    this._lastPersistedHighScore = 0;
-    this.state = this.createInitialState();
-    this.renderer.setShipSpriteForShieldLevel(this.state.ship.shieldLevel);
+  _initSimulation(atlasCache) {
+    this.gameMode = getDefaultGameMode();     // game mode of the next run (start menu selection)
+    this.difficulty = getDefaultDifficulty(); // difficulty preset of the next run (start menu selection)
+    this.playerCount = normalizePlayerCount(); // ships in the next run: 1, or 2 for local co-op
+    this.scoreMode = normalizeScoreMode();     // co-op score presentation of the next run
+    this.highScores = {};                     // best score per game mode + difficulty + solo/co-op (see highScoreKey)
+    this.roundWins = [];                      // versus rounds won per player since the menu was left
+    this._lastPersistedHighScores = {};
+    // Collision hulls follow the sprites the renderer draws.
+    const R = this.renderer;
+    const shapes = CollisionShapes.fromAtlas(atlasCache, {
+      asteroidSetKeys: R.asteroidSetKeys,
+      asteroidTypes: R.asteroidTypes,
+      shipSpriteSets: R.shipSpriteSets,
+      shipScale: R.shipScale
+    });
+    this.sim = new Simulation({ input: this.input, shapes });
+    this.events = this.sim.events; // public gameplay event bus (see GameEvents.js)
+    this._bindSimulationEvents();
+    this._registerModeHooks();
+  }
+
+
+  _bindSimulationEvents() {
+    const events = this.events;
+
+    this._simUnsubscribers = [
+      bindGameAudio(events, this.audio),
+
+      events.on(GameEvent.HIGHSCORE_CHANGED, ({ highScore }) => {
+        this.updateHighScore(highScore);
+      }),
+
+      // Wave boundaries are "Continue Run" checkpoints; the save happens once the tick completes.
+      events.on(GameEvent.WAVE_STARTED, () => {
+        this._saveAfterTick = true;
+      }),
+
+      events.on(GameEvent.GAME_OVER, (detail) => {
+        // A watched replay never counts as a new personal best (or a round win).
+        const watchingReplay = !!this.replayPlayer;
+        if (typeof detail.winner === 'number' && !watchingReplay) {
+          this.roundWins[detail.winner] = (this.roundWins[detail.winner] ?? 0) + 1;
+        }
+
+        this.audio.stopMusic?.();
+        if (!watchingReplay) this.discardSavedRun();
+        this._recordDailyResult({ finished: true });
+        this._finishGhost();
+        this._endReplayForRun('game-over');
+        this.canvas?.dispatchEvent?.(
+          new CustomEvent('game-over', {
+            detail: {
+              ...detail,
+              highScore: this.highScore,
+              newHighScore: detail.newHighScore && !watchingReplay,
+              roundWins: this.state.players.map((player) => this.roundWins[player.index] ?? 0),
+              daily: watchingReplay ? null : this.dailyChallenge
+            }
+          })
+        );
+      })
+    ];
+  }
+
+
+  /**
+   * Shell layer of the simulation's state machine: per-mode keys, pause side
+   * effects and drawing. Prepended so the shell reads the pause keys (and
+   * picks the tick's input) before the simulation's hooks run.
+   */
+  _registerModeHooks() {
+    const machine = this.sim.machine;
+    const shell = (mode, hooks) => {
+      this._simUnsubscribers.push(machine.addHooks(mode, hooks, { prepend: true }));
+    };
+    const activeUpdate = () => this._updateActiveTick();
+
+    // MENU: wait for explicit user start (keyboard or pointer); nothing is drawn under the menu.
+    shell(Mode.MENU, {
+      update: () => {
+        if (this.input.pressed('Enter') || this.input.pressed('Space')) {
+          this.startGame();
+        }
+      }
+    });
+
+    shell(Mode.WAVE_INTRO, {
+      update: activeUpdate,
+      render: () => {
+        const { versus, killsToWin } = this.sim.rules;
+        if (versus) {
+          const round = this.roundWins.reduce((sum, wins) => sum + (wins ?? 0), 0) + 1;
+          this._renderRun({ title: `ROUND ${round}`, subtitle: `First to ${killsToWin} kills` });
+          return;
+        }
+        this._renderRun({
+          title: `WAVE ${this.state.wave + 1}`,
+          subtitle: this.state.boss ? `${CONFIG.BOSS.LABEL} incoming` : 'Get ready'
+        });
+      }
+    });
+
+    shell(Mode.PLAY, {
+      update: activeUpdate,
+      render: () => this._renderRun()
+    });
+
+    shell(Mode.RESPAWNING, {
+      update: activeUpdate,
+      render: () => {
+        const { players } = this.state;
+        if (players.length === 1) {
+          const [{ lives, respawnReady }] = players;
+          this._renderRun({
+            title: 'SHIP LOST',
+            subtitle: livesLeft(lives),
+            prompt: respawnReady ? 'Press Fire to launch' : null
+          });
+          return;
+        }
+
+        const ready = players.filter((player) => player.ship.dead && player.respawnReady);
+        this._renderRun({
+          title: 'SHIPS LOST',
+          subtitle: this.sim.rules.versus
+            ? killsLine(players)
+            : players.map((player) => `P${player.index + 1}: ${livesLeft(player.lives)}`).join('   '),
+          prompt: ready.length
+            ? `${ready.map((player) => `P${player.index + 1}`).join(' / ')}: Press Fire to launch`
+            : null
+        });
+      }
+    });
+
+    // PAUSED: world is frozen; only the pause keys are read.
+    shell(Mode.PAUSED, {
+      enter: (from, payload) => {
+        this.input.clearAll();
+        this.virtualControls?.reset?.();
+        this.audio.suspendMusic?.();
+        this.canvas?.dispatchEvent?.(
+          new CustomEvent('game-paused', { detail: { reason: payload?.reason ?? 'key' } })
+        );
+      },
+      exit: (to, payload) => {
+        if (!payload?.resumed) return; // restart / quit handle their own audio + overlays
+        // Drop time accumulated while paused so the world does not jump forward.
+        this.input.clearAll();
+        this.accum = 0;
+        this.audio.resumeMusic?.();
+        this.canvas?.dispatchEvent?.(new CustomEvent('game-resumed'));
+      },
+      update: () => {
+        if (this.input.pressed('Escape') || this.input.pressed('KeyP')) {
+          this.resume();
+        }
+      },
+      render: () => this._renderRun()
+    });
+
+    // GAME_OVER: allow restart (Enter); the HUD shows the GAME OVER text (versus: the round winner).
+    shell(Mode.GAME_OVER, {
+      update: () => {
+        if (this.input.pressed('Enter')) this.reset(); // immediate new run
+      },
+      render: () => {
+        if (!this.sim.rules.versus) {
+          this._renderRun();
+          return;
+        }
+        const { players } = this.state;
+        const winner = players.reduce((best, player) => (player.kills > best.kills ? player : best));
+        this._renderRun({
+          title: `P${winner.index + 1} WINS`,
+          subtitle: killsLine(players),
+          prompt: 'Press Enter for the next round'
+        });
+      }
+    });
+  }
+
+
+  /** Current run state (owned by the Simulation). */
+  get state() {
+    return this.sim.state;
+  }
+
+  /** Best score of the current run's game mode and difficulty (solo or co-op). */
+  get highScore() {
+    return this._highScoreFor(this.state.gameMode, this.state.difficulty, this.state.players.length);
+  }
+
+  _highScoreFor(gameMode, difficulty, playerCount = 1) {
+    return this.highScores[highScoreKey(gameMode, difficulty, playerCount)] ?? 0;
   }
 
 
   _loadHighScoreAsync() {
-    loadHighScore()
-      .then((storedScore) => {
-        if (typeof storedScore === 'number' && storedScore >= 0) {
-          this.highScore = storedScore;
-          this._lastPersistedHighScore = storedScore;
-          this.state.highScore = storedScore;
+    for (const { id: gameMode } of listGameModes()) {
+      for (const { id: difficulty } of listDifficulties()) {
+        for (let playerCount = 1; playerCount <= getMaxPlayers(); playerCount++) {
+          const key = highScoreKey(gameMode, difficulty, playerCount);
+          loadHighScore(gameMode, difficulty, playerCount)
+            .then((storedScore) => {
+              if (typeof storedScore === 'number' && storedScore >= 0) {
+                this.highScores[key] = storedScore;
+                this._lastPersistedHighScores[key] = storedScore;
+                const S = this.state;
+                if (highScoreKey(S.gameMode, S.difficulty, S.players.length) === key) S.highScore = storedScore;
+              }
+            })
+            .catch((err) => {
+              console.warn(`Failed to load ${key} high score:`, err);
+            });
+        }
+      }
+    }
+  }
+
+  /**
+   * Choose the game mode of the next run (start menu). The run in progress,
+   * if any, keeps its own rules.
+   * @param {string} gameMode - id from CONFIG.GAME_MODES.types
+   * @returns {boolean} false for an unknown id
+   */
+  setGameMode(gameMode) {
+    if (!isGameMode(gameMode)) return false;
+    if (gameMode === this.gameMode) return true;
+
+    this.gameMode = gameMode;
+    this.canvas?.dispatchEvent?.(new CustomEvent('game-mode-changed', { detail: { gameMode } }));
+    return true;
+  }
+
+  /**
+   * Choose the difficulty preset of the next run (start menu). The run in
+   * progress, if any, keeps its own config.
+   * @param {string} difficulty - id from CONFIG.DIFFICULTY.presets
+   * @returns {boolean} false for an unknown id
+   */
+  setDifficulty(difficulty) {
+    if (!isDifficulty(difficulty)) return false;
+    if (difficulty === this.difficulty) return true;
+
+    this.difficulty = difficulty;
+    this.canvas?.dispatchEvent?.(new CustomEvent('difficulty-changed', { detail: { difficulty } }));
+    return true;
+  }
+
+  /**
+   * Choose how many ships the next run has (start menu): 1, or 2 for local co-op.
+   * @param {number} playerCount
+   * @returns {boolean} false for an unsupported count
+   */
+  setPlayerCount(playerCount) {
+    if (normalizePlayerCount(playerCount) !== playerCount) return false;
+    if (playerCount === this.playerCount) return true;
+
+    this.playerCount = playerCount;
+    this._dispatchPlayersChanged();
+    return true;
+  }
+
+  /**
+   * Choose how the next co-op run presents its score (start menu).
+   * @param {'shared'|'separate'} scoreMode
+   * @returns {boolean} false for an unknown score mode
+   */
+  setScoreMode(scoreMode) {
+    if (!SCORE_MODES.includes(scoreMode)) return false;
+    if (scoreMode === this.scoreMode) return true;
+
+    this.scoreMode = scoreMode;
+    this._dispatchPlayersChanged();
+    return true;
+  }
+
+  _dispatchPlayersChanged() {
+    this.canvas?.dispatchEvent?.(
+      new CustomEvent('players-changed', {
+        detail: { playerCount: this.playerCount, scoreMode: this.scoreMode }
+      })
+    );
+  }
+
+
+  _loadSavedRunAsync() {
+    this.savedRun = null;       // snapshot offered by the menu's "Continue Run"
+    this._saveAfterTick = false;
+
+    loadSavedRun()
+      .then((snapshot) => {
+        // A run saved during this session is newer than anything on disk.
+        if (snapshot && !this.savedRun) {
+          this._setSavedRun(snapshot);
         }
       })
       .catch((err) => {
-        console.warn('Failed to load high score:', err);
+        console.warn('Failed to load saved run:', err);
+      });
+  }
+
+
+  _loadDailyResultsAsync() {
+    this.dailyResults = {};      // daily challenge results by date key (see dailyChallengeStorage.js)
+    this.dailyChallenge = null;  // date key while the current run is that day's scored attempt
+
+    loadDailyResults()
+      .then((results) => {
+        // Entries recorded during this session are newer than anything on disk.
+        this.dailyResults = { ...results, ...this.dailyResults };
+        this._dispatchDailyResultsChanged();
+      })
+      .catch((err) => {
+        console.warn('Failed to load daily challenges:', err);
       });
   }
 
@@ -132,9 +516,13 @@ export class Game {
     const ensureControls = (enabled) => {
       if (enabled && !this.virtualControls) {
         this.virtualControls = new VirtualControls(this.canvas, this.input, {
-          getShipAngle: () => this.state.ship.angle,
+          playerCount: this._inputPlayerCount(),
+          getShipAngle: () => this.state.players[0].ship.angle,
           onUserGesture: () => {
             this.requestAudioUnlock();
+          },
+          onPauseToggle: () => {
+            this.togglePause();
           }
         });
       } else if (!enabled && this.virtualControls) {
@@ -171,6 +559,34 @@ export class Game {
   }
 
 
+  _attachAutoPauseListeners() {
+    // Losing focus mid-run (tab switch, app switch, rotating the phone) should
+    // never cost a life, so any of these drop the game into PAUSED.
+    this._onVisibilityChange = () => {
+      if (document.hidden) this.pause('hidden');
+    };
+    this._onWindowBlur = () => {
+      this.pause('blur');
+    };
+    this._onOrientationChange = () => {
+      this.pause('orientation');
+    };
+
+    document.addEventListener('visibilitychange', this._onVisibilityChange);
+    window.addEventListener('blur', this._onWindowBlur);
+    window.addEventListener('orientationchange', this._onOrientationChange);
+  }
+
+
+  _attachSaveListeners() {
+    // Closing or refreshing the tab mid-run keeps the run for "Continue Run".
+    this._onPageHide = () => {
+      this.saveRun();
+    };
+    window.addEventListener('pagehide', this._onPageHide);
+  }
+
+
   requestAudioUnlock(force = false) {
     return this._tryUnlockAudio?.(force);
   }
@@ -193,125 +609,84 @@ export class Game {
   }
 
 
-  // Build a fresh state object (used at boot + reset)
-  createInitialState() {
-    // Ship accepts an options bag; here we disable respawn blink initially.
-    const ship = new Ship(CONFIG.CANVAS.W / 2, CONFIG.CANVAS.H / 2, { invulnBlink: false });
-    ship.resetSpeedLevel?.(); // optional helper: reset any speed power-up state
-
-    return {
-      mode: 'MENU',              // MENU | PLAY | GAME_OVER
-      wave: 0,
-      score: 0,
-      lives: CONFIG.SHIP.LIVES,
-      highScore: this.highScore ?? 0,
-      didBeatHighScore: false,
-
-      ship,                      // player entity
-      bullets: [],               // active projectiles
-      asteroids: [],             // active asteroids
-      powerups: [],              // active power-ups
-      powerupsCollected: 0,      // stat/telemetry (not required for gameplay)
-
-      ufo: null,
-      ufoBullets: [],
-      ufoSpawnTimer: null,
-      ufoSpawnedThisWave: false
-    };
+  /**
+   * Enter the animation loop. We don't spawn a wave here; the user starts from MENU.
+   */
+  start() {
+    requestAnimationFrame(this._loop);
   }
 
-  getUfoSpawnDelayForWave(wave) {
-    const timer = CONFIG.UFO?.SPAWN_TIMER;
-    if (!timer) return null;
-    const start = timer.START ?? 0;
-    const decrement = timer.DECREMENT_PER_WAVE ?? 0;
-    const min = timer.MIN ?? 0;
-    const delay = start - wave * decrement;
-    return Math.max(min, delay);
+  /**
+   * MENU → WAVE_INTRO transition: reset run state, spawn first wave, start music.
+   * @param {number|string} [seed] - replay a specific run; omitted → random seed
+   * @param {Object} [options] - see reset()
+   */
+  startGame(seed, options) {
+    if (this.state.mode !== Mode.MENU) return;
+    this.reset(seed, options);
   }
 
-  resetUfoStateForWave() {
-    const S = this.state;
-    S.ufo = null;
-    S.ufoBullets = [];
-    S.ufoSpawnedThisWave = false;
-    const delay = this.getUfoSpawnDelayForWave(S.wave);
-    S.ufoSpawnTimer = typeof delay === 'number' ? delay : null;
+  /**
+   * Today's daily challenge (local calendar day).
+   * @param {Date} [now]
+   * @returns {{ key: string, seed: number, attempted: boolean,
+   *             result: { score: number, wave: number, finished: boolean }|null }}
+   */
+  getDailyChallenge(now = new Date()) {
+    const key = getDailyKey(now);
+    const result = this.dailyResults[key] ?? null;
+    return { key, seed: getDailySeed(key), attempted: !!result, result };
   }
 
-  spawnUfoForCurrentWave() {
-    const S = this.state;
-    const sprites = CONFIG.UFO?.SPRITES ?? [];
-    const spriteKey = sprites.length
-      ? sprites[Math.floor(Math.random() * sprites.length)]
-      : null;
-
-    const margin = CONFIG.UFO?.OFFSCREEN_MARGIN ?? 0;
-    const speed = CONFIG.UFO?.SPEED ?? 0;
-    const { W, H } = CONFIG.CANVAS;
-
-    const horizontal = Math.random() < 0.5;
-    let x = 0;
-    let y = 0;
-    let vx = 0;
-    let vy = 0;
-
-    if (horizontal) {
-      y = Math.random() * H;
-      const fromLeft = Math.random() < 0.5;
-      x = fromLeft ? -margin : W + margin;
-      vx = fromLeft ? speed : -speed;
-    } else {
-      x = Math.random() * W;
-      const fromTop = Math.random() < 0.5;
-      y = fromTop ? -margin : H + margin;
-      vy = fromTop ? speed : -speed;
-    }
-
-    S.ufo = new Ufo({ x, y, vx, vy, spriteKey });
-    S.ufoSpawnedThisWave = true;
-    S.ufoSpawnTimer = null;
+  /** @returns {Object<string, Object>} every recorded daily challenge, by date key */
+  getDailyResults() {
+    return this.dailyResults;
   }
 
   /**
-   * Enter the animation loop. We don't spawn a wave here; the user starts from MENU.
+   * MENU → today's daily challenge. Each day allows one scored attempt; it
+   * counts as used as soon as it starts.
+   * @param {Date} [now]
+   * @returns {boolean} false when today's attempt was already used
    */
-  start() {
-    requestAnimationFrame(this._loop);
+  startDailyChallenge(now = new Date()) {
+    if (this.state.mode !== Mode.MENU) return false;
+    const daily = this.getDailyChallenge(now);
+    if (daily.attempted) return false;
+
+    // Daily challenges are solo runs so every score is comparable.
+    const rules = CONFIG.DAILY_CHALLENGE ?? {};
+    this.startGame(daily.seed, {
+      gameMode: rules.GAME_MODE,
+      difficulty: rules.DIFFICULTY,
+      playerCount: 1,
+      daily: daily.key
+    });
+    this._recordDailyResult({ finished: false });
+    return true;
   }
 
   /**
-   * MENU → PLAY transition: reset run state, spawn first wave, start music.
+   * Store the daily attempt's current score (run saves) or final score (game over).
+   * No-op unless the live run is a scored daily challenge.
+   * @param {{ finished: boolean }} options
    */
-  startGame() {
-    if (this.state.mode !== 'MENU') return;
-
-    // Reset run progress
-    this.state.mode = 'PLAY';
-    this.state.wave = 0;
-    this.state.score = 0;
-    this.state.lives = CONFIG.SHIP.LIVES;
-    this.state.highScore = this.highScore;
-    this.state.didBeatHighScore = false;
-
-    // New ship centered, with clean speed state
-    this.state.ship = new Ship(CONFIG.CANVAS.W / 2, CONFIG.CANVAS.H / 2, { invulnBlink: false });
-    this.state.ship.resetSpeedLevel?.();
-
-    // Clear any previous entities
-    this.state.bullets.length = 0;
-    this.state.asteroids.length = 0;
-
-    // Match ship sprite to shield level (e.g., color/overlay)
-    this.renderer.setShipSpriteForShieldLevel(this.state.ship.shieldLevel);
-
-    // First wave + optional power-up + music
-    spawnWave(this.state);
-    maybeSpawnPowerUp(this.state);
-    this.resetUfoStateForWave();
-    this.audio.startMusic?.();
+  _recordDailyResult({ finished }) {
+    if (!this.dailyChallenge || this.replayPlayer) return;
+
+    const S = this.state;
+    this.dailyResults = {
+      ...this.dailyResults,
+      [this.dailyChallenge]: { score: S.score, wave: S.wave, finished, updatedAt: Date.now() }
+    };
+    saveDailyResults(this.dailyResults).catch((err) => {
+      console.warn('Failed to save daily challenge:', err);
+    });
+    this._dispatchDailyResultsChanged();
+  }
 
-    this.canvas?.dispatchEvent?.(new CustomEvent('game-started'));
+  _dispatchDailyResultsChanged() {
+    this.canvas?.dispatchEvent?.(new CustomEvent('daily-results-changed'));
   }
 
   /**
@@ -323,7 +698,7 @@ export class Game {
     this.lastTime = time;
 
     // Fixed-step simulation: run update() in consistent slices (fixedDt)
-    this.accum += dt;
+    this.accum += dt * this.timeScale;
     while (this.accum >= this.fixedDt) {
       this.update(this.fixedDt);
       this.accum -= this.fixedDt;
@@ -337,311 +712,196 @@ export class Game {
     requestAnimationFrame(this._loop);
   }
 
+  /** @returns {number} players whose key sets the input devices press: the run's, or the next run's in the menu */
+  _inputPlayerCount() {
+    return this.state.mode === Mode.MENU ? this.playerCount : this.state.players.length;
+  }
+
   /**
    * Advance game state by dt (fixed time slice).
-   * Handles per-mode logic (MENU/PLAY/GAME_OVER), input, AI, collisions, and progression.
+   * Runs the current mode's hooks: the shell's keys (start, pause, restart,
+   * replay speed) first, then the Simulation's tick in the active modes.
    */
   update(dt) {
-    const S = this.state;
-
-    // --- MENU: wait for explicit user start (keyboard or pointer) ---
-    if (S.mode === 'MENU') {
-      if (this.input.pressed('Enter') || this.input.pressed('Space')) {
-        this.startGame();
-      }
-      return; // do not run world updates behind the menu
+    // Gamepads press their player's keys before anything reads the input this
+    // tick; touch controls follow the key set of the current player count.
+    const playerCount = this._inputPlayerCount();
+    this.gamepads.poll(playerCount);
+    this.virtualControls?.setPlayerCount(playerCount);
+
+    // Render-only toggle for comparing smoothed vs. raw fixed-step motion.
+    if (this.input.pressed('KeyI')) {
+      this.setRenderInterpolation(!this.renderInterpolation);
     }
-
-    // --- GAME_OVER: allow restart (Enter) ---
-    if (S.mode === 'GAME_OVER') {
-      if (this.input.pressed('Enter')) this.reset(); // immediate new run
-      return;
+    if (this.input.pressed('KeyG')) {
+      this.setGhostEnabled(!this.ghostEnabled);
     }
 
-    // --- PLAY: core real-time simulation below ---
-
-    const damageShip = ({ onShieldAbsorb, scoreBonus = 0 } = {}) => {
-      this.audio.playPlayerHit?.();
-
-      if (S.ship.shieldLevel > 0) {
-        onShieldAbsorb?.();
-        if (scoreBonus) {
-          S.score += scoreBonus;
-          this.updateHighScore(S.score);
-        }
-
-        if (S.ship.decreaseShieldLevel()) {
-          this.renderer.setShipSpriteForShieldLevel(S.ship.shieldLevel);
-        }
-
-        const shieldInvuln = CONFIG.SHIP.SHIELD_HIT_INVULN ?? 0;
-        S.ship.invuln = shieldInvuln;
-        S.ship.resetInvulnBlink?.();
-        return true;
-      }
+    this.sim.update(dt, this.input);
 
-      S.lives -= 1;
-      if (S.lives <= 0) {
-        S.mode = 'GAME_OVER';
-        this.audio.stopMusic?.();
-        this.updateHighScore(S.score);
-        this.canvas?.dispatchEvent?.(
-          new CustomEvent('game-over', {
-            detail: {
-              score: S.score,
-              wave: S.wave,
-              highScore: this.highScore,
-              newHighScore: !!S.didBeatHighScore
-            }
-          })
-        );
-        return false;
-      }
-
-      S.ship = new Ship(CONFIG.CANVAS.W / 2, CONFIG.CANVAS.H / 2);
-      S.ship.resetSpeedLevel?.();
-      this.renderer.setShipSpriteForShieldLevel(S.ship.shieldLevel);
-      return true;
-    };
-
-    // Ship controls + movement (reads Input internally)
-    S.ship.update(dt, this.input);
-
-    // Shooting: if fire is held or tapped and cooldown permits, create bullets via Ship.fire()
-    if ((this.input.isDown('Space') || this.input.pressed('KeyJ')) && S.ship.canFire()) {
-      const bullets = S.ship.fire();   // may return 1 or multiple (e.g., triple-shot)
-      S.bullets.push(...bullets);
-      this.audio.playShoot?.();
-    }
-
-    // Integrate entity-local updates (movement, spin, timers)
-    for (const b of S.bullets)  b.update(dt);
-    for (const a of S.asteroids) a.update(dt);
-    for (const pu of S.powerups) pu.update(dt);
-
-    // UFO timer + behavior
-    if (!S.ufo && !S.ufoSpawnedThisWave && typeof S.ufoSpawnTimer === 'number') {
-      S.ufoSpawnTimer = Math.max(0, S.ufoSpawnTimer - dt);
-      if (S.ufoSpawnTimer <= 0) {
-        this.spawnUfoForCurrentWave();
-      }
+    if (this._saveAfterTick) {
+      this._saveAfterTick = false;
+      this.saveRun();
     }
+  }
 
-    if (S.ufo) {
-      const lasers = S.ufo.update(dt, S.ship);
-      if (lasers && lasers.length) {
-        S.ufoBullets.push(...lasers);
-        this.audio.playUfoLaser?.();
-      }
-      if (S.ufo?.dead) {
-        S.ufo = null;
-      }
+  /**
+   * Shell update for the active modes (WAVE_INTRO / PLAY / RESPAWNING): pause
+   * keys, then the input the simulation reads this tick. Pausing (or a replay
+   * running out) changes mode, which skips the simulation's tick.
+   */
+  _updateActiveTick() {
+    if (this.input.pressed('Escape') || this.input.pressed('KeyP')) {
+      this.pause('key');
+      return;
     }
 
-    // UFO lasers do not wrap across the screen; they self-destroy when off-screen or timed out.
-    for (const laser of S.ufoBullets) {
-      laser.update(dt);
-    }
+    // Live keyboard/touch input, or the recorded input when watching a replay.
+    const input = this._inputForTick();
+    if (input) this.sim.tickInput = input;
+  }
 
-    // Wrap all entities across screen edges (toroidal space)
-    integrateAndWrap(S.ship);
-    for (const b of S.bullets)  integrateAndWrap(b);
-    for (const a of S.asteroids) integrateAndWrap(a);
-    for (const pu of S.powerups) integrateAndWrap(pu);
+  /**
+   * Resolve the input the simulation reads this tick and feed the replay
+   * machinery. Returns null when a replay has run out of recorded ticks.
+   */
+  _inputForTick() {
+    const S = this.state;
 
-    this._handleBulletCollisions();
-    if (S.mode === 'GAME_OVER') return;
+    if (this.replayPlayer) {
+      // Speed controls only exist while watching; they never reach the recording.
+      for (const speed of REPLAY_SPEEDS) {
+        if (this.input.pressed(`Digit${speed}`)) this.setReplaySpeed(speed);
+      }
 
-    if (S.ship.invuln <= 0) {
-      const shipSurvived = this._handleShipHazardCollisions(damageShip);
-      if (!shipSurvived || S.mode === 'GAME_OVER') {
-        return;
+      const replayInput = this.replayPlayer.nextTick(S);
+      if (!replayInput) {
+        // Recording ended but the run did not: freeze here so QA can inspect.
+        this._endReplayForRun('input-exhausted');
+        this.pause('replay-end');
+        return null;
       }
+      return replayInput;
     }
 
-    this._handlePowerupCollisions();
-    this.updateHighScore(S.score);
-
-    // --- Cleanup: remove dead entities from arrays (cheap compaction) ---
-    S.bullets    = S.bullets.filter(b => !b.dead);
-    S.asteroids  = S.asteroids.filter(a => !a.dead);
-    S.powerups   = S.powerups.filter(p => !p.dead);
-    S.ufoBullets = S.ufoBullets.filter(l => !l.dead);
-
-    // --- Progression: next wave once all asteroids are cleared ---
-    if (S.asteroids.length === 0 && S.mode === 'PLAY') {
-      S.wave += 1;
-      spawnWave(S);
-      maybeSpawnPowerUp(this.state);
-      this.resetUfoStateForWave();
-    }
+    this.replayRecorder?.recordTick(this.input, S);
+    this.ghostRecorder?.recordTick(S);
+    return this.input;
   }
 
+  /** Start capturing the live run's input (called whenever a fresh run begins). */
+  _beginRecording() {
+    this.replayPlayer = null;
+    this.timeScale = 1;
+    this.replayRecorder = new ReplayRecorder({
+      seed: this.state.seed,
+      fixedDt: this.fixedDt,
+      gameMode: this.state.gameMode,
+      difficulty: this.state.difficulty,
+      playerCount: this.state.players.length,
+      scoreMode: this.state.scoreMode
+    });
+    this._beginGhost();
+  }
 
-  _handleBulletCollisions() {
+  /**
+   * Start sampling a fresh solo run for its ghost and look up the best run on
+   * the same seed, game mode and difficulty (co-op / versus runs have none).
+   */
+  _beginGhost() {
     const S = this.state;
+    this.ghost = null;
+    this.ghostRecorder = null;
+    if (S.players.length > 1) return;
+
+    const recorder = new GhostRecorder({ seed: S.seed, gameMode: S.gameMode, difficulty: S.difficulty });
+    this.ghostRecorder = recorder;
+    loadGhost(S.seed, S.gameMode, S.difficulty)
+      .then((ghost) => {
+        // The run may have been left (or restarted) while the ghost loaded.
+        if (this.ghostRecorder === recorder) this.ghost = ghost;
+      })
+      .catch((err) => {
+        console.warn('Failed to load ghost:', err);
+      });
+  }
 
-    forEachBulletAsteroidHit(S.bullets, S.asteroids, (b, a) => {
-      b.dead = true;
-      a.dead = true;
-
-      const idx = a.sizeIndex;
-      if (idx === 2) S.score += CONFIG.SCORE.SMALL;
-      else if (idx === 1) S.score += CONFIG.SCORE.MED;
-      else                S.score += CONFIG.SCORE.LARGE;
-      this.updateHighScore(S.score);
+  /** Store the finished run as the seed's ghost when it beats the current one. */
+  _finishGhost() {
+    if (!this.ghostRecorder) return;
+    const ghost = this.ghostRecorder.finish(this.state);
+    this.ghostRecorder = null;
+    if (this.ghost && this.ghost.score >= ghost.score) return;
 
-      S.asteroids.push(...a.split());
-      this.audio.playAsteroidHit?.();
+    saveGhost(ghost).catch((err) => {
+      console.warn('Failed to save ghost:', err);
     });
-
-    for (const b of S.bullets) {
-      if (b.dead) continue;
-
-      if (S.ufo && !S.ufo.dead && circleHit(b, S.ufo)) {
-        b.dead = true;
-        const destroyed = S.ufo.takeHit();
-        if (destroyed) {
-          S.score += CONFIG.UFO?.SCORE_VALUE ?? 0;
-          this.updateHighScore(S.score);
-          S.ufo = null;
-        }
-      }
-    }
   }
 
-
-  _handleShipHazardCollisions(damageShip) {
+  /**
+   * Close out recording or playback when a run ends.
+   * - Recording: keep the replay so it can be downloaded from the game-over screen.
+   * - Playback: compare against the recording and report through `replay-finished`.
+   * @param {'game-over'|'input-exhausted'} reason
+   */
+  _endReplayForRun(reason) {
     const S = this.state;
 
-    const hitAsteroid = findShipAsteroidHit(S.ship, S.asteroids);
-    if (hitAsteroid) {
-      const idx = hitAsteroid.sizeIndex;
-      const scoreBonus = idx === 2
-        ? CONFIG.SCORE.SMALL
-        : idx === 1
-          ? CONFIG.SCORE.MED
-          : CONFIG.SCORE.LARGE;
-
-      const survived = damageShip({
-        scoreBonus,
-        onShieldAbsorb: () => {
-          hitAsteroid.dead = true;
-          this.audio.playAsteroidHit?.();
-        }
-      });
-
-      if (!survived || S.mode === 'GAME_OVER') {
-        return false;
-      }
-    }
-
-    if (S.mode === 'GAME_OVER') {
-      return false;
+    if (this.replayRecorder) {
+      this.lastReplay = this.replayRecorder.finish(S);
+      this.replayRecorder = null;
     }
 
-    if (S.ship.invuln <= 0) {
-      if (S.ufo && !S.ufo.dead && circleHit(S.ship, S.ufo)) {
-        const survived = damageShip();
-        if (!survived || S.mode === 'GAME_OVER') {
-          return false;
-        }
-      }
-
-      if (S.ship.invuln <= 0) {
-        for (const laser of S.ufoBullets) {
-          if (laser.dead) continue;
-          if (!circleHit(S.ship, laser)) continue;
+    if (this.replayPlayer) {
+      const result = this.replayPlayer.finish(S, reason);
+      this.replayPlayer = null;
+      this.timeScale = 1;
 
-          if (S.ship.invuln > 0) {
-            continue;
-          }
-
-          laser.dead = true;
-          const survived = damageShip();
-          if (!survived || S.mode === 'GAME_OVER') {
-            return false;
-          }
-          break;
-        }
+      if (result.diverged) {
+        console.warn('[Replay] Playback diverged from recording', result);
       }
+      this.canvas?.dispatchEvent?.(new CustomEvent('replay-finished', { detail: result }));
     }
-
-    return true;
   }
 
+  /**
+   * Draw current frame through the current mode's render hook (MENU draws nothing
+   * so the playfield never shows underneath the menu).
+   */
+  render() {
+    const R = this.renderer;
+    R.clear();
 
-  _handlePowerupCollisions() {
-    const S = this.state;
-
-    for (const pu of S.powerups) {
-      if (!pu.dead && circleHit(S.ship, pu)) {
-        pu.dead = true;
-        S.powerupsCollected += 1; // telemetry/stat only
-
-        this.audio.playPowerup?.();
-
-        if (pu.type === 'tripleShot') {
-          const weaponModes = CONFIG.WEAPON;
-          if (S.ship.weaponMode === weaponModes.MODE_FIVE) {
-            const bonus = CONFIG.POWERUP?.types?.tripleShot?.duplicateScore ?? 0;
-            S.score += bonus;
-            this.updateHighScore(S.score);
-          } else if (S.ship.weaponMode === weaponModes.MODE_TRIPLE) {
-            S.ship.weaponMode = weaponModes.MODE_FIVE;
-          } else {
-            S.ship.weaponMode = weaponModes.MODE_TRIPLE;
-          }
-
-        } else if (pu.type === 'extraLife') {
-          const maxLives = CONFIG.SHIP.MAX_LIVES ?? Infinity;
-          if (S.lives < maxLives) {
-            S.lives = Math.min(maxLives, S.lives + 1);
-          } else {
-            const bonus = CONFIG.POWERUP?.types?.extraLife?.duplicateScore ?? 0;
-            S.score += bonus;
-            this.updateHighScore(S.score);
-          }
-
-        } else if (pu.type === 'shield') {
-          const maxShield = CONFIG.SHIP.SHIELD_MAX_LEVEL ?? 2;
-          if (S.ship.shieldLevel < maxShield && S.ship.increaseShieldLevel()) {
-            this.renderer.setShipSpriteForShieldLevel(S.ship.shieldLevel);
-          } else {
-            const bonus = CONFIG.POWERUP?.types?.shield?.duplicateScore ?? 0;
-            S.score += bonus;
-            this.updateHighScore(S.score);
-          }
+    // Blend between the last two fixed steps; frozen modes draw the exact state.
+    const alpha = this.sim.isActive() ? this.accum / this.fixedDt : 1;
+    R.setInterpolation(alpha, this.renderInterpolation);
 
-        } else if (pu.type === 'speed') {
-          if (!S.ship.increaseSpeedLevel()) {
-            const bonus = CONFIG.POWERUP?.types?.speed?.duplicateScore ?? 0;
-            S.score += bonus;
-            this.updateHighScore(S.score);
-          }
-        }
-      }
-    }
+    this.sim.machine.render();
   }
 
   /**
-   * Draw current frame. Early-out for MENU to avoid drawing the playfield underneath.
+   * Draw the playfield and HUD of the current run.
+   * @param {{ title: string, subtitle?: string, prompt?: string }} [banner] - centered mode banner
    */
-  render() {
+  _renderRun(banner = null) {
     const R = this.renderer; const S = this.state;
-    R.clear();
 
-    if (S.mode === 'MENU') {
-      return;
-    }
-
-    // World
+    // World (lost ships stay hidden until they relaunch)
     for (const a of S.asteroids) R.asteroid(a);
     for (const pu of S.powerups) R.powerUp(pu);
     if (S.ufo) R.ufo(S.ufo);
+    for (const escort of S.escorts) R.ufo(escort);
+    if (S.boss) R.mothership(S.boss);
     for (const laser of S.ufoBullets) R.ufoLaser(laser);
+    for (const debris of S.ufoDebris) R.ufoDebris(debris);
+    for (const fighter of S.fighters) R.fighter(fighter);
+    for (const shot of S.fighterShots) R.fighterShot(shot);
     for (const b of S.bullets) R.bullet(b);
-    R.ship(S.ship);
+    const ghostShip = this._ghostShip();
+    if (ghostShip) R.ghostShip(ghostShip);
+    for (const { ship } of S.players) {
+      if (!ship.dead) R.ship(ship);
+    }
 
     const audioEnabled = typeof this.audio?.isEnabled === 'function'
       ? this.audio.isEnabled()
@@ -658,8 +918,9 @@ export class Game {
       : undefined;
 
     // HUD (score/lives/wave; shows GAME OVER overlay when appropriate)
+    const running = this.sim.isActive() || S.mode === Mode.PAUSED;
     let ufoLabel = null;
-    if (S.mode === 'PLAY') {
+    if (running) {
       if (S.ufo) {
         ufoLabel = 'UFO: ACTIVE';
       } else if (!S.ufoSpawnedThisWave && typeof S.ufoSpawnTimer === 'number') {
@@ -669,26 +930,153 @@ export class Game {
       }
     }
 
+    // Fighters on the field, else the countdown to the next squadron
+    let fighterLabel = null;
+    if (running) {
+      if (S.fighters.length > 0) {
+        fighterLabel = `Fighters: ${S.fighters.length}`;
+      } else if (S.squadrons.length > 0 && typeof S.squadronTimer === 'number') {
+        fighterLabel = `Squadron: ${Math.max(0, S.squadronTimer).toFixed(1)}s`;
+      }
+    }
+
+    // Boss health across all its zones
+    const bossBar = running && S.boss
+      ? {
+          label: CONFIG.BOSS.LABEL,
+          fraction: S.boss.health / S.boss.maxHealth,
+          shielded: !S.boss.coreExposed
+        }
+      : null;
+
+    const rules = this.sim.rules;
+    const coop = S.players.length > 1;
+
+    // Hyperspace cooldown indicator (solo; only while the ship is on the field)
+    const soloShip = S.players[0].ship;
+    let hyperspaceLabel = null;
+    if (running && !coop && !soloShip.dead) {
+      hyperspaceLabel = `Hyperspace: ${hyperspaceStatus(soloShip)}`;
+    }
+
+    // Co-op / versus: one panel per player (lives or kills, score, shield, hyperspace, relaunch state)
+    const playerPanels = coop
+      ? S.players.map((player) => this._playerPanel(player, { running, showLives: !rules.noDeath && !rules.versus }))
+      : null;
+
+    // Game-mode indicator: the run clock in timed modes, otherwise the mode's name
+    let modeLabel = null;
+    if (typeof S.timeLeft === 'number') {
+      modeLabel = `TIME ${formatClock(S.timeLeft)}`;
+    } else if (rules.id !== getDefaultGameMode()) {
+      modeLabel = rules.label.toUpperCase();
+    }
+
+    const difficultyLabel = `Difficulty: ${getDifficultyPreset(S.difficulty).label}`;
+
+    // Score against the ghost run at the same tick
+    let ghostLabel = null;
+    if (running && this.ghost && this.ghostEnabled && this.ghostRecorder) {
+      ghostLabel = ghostDelta(S.score - ghostScoreAt(this.ghost, this.ghostRecorder.ticks));
+    }
+
+    const replayLabel = this.replayPlayer
+      ? `REPLAY ${this.timeScale}x  (1/2/4 to change speed)`
+      : null;
+
     drawHUD(R, this.hudRenderer, S, {
       audioEnabled,
       muteButton,
-      ufoLabel
+      ufoLabel,
+      fighterLabel,
+      bossBar,
+      hyperspaceLabel,
+      ghostLabel,
+      playerPanels,
+      modeLabel,
+      difficultyLabel,
+      showLives: !rules.noDeath,
+      showScore: !rules.versus,
+      showWave: !rules.versus,
+      replayLabel,
+      banner
     });
   }
 
+  /**
+   * Where the ghost ship is this frame: the ghost run's pose after as many
+   * ticks as the live run has played, with the previous tick's pose for
+   * interpolation (none across a jump). Null while it is hidden or off the field.
+   * @returns {import('../systems/Renderer.js').ShipDrawable|null}
+   */
+  _ghostShip() {
+    if (!this.ghost || !this.ghostEnabled || !this.ghostRecorder) return null;
+
+    const tick = this.ghostRecorder.ticks;
+    const pose = ghostPoseAt(this.ghost, tick);
+    if (!pose) return null;
+
+    let prev = ghostPoseAt(this.ghost, tick - 1) ?? pose;
+    const step = Math.hypot(wrapDelta(pose.x - prev.x, CONFIG.CANVAS.W), wrapDelta(pose.y - prev.y, CONFIG.CANVAS.H));
+    if (step > GHOST_JUMP_DISTANCE) prev = pose;
+    return {
+      ...pose,
+      prevX: prev.x,
+      prevY: prev.y,
+      prevAngle: prev.angle,
+      color: this.state.players[0].ship.color
+    };
+  }
+
+  /**
+   * HUD panel of one co-op / versus player.
+   * @param {Object} player - state.players entry
+   * @param {{ running: boolean, showLives: boolean }} options
+   * @returns {{ title: string, lines: string[] }}
+   */
+  _playerPanel(player, { running, showLives }) {
+    const { ship } = player;
+    const lines = [];
+
+    const { versus, killsToWin } = this.sim.rules;
+    if (versus) {
+      lines.push(`Kills: ${player.kills} / ${killsToWin}`);
+    } else if (this.state.scoreMode === 'separate') {
+      lines.push(`Score: ${player.score.toLocaleString()}`);
+    }
+    if (showLives) lines.push(`Lives: ${player.lives}`);
+
+    if (!ship.dead) {
+      lines.push(`Shield: ${ship.shieldLevel}`);
+      if (running) lines.push(`Hyperspace: ${hyperspaceStatus(ship)}`);
+    } else if (player.lives <= 0) {
+      lines.push('OUT');
+    } else if (running) {
+      lines.push(player.respawnReady ? 'Press Fire to launch' : 'Relaunching...');
+    }
+
+    return { title: `P${player.index + 1}`, lines };
+  }
+
+  /**
+   * Persist a new best score reported by the simulation.
+   * @param {number} score
+   */
   updateHighScore(score) {
     if (typeof score !== 'number') return;
-    if (score <= this.highScore) {
+    if (this.replayPlayer) return; // watching a replay never touches the player's records
+    const { gameMode, difficulty } = this.state;
+    const playerCount = this.state.players.length;
+    const key = highScoreKey(gameMode, difficulty, playerCount);
+    if (score <= (this.highScores[key] ?? 0)) {
       return;
     }
 
-    this.highScore = score;
-    this.state.highScore = score;
-    this.state.didBeatHighScore = true;
+    this.highScores[key] = score;
 
-    if (score > this._lastPersistedHighScore) {
-      this._lastPersistedHighScore = score;
-      saveHighScore(score).catch((err) => {
+    if (score > (this._lastPersistedHighScores[key] ?? 0)) {
+      this._lastPersistedHighScores[key] = score;
+      saveHighScore(score, gameMode, difficulty, playerCount).catch((err) => {
         console.warn('Failed to save high score:', err);
       });
     }
@@ -751,7 +1139,7 @@ export class Game {
     }
 
     if (enabled) {
-      if (this.state.mode === 'PLAY') this.audio.startMusic?.();
+      if (this.sim.isActive()) this.audio.startMusic?.();
     } else {
       this.audio.stopMusic?.();
     }
@@ -759,29 +1147,233 @@ export class Game {
 
 
   /**
-   * Reset into a fresh PLAY session (classic arcade flow).
+   * Turn render interpolation on/off (the simulation is unaffected).
+   * @param {boolean} enabled
+   */
+  setRenderInterpolation(enabled) {
+    this.renderInterpolation = !!enabled;
+  }
+
+  /**
+   * Show or hide the best-run ghost and its score delta (remembered between visits).
+   * @param {boolean} enabled
+   */
+  setGhostEnabled(enabled) {
+    this.ghostEnabled = !!enabled;
+    saveGhostEnabled(this.ghostEnabled);
+    this.canvas?.dispatchEvent?.(
+      new CustomEvent('ghost-changed', { detail: { enabled: this.ghostEnabled } })
+    );
+  }
+
+  /**
+   * Active mode → PAUSED transition. Freezes the simulation, releases held keys
+   * and suspends music (PAUSED enter hook). Safe to call from any mode; only an
+   * active run is paused.
+   * @param {string} [reason] - what triggered the pause ('key', 'touch', 'hidden', 'blur', 'orientation', 'replay-end')
+   */
+  pause(reason = 'key') {
+    this.sim.pause(reason);
+  }
+
+  /**
+   * PAUSED → the mode the run was paused in (PAUSED exit hook restores input,
+   * timing and music).
+   */
+  resume() {
+    this.sim.resume();
+  }
+
+  /** Flip between the active modes and PAUSED (used by the touch pause button). */
+  togglePause() {
+    if (this.state.mode === Mode.PAUSED) {
+      this.resume();
+    } else {
+      this.pause('touch');
+    }
+  }
+
+  /**
+   * Reset into a fresh run (classic arcade flow); it opens with the first WAVE_INTRO.
    * If you want to return to MENU instead, call returnToMenu().
+   * @param {number|string} [seed] - pass the previous run's seed to replay it exactly
+   * @param {{ gameMode?: string, difficulty?: string, playerCount?: number,
+   *           scoreMode?: string, daily?: string|null }} [options]
+   *   gameMode / difficulty / playerCount / scoreMode default to the menu selection;
+   *   daily is the date key when this run is that day's scored daily challenge
    */
-  reset() {
-    this.state = this.createInitialState();
-    this.renderer.setShipSpriteForShieldLevel(this.state.ship.shieldLevel);
-
-    // Jump straight back into gameplay
-    this.state.mode = 'PLAY';
-    spawnWave(this.state);
-    maybeSpawnPowerUp(this.state);
-    this.resetUfoStateForWave();
+  reset(seed, {
+    gameMode = this.gameMode,
+    difficulty = this.difficulty,
+    playerCount = this.playerCount,
+    scoreMode = this.scoreMode,
+    daily = null
+  } = {}) {
+    this.dailyChallenge = daily;
+    // Jump straight back into gameplay (first wave, power-up roll, UFO timer, intro banner)
+    this.sim.startRun({
+      seed,
+      gameMode,
+      difficulty,
+      playerCount,
+      scoreMode,
+      highScore: this._highScoreFor(gameMode, difficulty, playerCount)
+    });
+    this._beginRecording();
     this.audio.startMusic?.();
 
-    this.canvas?.dispatchEvent?.(new CustomEvent('game-started'));
+    this.canvas?.dispatchEvent?.(new CustomEvent('game-started', { detail: { seed: this.state.seed } }));
+  }
+
+  /**
+   * Watch a recorded run: restart with the replay's seed, game mode, difficulty and players and drive
+   * the ships from the recorded input instead of the keyboard / virtual controls.
+   * @param {Object} replay - parsed replay (see replay/replayFormat.js)
+   * @param {{ speed?: number }} [options] - playback speed: 1, 2 or 4
+   */
+  startReplay(replay, { speed = 1 } = {}) {
+    if (!replay) return;
+    this.reset(replay.seed, {
+      gameMode: replay.gameMode,
+      difficulty: replay.difficulty,
+      playerCount: replay.playerCount,
+      scoreMode: replay.scoreMode
+    });
+    this.replayRecorder = null;
+    this.ghostRecorder = null;
+    this.replayPlayer = new ReplayPlayer(replay);
+    this.setReplaySpeed(speed);
+  }
+
+  /** Set replay playback speed (ignored for live runs). */
+  setReplaySpeed(speed) {
+    if (!this.replayPlayer) return;
+    this.timeScale = REPLAY_SPEEDS.includes(speed) ? speed : 1;
+  }
+
+  /** @returns {Object|null} the most recent finished recording */
+  getLastReplay() {
+    return this.lastReplay;
+  }
+
+  /**
+   * Save the live run to the "Continue Run" slot. Only live runs in an active
+   * mode or PAUSED are saved; replays and finished runs are ignored.
+   */
+  saveRun() {
+    const active = this.sim.isActive() || this.state.mode === Mode.PAUSED;
+    if (this.replayPlayer || !active) return;
+
+    const snapshot = serializeRun(this.state, {
+      replay: this.replayRecorder?.toSnapshot() ?? null,
+      daily: this.dailyChallenge
+    });
+    this._setSavedRun(snapshot);
+    this._recordDailyResult({ finished: false });
+    persistSavedRun(snapshot).catch((err) => {
+      console.warn('Failed to save run:', err);
+    });
+  }
+
+  /** Forget the saved run (called when it ends or cannot be restored). */
+  discardSavedRun() {
+    this._setSavedRun(null);
+    clearSavedRun().catch((err) => {
+      console.warn('Failed to clear saved run:', err);
+    });
+  }
+
+  /** @returns {Object|null} the run offered by "Continue Run" (see save/runSnapshot.js) */
+  getSavedRun() {
+    return this.savedRun;
+  }
+
+  _setSavedRun(snapshot) {
+    this.savedRun = snapshot;
+    this.canvas?.dispatchEvent?.(
+      new CustomEvent('saved-run-changed', { detail: { available: !!snapshot } })
+    );
+  }
+
+  /**
+   * MENU → PAUSED from the "Continue Run" slot. The run comes back PAUSED so the
+   * player can get their bearings before anything moves.
+   * @returns {boolean} false when there is no usable saved run
+   */
+  continueRun() {
+    if (this.state.mode !== Mode.MENU || !this.savedRun) return false;
+
+    const snapshot = this.savedRun;
+    const gameMode = isGameMode(snapshot.gameMode) ? snapshot.gameMode : getDefaultGameMode();
+    const difficulty = isDifficulty(snapshot.difficulty) ? snapshot.difficulty : getDefaultDifficulty();
+    const playerCount = snapshot.players?.length ?? 1;
+    // Music starts before the restore so the PAUSED enter hook can suspend it.
+    this.audio.startMusic?.();
+    try {
+      this.sim.restoreRun(snapshot, { highScore: this._highScoreFor(gameMode, difficulty, playerCount) });
+    } catch (err) {
+      console.warn('Failed to restore saved run:', err);
+      this.audio.stopMusic?.();
+      this.discardSavedRun();
+      return false;
+    }
+
+    // Keep recording into the same replay so it still covers the whole run.
+    // Older saves carry a recording in a replay format that can no longer be extended.
+    // The ghost is not part of the save: a continued run neither shows nor leaves one.
+    this.ghostRecorder = null;
+    this.ghost = null;
+    this.replayPlayer = null;
+    this.timeScale = 1;
+    this.dailyChallenge = typeof snapshot.daily === 'string' ? snapshot.daily : null;
+    this.replayRecorder = snapshot.replay && snapshot.version === RUN_SAVE_VERSION
+      ? ReplayRecorder.fromSnapshot(
+          {
+            seed: this.state.seed,
+            fixedDt: this.fixedDt,
+            gameMode: this.state.gameMode,
+            difficulty: this.state.difficulty,
+            playerCount: this.state.players.length,
+            scoreMode: this.state.scoreMode
+          },
+          snapshot.replay
+        )
+      : null;
+
+    // "Play Again" after the continued run keeps its game mode, difficulty and players.
+    this.setGameMode(this.state.gameMode);
+    this.setDifficulty(this.state.difficulty);
+    this.setPlayerCount(this.state.players.length);
+    this.setScoreMode(this.state.scoreMode);
+
+    this.accum = 0;
+
+    this.canvas?.dispatchEvent?.(
+      new CustomEvent('game-started', { detail: { seed: this.state.seed, resumed: true } })
+    );
+    return true;
   }
 
   /**
    * Return to the start menu state without immediately launching gameplay.
+   * A live run is saved first so it can be continued later.
    */
   returnToMenu() {
-    this.state = this.createInitialState();
-    this.renderer.setShipSpriteForShieldLevel(this.state.ship.shieldLevel);
+    this.saveRun();
+    this.dailyChallenge = null;
+    this.roundWins = [];
+    this.replayRecorder = null;
+    this.ghostRecorder = null;
+    this.ghost = null;
+    this.replayPlayer = null;
+    this.timeScale = 1;
+    this.sim.returnToMenu({
+      gameMode: this.gameMode,
+      difficulty: this.difficulty,
+      playerCount: this.playerCount,
+      scoreMode: this.scoreMode,
+      highScore: this._highScoreFor(this.gameMode, this.difficulty, this.playerCount)
+    });
     this.audio.stopMusic?.();
     this.canvas?.dispatchEvent?.(new CustomEvent('game-returned-to-menu'));
   }
@@ -791,6 +1383,12 @@ export class Game {
    */
   destroy() {
     this.canvas.removeEventListener('pointerdown', this._onPointerDown);
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    window.removeEventListener('blur', this._onWindowBlur);
+    window.removeEventListener('orientationchange', this._onOrientationChange);
+    window.removeEventListener('pagehide', this._onPageHide);
     if (this.virtualControls) this.virtualControls.destroy();
+    for (const off of this._simUnsubscribers ?? []) off();
+    this._simUnsubscribers = [];
   }
 }
@@ -0,0 +1,403 @@
+/* ========================= src/core/GameEvents.js ========================= */
+
+/**
+ * Gameplay event catalogue.
+ *
+ * The Simulation emits every event below on its EventEmitter (exposed to the
+ * browser as `game.events`). Subscribers such as audio, HUD effects,
+ * achievements or analytics listen here instead of being wired into update():
+ *
+ *   game.events.on(GameEvent.ASTEROID_DESTROYED, ({ size, x, y }) => { ... });
+ *
+ * Events fire synchronously inside the fixed tick that caused them, so
+ * listeners must not mutate simulation state (replays depend on it).
+ * Payload shapes are documented by the typedefs further down.
+ */
+export const GameEvent = Object.freeze({
+  RUN_STARTED: 'run-started',               // RunStartedEvent
+  RUN_RESUMED: 'run-resumed',               // RunResumedEvent
+  MODE_CHANGED: 'mode-changed',             // ModeChangedEvent
+  WAVE_STARTED: 'wave-started',             // WaveStartedEvent
+  WAVE_CLEARED: 'wave-cleared',             // WaveClearedEvent
+  BULLET_FIRED: 'bullet-fired',             // BulletFiredEvent
+  ASTEROID_HIT: 'asteroid-hit',             // AsteroidHitEvent
+  ASTEROID_DESTROYED: 'asteroid-destroyed', // AsteroidDestroyedEvent
+  ASTEROID_EXPLODED: 'asteroid-exploded',   // AsteroidExplodedEvent
+  POWERUP_SPAWNED: 'powerup-spawned',       // PowerupSpawnedEvent
+  POWERUP_COLLECTED: 'powerup-collected',   // PowerupCollectedEvent
+  SHIP_HIT: 'ship-hit',                     // ShipHitEvent
+  SHIELD_ABSORBED: 'shield-absorbed',       // ShieldAbsorbedEvent
+  LIFE_LOST: 'life-lost',                   // LifeLostEvent
+  PLAYER_KILLED: 'player-killed',           // PlayerKilledEvent
+  SHIP_CHANGED: 'ship-changed',             // ShipChangedEvent
+  HYPERSPACE_JUMP: 'hyperspace-jump',       // HyperspaceJumpEvent
+  SHIP_CHILLED: 'ship-chilled',             // ShipChilledEvent
+  UFO_SPAWNED: 'ufo-spawned',               // UfoSpawnedEvent
+  UFO_FIRED: 'ufo-fired',                   // UfoFiredEvent
+  UFO_HIT: 'ufo-hit',                       // UfoHitEvent
+  UFO_DESTROYED: 'ufo-destroyed',           // UfoDestroyedEvent
+  UFO_ESCAPED: 'ufo-escaped',               // UfoEscapedEvent
+  SQUADRON_SPAWNED: 'squadron-spawned',     // SquadronSpawnedEvent
+  FIGHTER_FIRED: 'fighter-fired',           // FighterFiredEvent
+  FIGHTER_HIT: 'fighter-hit',               // FighterHitEvent
+  FIGHTER_DESTROYED: 'fighter-destroyed',   // FighterDestroyedEvent
+  BOSS_SPAWNED: 'boss-spawned',             // BossSpawnedEvent
+  BOSS_PHASE: 'boss-phase',                 // BossPhaseEvent
+  BOSS_FIRED: 'boss-fired',                 // BossFiredEvent
+  BOSS_HIT: 'boss-hit',                     // BossHitEvent
+  BOSS_ZONE_DESTROYED: 'boss-zone-destroyed', // BossZoneDestroyedEvent
+  BOSS_DEFEATED: 'boss-defeated',           // BossDefeatedEvent
+  HIGHSCORE_CHANGED: 'highscore-changed',   // HighScoreChangedEvent
+  HIGHSCORE_BEATEN: 'highscore-beaten',     // HighScoreBeatenEvent
+  GAME_OVER: 'game-over'                    // GameOverEvent
+});
+
+/** Asteroid size names by sizeIndex (0 = large). */
+export const ASTEROID_SIZE_NAMES = Object.freeze(['large', 'medium', 'small']);
+
+/**
+ * What damaged the ship.
+ * @typedef {'asteroid'|'ufo'|'ufo-laser'|'ufo-debris'|'fighter'|'fighter-shot'|'boss'|'boss-beam'|'hyperspace'|'bullet'} DamageSource
+ */
+
+/**
+ * A new run began (its first WAVE_INTRO follows).
+ * @typedef {Object} RunStartedEvent
+ * @property {number} seed - normalized uint32 run seed
+ * @property {string} gameMode - id from CONFIG.GAME_MODES.types
+ * @property {string} difficulty - id from CONFIG.DIFFICULTY.presets
+ * @property {number} playerCount - ships in the run (2 = local co-op)
+ * @property {'shared'|'separate'} scoreMode - how a co-op run presents its score
+ */
+
+/**
+ * A saved run was restored (it comes back PAUSED).
+ * @typedef {Object} RunResumedEvent
+ * @property {number} seed
+ * @property {number} wave
+ */
+
+/**
+ * The run changed mode (see Mode in Simulation.js).
+ * @typedef {Object} ModeChangedEvent
+ * @property {string} from
+ * @property {string} to
+ */
+
+/**
+ * A wave's asteroid field was spawned (wave 0 is the first wave); WAVE_INTRO begins.
+ * @typedef {Object} WaveStartedEvent
+ * @property {number} wave
+ * @property {number} asteroidCount
+ * @property {boolean} boss - a boss wave (the mothership replaces the asteroids)
+ */
+
+/**
+ * Every asteroid of a wave is gone (and its boss is down); the next wave's
+ * WAVE_INTRO starts in the same tick.
+ * @typedef {Object} WaveClearedEvent
+ * @property {number} wave - the wave that was cleared
+ * @property {number} score - run score at the moment of clearing
+ */
+
+/**
+ * The ship fired one volley.
+ * @typedef {Object} BulletFiredEvent
+ * @property {number} player - 0-based index of the player (state.players)
+ * @property {number} count - bullets in the volley (1, 3 or 5)
+ * @property {string} weaponMode - CONFIG.WEAPON mode at the time of firing
+ * @property {number} x - ship position
+ * @property {number} y
+ * @property {number} angle - ship heading (radians)
+ */
+
+/**
+ * A bullet hit an armored asteroid that held (see CONFIG.ASTEROID.TYPES).
+ * @typedef {Object} AsteroidHitEvent
+ * @property {string} type - archetype, key of CONFIG.ASTEROID.TYPES
+ * @property {number} sizeIndex - 0 = large, 1 = medium, 2 = small
+ * @property {number} x
+ * @property {number} y
+ * @property {number} hitsLeft - hits still needed to break it
+ */
+
+/**
+ * An asteroid was destroyed (it may have split into smaller ones).
+ * @typedef {Object} AsteroidDestroyedEvent
+ * @property {string} type - archetype, key of CONFIG.ASTEROID.TYPES
+ * @property {number} sizeIndex - 0 = large, 1 = medium, 2 = small
+ * @property {'large'|'medium'|'small'} size
+ * @property {number} x
+ * @property {number} y
+ * @property {number} score - points awarded
+ * @property {'bullet'|'shield'|'explosion'|'ice'} cause - shot, rammed while
+ *   shielded, caught in an explosive asteroid's blast, or an ice asteroid
+ *   shattering on a ship
+ */
+
+/**
+ * An explosive asteroid went off; every asteroid within `radius` is destroyed
+ * (ASTEROID_DESTROYED with cause 'explosion' follows for each).
+ * @typedef {Object} AsteroidExplodedEvent
+ * @property {number} x
+ * @property {number} y
+ * @property {number} radius - blast reach from the center
+ */
+
+/**
+ * A power-up appeared: at the start of a wave, as a timed drop, or where a
+ * gold asteroid broke.
+ * @typedef {Object} PowerupSpawnedEvent
+ * @property {string} type - key of CONFIG.POWERUP.types
+ * @property {number} x
+ * @property {number} y
+ * @property {number} wave
+ */
+
+/**
+ * The ship picked up a power-up.
+ * @typedef {Object} PowerupCollectedEvent
+ * @property {number} player - 0-based index of the player (state.players)
+ * @property {string} type - key of CONFIG.POWERUP.types
+ * @property {boolean} duplicate - already maxed out; converted into points
+ * @property {number} bonus - points awarded for a duplicate (0 otherwise)
+ */
+
+/**
+ * The ship took a hit (shielded or not). Followed by SHIELD_ABSORBED or LIFE_LOST.
+ * @typedef {Object} ShipHitEvent
+ * @property {number} player - 0-based index of the player (state.players)
+ * @property {DamageSource} source
+ */
+
+/**
+ * A shield tier soaked up a hit.
+ * @typedef {Object} ShieldAbsorbedEvent
+ * @property {number} player - 0-based index of the player (state.players)
+ * @property {DamageSource} source
+ * @property {number} shieldLevel - shield tier left after the hit
+ * @property {number} bonus - points awarded for what the shield destroyed
+ */
+
+/**
+ * An unshielded hit cost that player a life. Their ship relaunches while a
+ * co-op partner keeps flying; RESPAWNING follows when no ship is left on the
+ * field, or GAME_OVER once every player is out of lives.
+ * @typedef {Object} LifeLostEvent
+ * @property {number} player - 0-based index of the player (state.players)
+ * @property {DamageSource} source
+ * @property {number} livesRemaining
+ */
+
+/**
+ * Versus: a ship was destroyed. No life is lost; it relaunches like a co-op
+ * ship. GAME_OVER follows when the kill won the round.
+ * @typedef {Object} PlayerKilledEvent
+ * @property {number} player - 0-based index of the player who lost the ship
+ * @property {number|null} killer - player credited with the kill (null: asteroid, hyperspace, ...)
+ * @property {DamageSource} source
+ * @property {number[]} kills - kills of each player, by index
+ */
+
+/**
+ * A player's ship entity was replaced or its shield tier changed.
+ * @typedef {Object} ShipChangedEvent
+ * @property {number} player - 0-based index of the player (state.players)
+ * @property {number} shieldLevel
+ */
+
+/**
+ * The ship jumped through hyperspace. A 'destroyed' jump is followed by
+ * SHIP_HIT / LIFE_LOST with source 'hyperspace' (shields do not absorb it).
+ * @typedef {Object} HyperspaceJumpEvent
+ * @property {number} player - 0-based index of the player (state.players)
+ * @property {number} fromX - position before the jump
+ * @property {number} fromY
+ * @property {number} x - arrival position
+ * @property {number} y
+ * @property {'ok'|'disoriented'|'destroyed'} outcome
+ */
+
+/**
+ * A ship touched an ice asteroid: it is slowed instead of hurt.
+ * @typedef {Object} ShipChilledEvent
+ * @property {number} player - 0-based index of the player (state.players)
+ * @property {number} duration - seconds the chill lasts
+ * @property {number} factor - thrust / top speed multiplier while chilled
+ */
+
+/**
+ * A UFO entered from a screen edge, or the boss launched an escort.
+ * @typedef {Object} UfoSpawnedEvent
+ * @property {string} variant - key of CONFIG.UFO.VARIANTS
+ * @property {string} spriteKey
+ * @property {number} x
+ * @property {number} y
+ * @property {number} vx
+ * @property {number} vy
+ * @property {number} wave
+ * @property {boolean} escort - one of the boss's escorts
+ */
+
+/**
+ * The UFO fired at the ship.
+ * @typedef {Object} UfoFiredEvent
+ * @property {number} count - lasers in the volley
+ */
+
+/**
+ * A bullet struck the UFO. UFO_DESTROYED follows when `destroyed` is true.
+ * @typedef {Object} UfoHitEvent
+ * @property {number} x
+ * @property {number} y
+ * @property {number} health - hits left
+ * @property {boolean} destroyed
+ */
+
+/**
+ * The UFO was shot down, leaving its loot (CONFIG.UFO.LOOT) where it blew up.
+ * POWERUP_SPAWNED follows for a dropped power-up.
+ * @typedef {Object} UfoDestroyedEvent
+ * @property {string} variant - key of CONFIG.UFO.VARIANTS
+ * @property {string} spriteKey
+ * @property {number} x
+ * @property {number} y
+ * @property {number} score - points awarded
+ * @property {boolean} escort
+ * @property {string|null} powerUp - type of the power-up dropped, if any
+ * @property {number} debris - wreck fragments flung out
+ */
+
+/**
+ * The UFO used up its crossings and flew off the field.
+ * @typedef {Object} UfoEscapedEvent
+ * @property {string} variant - key of CONFIG.UFO.VARIANTS
+ * @property {string} spriteKey
+ * @property {number} x
+ * @property {number} y
+ * @property {boolean} escort
+ */
+
+/**
+ * A squadron of enemy fighters flew in from a screen edge.
+ * @typedef {Object} SquadronSpawnedEvent
+ * @property {string} type - key of CONFIG.FIGHTERS.types
+ * @property {number} count - fighters in the squadron
+ * @property {number} x - where its first fighter entered
+ * @property {number} y
+ * @property {number} wave
+ */
+
+/**
+ * A fighter fired at a ship.
+ * @typedef {Object} FighterFiredEvent
+ * @property {string} type - key of CONFIG.FIGHTERS.types
+ * @property {number} count - shots fired
+ */
+
+/**
+ * A player bullet hit a fighter.
+ * @typedef {Object} FighterHitEvent
+ * @property {string} type - key of CONFIG.FIGHTERS.types
+ * @property {number} x
+ * @property {number} y
+ * @property {number} health - hits it can still take
+ * @property {boolean} destroyed - FIGHTER_DESTROYED follows
+ */
+
+/**
+ * A fighter was destroyed.
+ * @typedef {Object} FighterDestroyedEvent
+ * @property {string} type - key of CONFIG.FIGHTERS.types
+ * @property {number} x
+ * @property {number} y
+ * @property {number} score - points awarded
+ * @property {'bullet'|'shield'|'ram'} cause - shot down, rammed by a shielded
+ *   ship, or crashed into an unshielded one
+ */
+
+/**
+ * A boss wave's mothership appeared above the top edge.
+ * @typedef {Object} BossSpawnedEvent
+ * @property {number} wave
+ * @property {number} x
+ * @property {number} y
+ * @property {number} health - across all its zones
+ */
+
+/**
+ * The boss moved on to its next attack phase.
+ * @typedef {Object} BossPhaseEvent
+ * @property {'volley'|'escorts'|'beam'} phase - key of CONFIG.BOSS.PHASES
+ * @property {number} x
+ * @property {number} y
+ */
+
+/**
+ * The boss fired a volley.
+ * @typedef {Object} BossFiredEvent
+ * @property {number} count - lasers in the volley
+ */
+
+/**
+ * A bullet struck one of the boss's zones.
+ * @typedef {Object} BossHitEvent
+ * @property {string} zone - id from CONFIG.BOSS.ZONES
+ * @property {number} x
+ * @property {number} y
+ * @property {boolean} absorbed - the core was still shielded
+ * @property {boolean} destroyed - this hit destroyed the zone
+ * @property {number} health - left across all zones
+ * @property {number} maxHealth
+ */
+
+/**
+ * A gun pod of the boss was destroyed.
+ * @typedef {Object} BossZoneDestroyedEvent
+ * @property {string} zone
+ * @property {number} x
+ * @property {number} y
+ * @property {number} score - points awarded
+ */
+
+/**
+ * The boss's core was destroyed. A power-up drops where it was.
+ * @typedef {Object} BossDefeatedEvent
+ * @property {number|null} player - 0-based index of the player who shot it down
+ * @property {number} x
+ * @property {number} y
+ * @property {number} score - points awarded
+ * @property {number} wave
+ */
+
+/**
+ * The run's score rose above the best score (fires on every increase).
+ * @typedef {Object} HighScoreChangedEvent
+ * @property {number} highScore
+ */
+
+/**
+ * The run passed the previous best for the first time (once per run).
+ * @typedef {Object} HighScoreBeatenEvent
+ * @property {number} highScore - new best
+ * @property {number} previousHighScore - best score when the run started
+ */
+
+/**
+ * The run ended: the last life was lost, a timed game mode ran out of time, or
+ * a versus round was won.
+ * @typedef {Object} GameOverEvent
+ * @property {number} score
+ * @property {number} wave
+ * @property {number} highScore - best score of this game mode and difficulty
+ * @property {boolean} newHighScore
+ * @property {number} seed
+ * @property {string} gameMode
+ * @property {string} difficulty
+ * @property {'no-lives'|'time-up'|'kills'} reason
+ * @property {number[]} playerScores - points of each player, by index
+ * @property {'shared'|'separate'} scoreMode
+ * @property {number[]} kills - versus kills of each player, by index
+ * @property {number[]} deaths - ships each player lost, by index
+ * @property {number|null} winner - versus: index of the player who won the round
+ */
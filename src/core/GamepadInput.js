@@ -0,0 +1,76 @@
+/* ========================= src/core/GamepadInput.js ========================= */
+import { getPlayerControls } from './players.js';
+
+// Buttons of the Gamepad API "standard" mapping.
+const BUTTON = { A: 0, B: 1, RT: 7, START: 9, UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15 };
+const STICK_DEADZONE = 0.5;
+
+/**
+ * GamepadInput
+ * ------------
+ * Polls connected gamepads and presses the matching keys of each player's key
+ * set on the shared Input, the same way VirtualControls does for touch. Pad 1
+ * drives player 1 and pad 2 player 2, so gamepad play is recorded in replays
+ * like keyboard play.
+ *
+ * Layout: left stick / d-pad left-right steer, stick up / d-pad up / RT thrust,
+ * A fires (and starts a run from the menu), B / d-pad down jumps to hyperspace,
+ * Start pauses.
+ */
+export class GamepadInput {
+  /**
+   * @param {Input} input - the shared keyboard Input
+   */
+  constructor(input) {
+    this.input = input;
+    this.held = new Set(); // key codes currently held on Input by a pad
+  }
+
+  /**
+   * Read every pad and sync the keys it holds. Call once per fixed tick, before
+   * anything reads the input.
+   * @param {number} playerCount - players of the current (or next) run
+   */
+  poll(playerCount) {
+    const pads = typeof navigator !== 'undefined' && navigator.getGamepads
+      ? navigator.getGamepads()
+      : [];
+    const next = new Set();
+
+    for (let index = 0; index < playerCount; index++) {
+      const pad = pads?.[index];
+      if (!pad?.connected) continue;
+
+      const controls = getPlayerControls(index, playerCount);
+      const down = (button) => !!pad.buttons[button]?.pressed;
+      const stickX = pad.axes[0] ?? 0;
+      const stickY = pad.axes[1] ?? 0;
+
+      if (down(BUTTON.LEFT) || stickX < -STICK_DEADZONE) next.add(controls.left[0]);
+      if (down(BUTTON.RIGHT) || stickX > STICK_DEADZONE) next.add(controls.right[0]);
+      if (down(BUTTON.UP) || down(BUTTON.RT) || stickY < -STICK_DEADZONE) next.add(controls.thrust[0]);
+      if (down(BUTTON.A)) next.add(controls.fire[0]);
+      if (down(BUTTON.B) || down(BUTTON.DOWN)) next.add(controls.hyperspace[0]);
+      if (down(BUTTON.START)) next.add('KeyP');
+    }
+
+    // Input.clearAll() (pause) or a keyup of the same key on the keyboard may
+    // have dropped held codes: re-add them without a new edge.
+    for (const code of next) {
+      if (!this.held.has(code) && !this.input.keys.has(code)) {
+        this.input.justPressed.add(code);
+      } else if (this.held.has(code)) {
+        this.input.justReleased.delete(code);
+      }
+      this.input.keys.add(code);
+    }
+    // Pad 1 of a solo run shares its codes with the keyboard: a key still held
+    // there stays down when the pad lets go of it.
+    for (const code of this.held) {
+      if (next.has(code) || this.input.keyboardKeys.has(code)) continue;
+      this.input.keys.delete(code);
+      this.input.justReleased.add(code);
+    }
+    this.held = next;
+  }
+}
@@ -13,11 +13,22 @@
  *  - Single key taps:  "Did the user press this now?" → pressed()
  *  - Key releases:     "Did the key go up this frame?"→ released()
  */
+// True for elements that consume keystrokes themselves (text inputs etc.).
+function isEditableTarget(target) {
+  if (!target || typeof target !== 'object') return false;
+  const tag = target.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || !!target.isContentEditable;
+}
+
 export class Input {
   constructor() {
     // Keys currently being held down.
     this.keys = new Set();
 
+    // The subset held on the physical keyboard. Gamepads and touch controls
+    // press the same codes on `keys`; this tells them which ones to leave alone.
+    this.keyboardKeys = new Set();
+
     // Keys pressed down *during this frame only*.
     this.justPressed = new Set();
 
@@ -26,18 +37,23 @@ export class Input {
 
     // --- Listen for keydown events globally ---
     addEventListener('keydown', e => {
+      // Typing into a form field (e.g. the menu seed box) is not game input.
+      if (isEditableTarget(e.target)) return;
+
       // If this is the first frame the key was pressed, mark it as justPressed.
       if (!this.keys.has(e.code)) {
         this.justPressed.add(e.code);
       }
       // Add to keys held down.
       this.keys.add(e.code);
+      this.keyboardKeys.add(e.code);
     });
 
     // --- Listen for keyup events globally ---
     addEventListener('keyup', e => {
       // Remove the key from the "held" set.
       this.keys.delete(e.code);
+      this.keyboardKeys.delete(e.code);
       // Mark it as released this frame.
       this.justReleased.add(e.code);
     });
@@ -52,6 +68,18 @@ export class Input {
     this.justReleased.clear();
   }
 
+  /**
+   * Forget every held key and pending edge.
+   * Used when the game loses focus (pause, tab hide) so a key whose keyup we
+   * never received does not stay "stuck" down once play resumes.
+   */
+  clearAll() {
+    this.keys.clear();
+    this.keyboardKeys.clear();
+    this.justPressed.clear();
+    this.justReleased.clear();
+  }
+
   /**
    * Returns true if key is *currently held down*.
    * Example: hold "ArrowUp" to keep thrusting.
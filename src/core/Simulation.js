@@ -0,0 +1,1628 @@
+/* ========================= src/core/Simulation.js ========================= */
+import { Ship } from '../entities/Ship.js';
+import { Ufo } from '../entities/Ufo.js';
+import { ufoBehaviorsForWave } from '../entities/ufoBehaviors.js';
+import {
+  circleHit,
+  entitiesHit,
+  entityBeamHit,
+  findShipAsteroidHit,
+  findShipBulletHit,
+  forEachBulletAsteroidHit,
+  isAreaClear
+} from '../systems/Collision.js';
+import { integrateAndWrap, resolveAsteroidCollisions } from '../systems/Physics.js';
+import {
+  spawnWave,
+  maybeSpawnPowerUp,
+  spawnTimedPowerUp,
+  spawnPowerUpAt,
+  spawnUfoLoot,
+  planSquadrons,
+  spawnSquadron,
+  spawnBoss,
+  pickUfoVariant
+} from '../systems/Spawner.js';
+import { Rng } from '../utils/rng.js';
+import { wrapDelta } from '../utils/math.js';
+import { EventEmitter } from './EventEmitter.js';
+import { StateMachine } from './StateMachine.js';
+import { GameEvent, ASTEROID_SIZE_NAMES } from './GameEvents.js';
+import { deserializeRun } from '../save/runSnapshot.js';
+import { getDefaultGameMode, getGameModeRules } from './gameModes.js';
+import { getDefaultDifficulty, getDifficultyPreset, createRunConfig } from './difficulty.js';
+import {
+  createPlayer,
+  getPlayerColor,
+  getPlayerControls,
+  isControlDown,
+  isControlPressed,
+  normalizePlayerCount,
+  normalizeScoreMode
+} from './players.js';
+
+/** Run modes (the states of Simulation.machine; mirrored into state.mode). */
+export const Mode = Object.freeze({
+  MENU: 'MENU',               // idle, no run
+  WAVE_INTRO: 'WAVE_INTRO',   // "Wave N" banner: the field is frozen, the ship can line up
+  PLAY: 'PLAY',
+  RESPAWNING: 'RESPAWNING',   // no ship on the field: it keeps moving until a spawn point is clear and a player launches
+  PAUSED: 'PAUSED',           // frozen; resume returns to state.pausedFrom
+  GAME_OVER: 'GAME_OVER'
+});
+
+/** Modes in which the world advances (the ship's input is read and recorded). */
+export const ACTIVE_MODES = Object.freeze([Mode.WAVE_INTRO, Mode.PLAY, Mode.RESPAWNING]);
+
+// Spawn point of one player: the canvas center, or side by side in co-op / versus.
+function spawnPoint(config, rules, index, playerCount) {
+  const spacing = rules.spawnSpacing ?? config.PLAYERS?.SPAWN_SPACING ?? 0;
+  return {
+    x: config.CANVAS.W / 2 + (index - (playerCount - 1) / 2) * spacing,
+    y: config.CANVAS.H / 2
+  };
+}
+
+// Allowed mode changes. Every active mode can restart into WAVE_INTRO or quit to MENU.
+const MODE_TRANSITIONS = {
+  [Mode.MENU]:       [Mode.WAVE_INTRO, Mode.PAUSED], // new run / saved run (restored paused)
+  [Mode.WAVE_INTRO]: [Mode.PLAY, Mode.PAUSED, Mode.WAVE_INTRO, Mode.MENU],
+  [Mode.PLAY]:       [Mode.WAVE_INTRO, Mode.RESPAWNING, Mode.GAME_OVER, Mode.PAUSED, Mode.MENU],
+  [Mode.RESPAWNING]: [Mode.PLAY, Mode.GAME_OVER, Mode.PAUSED, Mode.WAVE_INTRO, Mode.MENU], // GAME_OVER: time limit
+  [Mode.PAUSED]:     [Mode.WAVE_INTRO, Mode.PLAY, Mode.RESPAWNING, Mode.MENU],
+  [Mode.GAME_OVER]:  [Mode.WAVE_INTRO, Mode.MENU]
+};
+
+/**
+ * Simulation
+ * ----------
+ * The pure gameplay core: run state, the fixed-step update, collisions,
+ * spawning and scoring. It never touches the DOM, canvas, audio or storage,
+ * so it runs unchanged in Node (balance tests, bots) and in the browser,
+ * where Game wraps it with rendering, input devices and persistence.
+ *
+ * Inputs:
+ *  - an input source: any object with isDown(code) / pressed(code) / released(code)
+ *    (Input, a replay tick, a bot...). It can be swapped per tick via update(dt, input).
+ *  - an Rng: every random roll of a run comes from state.rng.
+ *
+ * Outputs: events on `this.events` (an EventEmitter). The names and payload
+ * schemas are catalogued in GameEvents.js.
+ *
+ * Modes are the states of `this.machine` (a StateMachine, see Mode above):
+ *   MENU → WAVE_INTRO → PLAY ⇄ RESPAWNING, PLAY → WAVE_INTRO (next wave),
+ *   PLAY / RESPAWNING → GAME_OVER, and any active mode ⇄ PAUSED.
+ *
+ * The rule set of a run (lives, time limit, ...) comes from its game mode,
+ * state.gameMode (see gameModes.js). Balance numbers come from state.config:
+ * a per-run copy of CONFIG with the run's difficulty preset applied
+ * (see difficulty.js). Entities keep reading the global CONFIG for their own
+ * tuning unless the Simulation hands them a value (e.g. the UFO fire interval).
+ *
+ * A run has one or two players (local co-op, see players.js): state.players
+ * holds each player's ship, lives and score, and every ship reads its own key
+ * set from the shared input. A lost ship relaunches while its partner plays on;
+ * RESPAWNING only starts when no ship is left on the field, and the run is over
+ * once every player is out of lives.
+ *
+ * In the versus game mode the two players fight each other instead: bullets
+ * hit the other ship, lost ships always relaunch, asteroids only get in the
+ * way (they score nothing and come back once cleared) and the run ends when a
+ * player reaches the mode's killsToWin.
+ *
+ * The Simulation registers the gameplay hooks; the shell layers its own
+ * input/render hooks on the same machine.
+ *
+ * Usage (headless):
+ *   const sim = new Simulation({ input: bot });
+ *   sim.startRun({ seed: 1234 });
+ *   while (sim.state.mode !== 'GAME_OVER') sim.step();
+ */
+export class Simulation {
+  /**
+   * @param {Object} [options]
+   * @param {{isDown:Function, pressed:Function, released:Function}} [options.input] - default input source
+   * @param {Rng} [options.rng] - generator for the initial (menu) state
+   * @param {EventEmitter} [options.events] - share an emitter; a new one is created otherwise
+   * @param {number} [options.highScore=0] - best score to beat
+   * @param {CollisionShapes} [options.shapes] - sprite hulls for polygon collisions
+   *   (CONFIG.COLLISION.MODE); without them every entity collides as a circle
+   */
+  constructor({ input = null, rng = null, events = null, highScore = 0, shapes = null } = {}) {
+    this.input = input;
+    this.events = events ?? new EventEmitter();
+    this.shapes = shapes;
+    this.fixedDt = 1 / 120; // simulation step used by step() and the browser loop
+    this.tickInput = null;  // input read by the current tick (shell update hooks may replace it)
+
+    this.state = this.createInitialState({ rng, highScore });
+
+    this.machine = new StateMachine({
+      name: 'Simulation',
+      initial: Mode.MENU,
+      transitions: MODE_TRANSITIONS,
+      onChange: (from, to) => {
+        this.state.mode = to;
+        this.events.emit(GameEvent.MODE_CHANGED, { from, to });
+      }
+    });
+    this._registerModeHooks();
+  }
+
+  _registerModeHooks() {
+    const M = this.machine;
+
+    // Runs one active tick: poses for interpolation, then the mode's gameplay.
+    const tick = (fn) => (dt) => {
+      if (!this.tickInput) return;
+      this._savePreviousPoses();
+      fn.call(this, dt, this.tickInput);
+    };
+
+    M.addHooks(Mode.WAVE_INTRO, {
+      enter: (from, payload) => {
+        if (!payload?.resumed) this._startWave();
+      },
+      update: tick(this._updateWaveIntro)
+    });
+
+    M.addHooks(Mode.PLAY, {
+      update: tick(this._updatePlay)
+    });
+
+    M.addHooks(Mode.RESPAWNING, {
+      update: tick(this._updateRespawning)
+    });
+
+    M.addHooks(Mode.PAUSED, {
+      enter: (from, payload) => {
+        this.state.pausedFrom = payload?.resumeTo ?? from;
+      }
+    });
+
+    M.addHooks(Mode.GAME_OVER, {
+      enter: (from, payload) => {
+        const S = this.state;
+        this.updateHighScore();
+        this.events.emit(GameEvent.GAME_OVER, {
+          score: S.score,
+          wave: S.wave,
+          highScore: S.highScore,
+          newHighScore: !!S.didBeatHighScore,
+          seed: S.seed,
+          gameMode: S.gameMode,
+          difficulty: S.difficulty,
+          playerScores: S.players.map((player) => player.score),
+          scoreMode: S.scoreMode,
+          kills: S.players.map((player) => player.kills),
+          deaths: S.players.map((player) => player.deaths),
+          winner: payload?.winner ?? null,
+          reason: payload?.reason ?? 'no-lives'
+        });
+      }
+    });
+  }
+
+  /** @returns {boolean} true while the world advances (WAVE_INTRO / PLAY / RESPAWNING) */
+  isActive() {
+    return ACTIVE_MODES.includes(this.state.mode);
+  }
+
+  /** Per-run CONFIG copy (difficulty preset applied). */
+  get config() {
+    return this.state.config;
+  }
+
+  /** Rules of the current run's game mode (see gameModes.js). */
+  get rules() {
+    return getGameModeRules(this.state.gameMode);
+  }
+
+  /** Hulls the collision tests use this run; null in circle mode (CONFIG.COLLISION.MODE). */
+  get collisionShapes() {
+    return this.config.COLLISION?.MODE === 'circle' ? null : this.shapes;
+  }
+
+  /** Key set of a player (see players.js getPlayerControls). */
+  controlsFor(player) {
+    return getPlayerControls(player.index, this.state.players.length);
+  }
+
+  /** @returns {Object[]} players whose ship is on the field */
+  activePlayers() {
+    return this.state.players.filter((player) => !player.ship.dead);
+  }
+
+  /** @returns {Object[]} players off the field with lives left (waiting to relaunch) */
+  waitingPlayers() {
+    return this.state.players.filter((player) => player.ship.dead && player.lives > 0);
+  }
+
+  /**
+   * Build a fresh state object (used at boot + every new run).
+   * @param {{ seed?: number|string, rng?: Rng, highScore?: number, gameMode?: string,
+   *           difficulty?: string, playerCount?: number, scoreMode?: string }} [options]
+   *   seed: run seed; omitted → a random one is generated (ignored when rng is given)
+   *   gameMode: id from CONFIG.GAME_MODES.types; unknown ids fall back to the default mode
+   *   difficulty: id from CONFIG.DIFFICULTY.presets; unknown ids fall back to the default preset
+   *   playerCount: 1 or 2 ships (local co-op; a game mode's `players` rule overrides it);
+   *   scoreMode: 'shared' | 'separate' (see players.js)
+   */
+  createInitialState({
+    seed,
+    rng = null,
+    highScore = 0,
+    gameMode = getDefaultGameMode(),
+    difficulty = getDefaultDifficulty(),
+    playerCount,
+    scoreMode
+  } = {}) {
+    const config = createRunConfig(difficulty);
+
+    // Every gameplay roll in this run draws from this generator.
+    const runRng = rng ?? new Rng(seed);
+    const rules = getGameModeRules(gameMode);
+
+    // One ship per player; the first ships of a run skip the respawn blink.
+    const count = normalizePlayerCount(rules.players ?? playerCount);
+    const players = [];
+    for (let index = 0; index < count; index++) {
+      const ship = this._createShip(config, rules, index, count, { invulnBlink: false });
+      players.push(createPlayer(index, { ship, lives: rules.lives ?? config.SHIP.LIVES }));
+    }
+
+    return {
+      mode: Mode.MENU,           // see Mode; kept in sync by this.machine
+      seed: runRng.seed,         // normalized uint32 seed (see utils/rng.js formatSeed)
+      rng: runRng,
+      gameMode: rules.id,        // rule set of this run (see gameModes.js)
+      difficulty: getDifficultyPreset(difficulty).id, // difficulty preset of this run
+      config,                    // per-run CONFIG copy with the preset applied (see difficulty.js)
+      timeLeft: rules.timeLimit ?? null, // seconds left on the run clock; null = no time limit
+      wave: 0,
+      score: 0,                  // team total (sum of the players' scores)
+      highScore,
+      didBeatHighScore: false,
+
+      players,                   // one entry per player: ship, lives, score, respawn timers (see players.js)
+      scoreMode: normalizeScoreMode(scoreMode), // how co-op scores are shown: 'shared' | 'separate'
+      bullets: [],               // active projectiles
+      asteroids: [],             // active asteroids
+      powerups: [],              // active power-ups
+      powerupsCollected: 0,      // stat/telemetry (not required for gameplay)
+      powerupTimer: null,        // seconds to the next timed power-up drop (rules.powerupInterval); null = per-wave roll
+
+      ufo: null,
+      ufoBullets: [],
+      ufoDebris: [],             // wreck fragments of destroyed UFOs (see Spawner.spawnUfoLoot)
+      ufoSpawnTimer: null,
+      ufoSpawnedThisWave: false,
+      escorts: [],               // UFOs called in by the boss (same entity as the UFO)
+
+      boss: null,                // mothership of a boss wave (see entities/Mothership.js)
+
+      fighters: [],              // enemy fighters on the field (see entities/Fighter.js)
+      fighterShots: [],          // their projectiles
+      squadrons: [],             // squadrons still to arrive this wave: { type, count } (see Spawner.planSquadrons)
+      squadronTimer: null,       // seconds to the next squadron; null = none left
+
+      waveIntroTimer: 0,         // seconds left in WAVE_INTRO
+      pausedFrom: null           // mode that resume() returns to
+    };
+  }
+
+  /**
+   * A fresh ship for one player at their spawn point, in their color.
+   * @param {Object} config - run config
+   * @param {Object} rules - game mode rules (see gameModes.js)
+   * @param {number} index - 0-based player index
+   * @param {number} playerCount
+   * @param {{ invulnBlink?: boolean }} [options] - see Ship
+   */
+  _createShip(config, rules, index, playerCount, options = {}) {
+    const { x, y } = spawnPoint(config, rules, index, playerCount);
+    const ship = new Ship(x, y, { ...options, color: getPlayerColor(index) });
+    ship.resetSpeedLevel?.(); // optional helper: reset any speed power-up state
+    return ship;
+  }
+
+  _emitShipChanged(player) {
+    this.events.emit(GameEvent.SHIP_CHANGED, {
+      player: player.index,
+      shieldLevel: player.ship.shieldLevel
+    });
+  }
+
+  /**
+   * Begin a new run: fresh state, then WAVE_INTRO for the first wave.
+   * Allowed from any mode (restart).
+   * @param {{ seed?: number|string, rng?: Rng, highScore?: number, gameMode?: string,
+   *           difficulty?: string, playerCount?: number, scoreMode?: string }} [options]
+   *   gameMode / difficulty / playerCount / scoreMode default to the current state's
+   */
+  startRun({
+    seed,
+    rng = null,
+    highScore = this.state.highScore,
+    gameMode = this.state.gameMode,
+    difficulty = this.state.difficulty,
+    playerCount = this.state.players.length,
+    scoreMode = this.state.scoreMode
+  } = {}) {
+    this.state = this.createInitialState({ seed, rng, highScore, gameMode, difficulty, playerCount, scoreMode });
+    this.state.mode = this.machine.current;
+    const S = this.state;
+
+    for (const player of S.players) this._emitShipChanged(player);
+    this.events.emit(GameEvent.RUN_STARTED, {
+      seed: S.seed,
+      gameMode: S.gameMode,
+      difficulty: S.difficulty,
+      playerCount: S.players.length,
+      scoreMode: S.scoreMode
+    });
+
+    this.machine.transition(Mode.WAVE_INTRO);
+  }
+
+  /**
+   * Continue a saved run (see save/runSnapshot.js). The run comes back PAUSED;
+   * resume() returns to the mode it was saved in.
+   * Throws when the snapshot cannot be restored; the current state is kept then.
+   * @param {Object} snapshot - serializeRun() output
+   * @param {{ highScore?: number }} [options]
+   */
+  restoreRun(snapshot, { highScore = this.state.highScore } = {}) {
+    const restored = deserializeRun(snapshot);
+    const base = this.createInitialState({
+      rng: restored.rng,
+      highScore,
+      gameMode: restored.gameMode,
+      difficulty: restored.difficulty,
+      playerCount: restored.players.length,
+      scoreMode: restored.scoreMode
+    });
+
+    this.state = { ...base, ...restored, mode: this.machine.current };
+    this.state.highScore = Math.max(highScore, this.state.score);
+    // Ships lost before the save are still off the field.
+    for (const player of this.waitingPlayers()) {
+      player.respawnReady = player.respawnTimer <= 0 && this.isSpawnAreaClear(player.index);
+    }
+
+    for (const player of this.state.players) this._emitShipChanged(player);
+    this.events.emit(GameEvent.RUN_RESUMED, { seed: this.state.seed, wave: this.state.wave });
+
+    this.machine.transition(Mode.PAUSED, { reason: 'continue', resumeTo: restored.mode });
+  }
+
+  /**
+   * Spawn the asteroid field (or the boss), power-ups, UFO timer and fighter
+   * squadrons for state.wave and start the intro countdown (WAVE_INTRO enter hook).
+   */
+  _startWave() {
+    const S = this.state;
+    const bossWave = this.isBossWave(S.wave);
+    const asteroidCount = bossWave ? 0 : spawnWave(S);
+    // Timed drops (rules.powerupInterval) replace the per-wave roll.
+    const { powerupInterval } = this.rules;
+    const powerups = powerupInterval ? [] : maybeSpawnPowerUp(S, { disabledTypes: this.rules.disabledPowerups });
+    S.powerupTimer = powerupInterval ?? null;
+    this.resetUfoStateForWave();
+    this.resetFightersForWave();
+    S.boss = bossWave ? spawnBoss(S) : null;
+    S.waveIntroTimer = this.config.WAVES.INTRO_DURATION ?? 0;
+
+    this.events.emit(GameEvent.WAVE_STARTED, { wave: S.wave, asteroidCount, boss: bossWave });
+    if (S.boss) {
+      this.events.emit(GameEvent.BOSS_SPAWNED, { wave: S.wave, x: S.boss.x, y: S.boss.y, health: S.boss.health });
+    }
+    for (const pu of powerups) {
+      this.events.emit(GameEvent.POWERUP_SPAWNED, { type: pu.type, x: pu.x, y: pu.y, wave: S.wave });
+    }
+  }
+
+  /**
+   * Drop the current run and go back to an idle MENU state.
+   * @param {{ highScore?: number, gameMode?: string, difficulty?: string,
+   *           playerCount?: number, scoreMode?: string }} [options]
+   */
+  returnToMenu({
+    highScore = this.state.highScore,
+    gameMode = this.state.gameMode,
+    difficulty = this.state.difficulty,
+    playerCount = this.state.players.length,
+    scoreMode = this.state.scoreMode
+  } = {}) {
+    this.state = this.createInitialState({ highScore, gameMode, difficulty, playerCount, scoreMode });
+    this.state.mode = this.machine.current;
+    for (const player of this.state.players) this._emitShipChanged(player);
+
+    if (this.machine.current !== Mode.MENU) this.machine.transition(Mode.MENU);
+  }
+
+  /**
+   * Freeze an active mode (WAVE_INTRO / PLAY / RESPAWNING) in PAUSED.
+   * @param {string} [reason] - handed to the PAUSED enter hooks
+   * @returns {boolean} true if the mode changed
+   */
+  pause(reason) {
+    if (!this.isActive()) return false;
+    return this.machine.transition(Mode.PAUSED, { reason });
+  }
+
+  /**
+   * PAUSED → the mode the run was paused in. Its enter hooks get `{ resumed: true }`
+   * so they continue (timers, wave) instead of starting over.
+   * @returns {boolean} true if the mode changed
+   */
+  resume() {
+    if (this.state.mode !== Mode.PAUSED) return false;
+    return this.machine.transition(this.state.pausedFrom ?? Mode.PLAY, { resumed: true });
+  }
+
+  /** Advance one fixed step using the default input source. */
+  step() {
+    this.update(this.fixedDt);
+  }
+
+  getUfoSpawnDelayForWave(wave) {
+    const timer = this.config.UFO?.SPAWN_TIMER;
+    if (!timer) return null;
+    const start = timer.START ?? 0;
+    const decrement = timer.DECREMENT_PER_WAVE ?? 0;
+    const min = timer.MIN ?? 0;
+    const delay = start - wave * decrement;
+    return Math.max(min, delay);
+  }
+
+  /**
+   * Every CONFIG.BOSS.EVERY_N_WAVES-th wave (counting from 1, as shown) is a
+   * boss wave, unless the game mode has noBoss.
+   * @param {number} wave - 0-based
+   * @returns {boolean}
+   */
+  isBossWave(wave) {
+    const every = this.config.BOSS?.EVERY_N_WAVES;
+    if (this.rules.noBoss || !(every > 0)) return false;
+    return (wave + 1) % every === 0;
+  }
+
+  /** The UFO (and the boss's escorts) belong to their wave; boss waves have no timed UFO. */
+  resetUfoStateForWave() {
+    const S = this.state;
+    S.ufo = null;
+    S.ufoBullets = [];
+    S.ufoDebris = [];
+    S.escorts = [];
+    S.ufoSpawnedThisWave = false;
+    const delay = this.rules.noUfo || this.isBossWave(S.wave) ? null : this.getUfoSpawnDelayForWave(S.wave);
+    S.ufoSpawnTimer = typeof delay === 'number' ? delay : null;
+  }
+
+  /**
+   * Like the UFO, fighters belong to their wave: the field is cleared of them
+   * and the wave's squadrons are planned from its budget (none on boss waves).
+   */
+  resetFightersForWave() {
+    const S = this.state;
+    S.fighters = [];
+    S.fighterShots = [];
+    S.squadrons = this.rules.noFighters || this.isBossWave(S.wave) ? [] : planSquadrons(S);
+    S.squadronTimer = S.squadrons.length > 0 ? (this.config.FIGHTERS?.FIRST_SQUADRON_DELAY ?? 0) : null;
+  }
+
+  /**
+   * Send in the wave's UFO: a saucer variant weighted for the wave
+   * (CONFIG.UFO.VARIANTS), entering from a random edge.
+   */
+  spawnUfoForCurrentWave() {
+    const S = this.state;
+    const { rng } = S;
+    const margin = this.config.UFO?.OFFSCREEN_MARGIN ?? 0;
+    const { W, H } = this.config.CANVAS;
+
+    const horizontal = rng.next() < 0.5;
+    let x = 0;
+    let y = 0;
+    let heading = 0;
+
+    if (horizontal) {
+      y = rng.next() * H;
+      const fromLeft = rng.next() < 0.5;
+      x = fromLeft ? -margin : W + margin;
+      heading = fromLeft ? 0 : Math.PI;
+    } else {
+      x = rng.next() * W;
+      const fromTop = rng.next() < 0.5;
+      y = fromTop ? -margin : H + margin;
+      heading = fromTop ? Math.PI / 2 : -Math.PI / 2;
+    }
+
+    const ufo = this._createUfo(pickUfoVariant(S), x, y, heading);
+    S.ufo = ufo;
+    S.ufoSpawnedThisWave = true;
+    S.ufoSpawnTimer = null;
+
+    this.events.emit(GameEvent.UFO_SPAWNED, {
+      variant: ufo.variant, spriteKey: ufo.spriteKey, x, y, vx: ufo.vx, vy: ufo.vy, wave: S.wave, escort: false
+    });
+  }
+
+  /**
+   * A saucer of `variant` (CONFIG.UFO.VARIANTS) on a course that may stray by
+   * up to its `headingJitter` from `heading`, with its aim spread and movement
+   * behaviors for this wave. Rolls come from state.rng.
+   * @param {string} variant
+   * @param {number} x
+   * @param {number} y
+   * @param {number} heading - radians
+   * @returns {Ufo}
+   */
+  _createUfo(variant, x, y, heading) {
+    const S = this.state;
+    const { rng } = S;
+    const U = this.config.UFO ?? {};
+    const rules = U.VARIANTS?.[variant] ?? {};
+    const spriteKey = rng.pick(rules.sprites ?? U.SPRITES ?? []);
+
+    const speed = rules.speed ?? U.SPEED ?? 0;
+    const angle = heading + (rng.next() * 2 - 1) * (rules.headingJitter ?? 0);
+
+    const waves = Math.max(0, S.wave - (rules.minWave ?? 0));
+    const spread = Math.max(rules.minSpread ?? 0, (rules.spread ?? 0) + waves * (rules.spreadPerWave ?? 0));
+    const fireInterval = (U.FIRE_INTERVAL ?? 0) * (rules.fireIntervalScale ?? 1);
+
+    return new Ufo({
+      x,
+      y,
+      vx: Math.cos(angle) * speed,
+      vy: Math.sin(angle) * speed,
+      spriteKey,
+      variant,
+      fireInterval,
+      spread,
+      behaviors: ufoBehaviorsForWave(rules, S.wave),
+      crossings: rules.crossings ?? U.CROSSINGS ?? Infinity
+    });
+  }
+
+  /**
+   * Add points to the team score (and to the player who earned them) and keep
+   * the high score in sync. Versus rounds are decided by kills, so nothing
+   * scores there.
+   * @param {number} points
+   * @param {Object} [player] - state.players entry credited with the points
+   */
+  addScore(points, player = null) {
+    const S = this.state;
+    if (this.rules.versus) return;
+    if (points) {
+      S.score += points;
+      if (player) player.score += points;
+    }
+    this.updateHighScore();
+  }
+
+  updateHighScore() {
+    const S = this.state;
+    if (S.score <= S.highScore) return;
+
+    const previousHighScore = S.highScore;
+    const firstTime = !S.didBeatHighScore;
+    S.highScore = S.score;
+    S.didBeatHighScore = true;
+
+    this.events.emit(GameEvent.HIGHSCORE_CHANGED, { highScore: S.highScore });
+    if (firstTime) {
+      this.events.emit(GameEvent.HIGHSCORE_BEATEN, { highScore: S.highScore, previousHighScore });
+    }
+  }
+
+  /**
+   * Advance the run by dt (fixed time slice): runs the current mode's update
+   * hooks. Only the active modes move the world; MENU / PAUSED / GAME_OVER are
+   * frozen (their UI lives in the shell's hooks).
+   * @param {number} dt
+   * @param {{isDown:Function, pressed:Function, released:Function}} [input] - overrides the default source for this tick
+   */
+  update(dt, input = this.input) {
+    this.tickInput = input;
+    this.machine.update(dt);
+  }
+
+  /**
+   * WAVE_INTRO tick: a safe period before the field moves. Ships can steer
+   * (no firing, no collisions); asteroids, power-ups and the UFO timer hold still.
+   * A co-op player still waiting to relaunch can launch into the new wave.
+   */
+  _updateWaveIntro(dt, input) {
+    const S = this.state;
+
+    for (const player of this.activePlayers()) {
+      player.ship.update(dt, input, this.controlsFor(player));
+      integrateAndWrap(player.ship);
+    }
+    for (const player of this.waitingPlayers()) {
+      this._updateRespawn(player, dt, input);
+    }
+    for (const b of S.bullets) {
+      b.update(dt);
+      integrateAndWrap(b);
+    }
+    S.bullets = S.bullets.filter(b => !b.dead);
+
+    S.waveIntroTimer = Math.max(0, S.waveIntroTimer - dt);
+    if (S.waveIntroTimer <= 0) {
+      this.machine.transition(Mode.PLAY);
+    }
+  }
+
+  /**
+   * RESPAWNING tick: the field keeps moving (shots already fired still score)
+   * while no ship is on it. The first player to relaunch (see _updateRespawn)
+   * moves the run back to PLAY.
+   */
+  _updateRespawning(dt, input) {
+    const S = this.state;
+    if (!this._advanceRunClock(dt)) return;
+
+    for (const b of S.bullets)  b.update(dt);
+    for (const a of S.asteroids) a.update(dt);
+    for (const pu of S.powerups) pu.update(dt);
+    this._updateUfo(dt);
+    this._updateBoss(dt);
+    this._updateFighters(dt);
+    this._updatePowerupDrops(dt);
+
+    for (const b of S.bullets)  integrateAndWrap(b);
+    for (const a of S.asteroids) integrateAndWrap(a);
+    for (const pu of S.powerups) integrateAndWrap(pu);
+    this._collideAsteroids();
+
+    this._handleBulletCollisions();
+    this.updateHighScore();
+    this._removeDeadEntities();
+
+    let launched = false;
+    for (const player of this.waitingPlayers()) {
+      if (this._updateRespawn(player, dt, input)) launched = true;
+    }
+    if (launched) this.machine.transition(Mode.PLAY);
+  }
+
+  /**
+   * Count down one waiting player's relaunch. Once RESPAWN_DELAY has passed and
+   * their spawn point is clear, their fire key launches a fresh, invulnerable
+   * ship; after RESPAWN_TIMEOUT it launches on its own.
+   * @returns {boolean} true when the ship launched this tick
+   */
+  _updateRespawn(player, dt, input) {
+    player.respawnTimer = Math.max(0, player.respawnTimer - dt);
+    player.respawnTimeout = Math.max(0, player.respawnTimeout - dt);
+    player.respawnReady = player.respawnTimer <= 0 && this.isSpawnAreaClear(player.index);
+
+    const controls = this.controlsFor(player);
+    const firePressed = isControlPressed(input, controls.fire) || isControlPressed(input, controls.tapFire);
+    if (!(player.respawnReady && firePressed) && player.respawnTimeout > 0) return false;
+
+    player.respawnReady = false;
+    player.ship = this._createShip(this.config, this.rules, player.index, this.state.players.length);
+    this._emitShipChanged(player);
+    return true;
+  }
+
+  /**
+   * True when no asteroid, UFO, escort, debris, fighter or enemy shot is within CONFIG.SHIP.RESPAWN_SAFE_RADIUS
+   * of a player's spawn point (the canvas center in a solo run).
+   * @param {number} [index=0] - 0-based player index
+   */
+  isSpawnAreaClear(index = 0) {
+    const S = this.state;
+    const radius = this.config.SHIP.RESPAWN_SAFE_RADIUS ?? 0;
+    const { x, y } = spawnPoint(this.config, this.rules, index, S.players.length);
+    return isAreaClear(x, y, radius, [
+      ...S.asteroids,
+      ...S.ufoBullets,
+      ...S.ufoDebris,
+      S.ufo,
+      ...S.escorts,
+      ...S.fighters,
+      ...S.fighterShots
+    ]);
+  }
+
+  /**
+   * Count down the run clock (game modes with a timeLimit) during PLAY / RESPAWNING.
+   * @returns {boolean} false when time ran out and the run moved on to GAME_OVER
+   */
+  _advanceRunClock(dt) {
+    const S = this.state;
+    if (typeof S.timeLeft !== 'number') return true;
+
+    S.timeLeft = Math.max(0, S.timeLeft - dt);
+    if (S.timeLeft > 0) return true;
+
+    this.machine.transition(Mode.GAME_OVER, { reason: 'time-up' });
+    return false;
+  }
+
+  /** PLAY tick: the full game. */
+  _updatePlay(dt, input) {
+    const S = this.state;
+    if (!this._advanceRunClock(dt)) return;
+
+    for (const player of this.activePlayers()) {
+      const { ship } = player;
+      const controls = this.controlsFor(player);
+
+      // Ship controls + movement (reads the player's keys)
+      ship.update(dt, input, controls);
+
+      // Hyperspace: jump somewhere random; a malfunction costs the ship.
+      if (isControlPressed(input, controls.hyperspace) && ship.canHyperspace() && !this._hyperspace(player)) {
+        // Losing the last ship on the field has moved the run on to RESPAWNING / GAME_OVER.
+        if (S.mode !== Mode.PLAY) return;
+        continue;
+      }
+
+      // Shooting: if fire is held or tapped and cooldown permits, create bullets via Ship.fire()
+      const firing = isControlDown(input, controls.fire) || isControlPressed(input, controls.tapFire);
+      if (firing && ship.canFire()) {
+        const bullets = ship.fire();   // may return 1 or multiple (e.g., triple-shot)
+        for (const b of bullets) b.owner = player.index;
+        S.bullets.push(...bullets);
+        this.events.emit(GameEvent.BULLET_FIRED, {
+          player: player.index,
+          count: bullets.length,
+          weaponMode: ship.weaponMode,
+          x: ship.x,
+          y: ship.y,
+          angle: ship.angle
+        });
+      }
+    }
+
+    // Integrate entity-local updates (movement, spin, timers)
+    for (const b of S.bullets)  b.update(dt);
+    for (const a of S.asteroids) a.update(dt);
+    for (const pu of S.powerups) pu.update(dt);
+
+    this._updateUfo(dt);
+    this._updateBoss(dt);
+    this._updateFighters(dt);
+    this._updatePowerupDrops(dt);
+
+    // Wrap all entities across screen edges (toroidal space)
+    for (const player of this.activePlayers()) integrateAndWrap(player.ship);
+    for (const b of S.bullets)  integrateAndWrap(b);
+    for (const a of S.asteroids) integrateAndWrap(a);
+    for (const pu of S.powerups) integrateAndWrap(pu);
+    this._collideAsteroids();
+
+    this._handleBulletCollisions();
+
+    // Versus: bullets against the other ship. A round-winning kill ends the run.
+    if (this.rules.versus) {
+      for (const player of this.activePlayers()) {
+        if (player.ship.invuln > 0) continue;
+        if (!this._handleShipBulletCollisions(player) && S.mode !== Mode.PLAY) {
+          return;
+        }
+      }
+    }
+
+    for (const player of this.activePlayers()) {
+      if (player.ship.invuln > 0) continue;
+      // Losing the last ship on the field has moved the run on to RESPAWNING / GAME_OVER.
+      if (!this._handleShipHazardCollisions(player) && S.mode !== Mode.PLAY) {
+        return;
+      }
+    }
+
+    for (const player of this.activePlayers()) {
+      this._handlePowerupCollisions(player);
+    }
+
+    // Co-op: a lost ship relaunches while its partner plays on.
+    for (const player of this.waitingPlayers()) {
+      this._updateRespawn(player, dt, input);
+    }
+
+    this.updateHighScore();
+    this._removeDeadEntities();
+
+    // Versus: the field never clears; a fresh set of asteroids drifts back in.
+    if (S.asteroids.length === 0 && this.rules.versus) {
+      spawnWave(S);
+      return;
+    }
+
+    // --- Progression: next wave once all asteroids are cleared (and the boss is down) ---
+    if (S.asteroids.length === 0 && !S.boss) {
+      this.events.emit(GameEvent.WAVE_CLEARED, { wave: S.wave, score: S.score });
+      S.wave += 1;
+      this.machine.transition(Mode.WAVE_INTRO);
+    }
+  }
+
+  /**
+   * Jump a player's ship through hyperspace (Ship.hyperspace) and resolve the outcome.
+   * @param {Object} player - state.players entry
+   * @returns {boolean} false when the jump destroyed the ship
+   */
+  _hyperspace(player) {
+    const S = this.state;
+    const { ship } = player;
+    const fromX = ship.x;
+    const fromY = ship.y;
+    const outcome = ship.hyperspace(S.rng);
+
+    this.events.emit(GameEvent.HYPERSPACE_JUMP, {
+      player: player.index,
+      fromX,
+      fromY,
+      x: ship.x,
+      y: ship.y,
+      outcome
+    });
+
+    if (outcome === 'destroyed') {
+      return this.damageShip(player, { source: 'hyperspace', bypassShield: true });
+    }
+    return true;
+  }
+
+  /**
+   * UFO timer + behavior (the boss's escorts fly the same way), then the UFO
+   * lasers and wreck debris. Each UFO shoots at the nearest ship on the field and holds fire
+   * while there is none; its movement behaviors react to the asteroids and the
+   * players' bullets.
+   * @param {number} dt
+   */
+  _updateUfo(dt) {
+    const S = this.state;
+
+    if (!S.ufo && !S.ufoSpawnedThisWave && typeof S.ufoSpawnTimer === 'number') {
+      S.ufoSpawnTimer = Math.max(0, S.ufoSpawnTimer - dt);
+      if (S.ufoSpawnTimer <= 0) {
+        this.spawnUfoForCurrentWave();
+      }
+    }
+
+    const world = { asteroids: S.asteroids, bullets: S.bullets };
+    for (const ufo of this._ufos()) {
+      const lasers = ufo.update(dt, this._nearestShip(ufo), S.rng, world);
+      if (lasers && lasers.length) {
+        S.ufoBullets.push(...lasers);
+        this.events.emit(GameEvent.UFO_FIRED, { count: lasers.length });
+      }
+      if (ufo.escaped) {
+        this.events.emit(GameEvent.UFO_ESCAPED, {
+          variant: ufo.variant, spriteKey: ufo.spriteKey, x: ufo.x, y: ufo.y, escort: ufo !== S.ufo
+        });
+      }
+    }
+    if (S.ufo?.dead) S.ufo = null;
+    S.escorts = S.escorts.filter((escort) => !escort.dead);
+
+    // UFO lasers do not wrap across the screen; they self-destroy when off-screen or timed out.
+    for (const laser of S.ufoBullets) {
+      laser.update(dt);
+    }
+    for (const debris of S.ufoDebris) {
+      debris.update(dt);
+    }
+  }
+
+  /** @returns {Ufo[]} the wave's UFO and the boss's escorts on the field */
+  _ufos() {
+    const S = this.state;
+    return S.ufo ? [S.ufo, ...S.escorts] : S.escorts;
+  }
+
+  /**
+   * The boss of a boss wave: its flight and attack phases. Volleys join the
+   * UFO lasers; escorts are UFOs (CONFIG.BOSS.PHASES.escorts) launched from
+   * under its hull, up to `max` at a time. Like the UFO, it goes after the
+   * nearest ship.
+   * @param {number} dt
+   */
+  _updateBoss(dt) {
+    const S = this.state;
+    const boss = S.boss;
+    if (!boss) return;
+
+    const phase = boss.phase;
+    const { lasers, escorts } = boss.update(dt, this._nearestShip(boss));
+    if (boss.phase !== phase) {
+      this.events.emit(GameEvent.BOSS_PHASE, { phase: boss.phase, x: boss.x, y: boss.y });
+    }
+    if (lasers.length > 0) {
+      S.ufoBullets.push(...lasers);
+      this.events.emit(GameEvent.BOSS_FIRED, { count: lasers.length });
+    }
+
+    const rules = this.config.BOSS.PHASES.escorts ?? {};
+    const room = Math.max(0, (rules.max ?? Infinity) - S.escorts.length);
+    for (let i = 0; i < Math.min(escorts, room); i++) {
+      // Fan out downwards from under the hull.
+      const heading = Math.PI / 2 + (S.rng.next() * 2 - 1) * 0.9;
+      const escort = this._createUfo(rules.variant ?? 'large', boss.x, boss.y + boss.r / 2, heading);
+      S.escorts.push(escort);
+      this.events.emit(GameEvent.UFO_SPAWNED, {
+        variant: escort.variant, spriteKey: escort.spriteKey, x: escort.x, y: escort.y,
+        vx: escort.vx, vy: escort.vy, wave: S.wave, escort: true
+      });
+    }
+  }
+
+  /**
+   * Squadron arrivals, then every fighter's flight and fire, then their shots.
+   * Each fighter goes after the ship nearest to it.
+   * @param {number} dt
+   */
+  _updateFighters(dt) {
+    const S = this.state;
+
+    if (S.squadrons.length > 0 && typeof S.squadronTimer === 'number') {
+      S.squadronTimer = Math.max(0, S.squadronTimer - dt);
+      if (S.squadronTimer <= 0) {
+        const squadron = S.squadrons.shift();
+        const fighters = spawnSquadron(S, squadron);
+        S.squadronTimer = S.squadrons.length > 0 ? (this.config.FIGHTERS?.SQUADRON_INTERVAL ?? 0) : null;
+        this.events.emit(GameEvent.SQUADRON_SPAWNED, {
+          type: squadron.type,
+          count: fighters.length,
+          x: fighters[0]?.x ?? 0,
+          y: fighters[0]?.y ?? 0,
+          wave: S.wave
+        });
+      }
+    }
+
+    for (const fighter of S.fighters) {
+      const shots = fighter.update(dt, this._nearestShip(fighter));
+      if (shots.length > 0) {
+        S.fighterShots.push(...shots);
+        this.events.emit(GameEvent.FIGHTER_FIRED, { type: fighter.kind, count: shots.length });
+      }
+    }
+
+    for (const shot of S.fighterShots) {
+      shot.update(dt);
+    }
+  }
+
+  /**
+   * Timed power-up drops (game modes with a powerupInterval): one random type
+   * every interval, skipped while maxPowerups are already on the field.
+   * @param {number} dt
+   */
+  _updatePowerupDrops(dt) {
+    const S = this.state;
+    if (typeof S.powerupTimer !== 'number') return;
+
+    S.powerupTimer = Math.max(0, S.powerupTimer - dt);
+    if (S.powerupTimer > 0) return;
+
+    const { powerupInterval, maxPowerups = Infinity, disabledPowerups } = this.rules;
+    S.powerupTimer = powerupInterval;
+    if (S.powerups.length >= maxPowerups) return;
+
+    const pu = spawnTimedPowerUp(S, { disabledTypes: disabledPowerups });
+    if (pu) {
+      this.events.emit(GameEvent.POWERUP_SPAWNED, { type: pu.type, x: pu.x, y: pu.y, wave: S.wave });
+    }
+  }
+
+  /**
+   * @param {{x:number,y:number}} from - the UFO or a fighter
+   * @returns {Ship|null} the ship on the field closest to it
+   */
+  _nearestShip(from) {
+    let target = null;
+    let bestDistSq = Infinity;
+    for (const { ship } of this.activePlayers()) {
+      const distSq = (ship.x - from.x) ** 2 + (ship.y - from.y) ** 2;
+      if (distSq < bestDistSq) {
+        bestDistSq = distSq;
+        target = ship;
+      }
+    }
+    return target;
+  }
+
+  // Cleanup: remove dead entities from arrays (cheap compaction).
+  _removeDeadEntities() {
+    const S = this.state;
+    S.bullets    = S.bullets.filter(b => !b.dead);
+    S.asteroids  = S.asteroids.filter(a => !a.dead);
+    S.powerups   = S.powerups.filter(p => !p.dead);
+    S.ufoBullets = S.ufoBullets.filter(l => !l.dead);
+    S.ufoDebris  = S.ufoDebris.filter(d => !d.dead);
+    S.fighters   = S.fighters.filter(f => !f.dead);
+    S.fighterShots = S.fighterShots.filter(s => !s.dead);
+  }
+
+  _savePreviousPoses() {
+    const S = this.state;
+    for (const player of S.players) player.ship.savePreviousPose();
+    for (const b of S.bullets) b.savePreviousPose();
+    for (const a of S.asteroids) a.savePreviousPose();
+    for (const pu of S.powerups) pu.savePreviousPose();
+    S.ufo?.savePreviousPose();
+    for (const escort of S.escorts) escort.savePreviousPose();
+    S.boss?.savePreviousPose();
+    for (const laser of S.ufoBullets) laser.savePreviousPose();
+    for (const debris of S.ufoDebris) debris.savePreviousPose();
+    for (const fighter of S.fighters) fighter.savePreviousPose();
+    for (const shot of S.fighterShots) shot.savePreviousPose();
+  }
+
+  /**
+   * Apply one hit to a player's ship: shields absorb it, otherwise a life is
+   * lost and the ship leaves the field. With no ship left on the field the run
+   * moves on to RESPAWNING, or GAME_OVER once every player is out of lives.
+   * In a noDeath game mode the hit only knocks the ship into a short invulnerability.
+   * In versus no life is lost: the attacker scores a kill instead, and the
+   * round is over once they reach killsToWin.
+   * @param {Object} player - state.players entry
+   * @param {{ source?: import('./GameEvents.js').DamageSource,
+   *           onShieldAbsorb?: Function, scoreBonus?: number,
+   *           bypassShield?: boolean, attacker?: Object }} [options]
+   *   attacker: state.players entry whose bullet hit the ship (versus)
+   * @returns {boolean} false when the ship was lost
+   */
+  damageShip(player, {
+    source = 'asteroid',
+    onShieldAbsorb,
+    scoreBonus = 0,
+    bypassShield = false,
+    attacker = null
+  } = {}) {
+    const S = this.state;
+    const { ship } = player;
+    this.events.emit(GameEvent.SHIP_HIT, { player: player.index, source });
+
+    if (this.rules.noDeath) {
+      ship.invuln = this.config.SHIP.SHIELD_HIT_INVULN ?? 0;
+      ship.resetInvulnBlink?.();
+      return true;
+    }
+
+    if (ship.shieldLevel > 0 && !bypassShield) {
+      onShieldAbsorb?.();
+      if (scoreBonus) {
+        this.addScore(scoreBonus, player);
+      }
+
+      if (ship.decreaseShieldLevel()) {
+        this._emitShipChanged(player);
+      }
+      this.events.emit(GameEvent.SHIELD_ABSORBED, {
+        player: player.index,
+        source,
+        shieldLevel: ship.shieldLevel,
+        bonus: scoreBonus
+      });
+
+      const shieldInvuln = this.config.SHIP.SHIELD_HIT_INVULN ?? 0;
+      ship.invuln = shieldInvuln;
+      ship.resetInvulnBlink?.();
+      return true;
+    }
+
+    ship.dead = true;
+    player.deaths += 1;
+    player.respawnTimer = this.config.SHIP.RESPAWN_DELAY ?? 0;
+    player.respawnTimeout = this.config.SHIP.RESPAWN_TIMEOUT ?? 0;
+    player.respawnReady = false;
+
+    if (this.rules.versus) {
+      if (attacker) attacker.kills += 1;
+      this.events.emit(GameEvent.PLAYER_KILLED, {
+        player: player.index,
+        killer: attacker?.index ?? null,
+        source,
+        kills: S.players.map((p) => p.kills)
+      });
+      if (attacker && attacker.kills >= (this.rules.killsToWin ?? Infinity)) {
+        this.machine.transition(Mode.GAME_OVER, { reason: 'kills', winner: attacker.index });
+        return false;
+      }
+    } else {
+      player.lives -= 1;
+      this.events.emit(GameEvent.LIFE_LOST, {
+        player: player.index,
+        source,
+        livesRemaining: Math.max(0, player.lives)
+      });
+    }
+
+    if (this.activePlayers().length === 0) {
+      this.machine.transition(this.waitingPlayers().length > 0 ? Mode.RESPAWNING : Mode.GAME_OVER);
+    }
+    return false;
+  }
+
+  /** Asteroids bounce off each other when the game mode (or CONFIG.ASTEROID.COLLISIONS) turns it on. */
+  _collideAsteroids() {
+    const tuning = this.config.ASTEROID;
+    if (!(this.rules.asteroidCollisions ?? tuning.COLLISIONS)) return;
+    resolveAsteroidCollisions(this.state.asteroids, {
+      restitution: tuning.RESTITUTION ?? 1,
+      correction: tuning.OVERLAP_CORRECTION ?? 0.5
+    });
+  }
+
+  _handleBulletCollisions() {
+    const S = this.state;
+
+    forEachBulletAsteroidHit(S.bullets, S.asteroids, (b, a) => {
+      b.dead = true;
+
+      // Armored: chips away until the last hit.
+      if (a.hitsLeft > 1) {
+        a.hitsTaken += 1;
+        this.events.emit(GameEvent.ASTEROID_HIT, {
+          type: a.type,
+          sizeIndex: a.sizeIndex,
+          x: a.x,
+          y: a.y,
+          hitsLeft: a.hitsLeft
+        });
+        return;
+      }
+
+      this._destroyAsteroid(a, { player: S.players[b.owner], impactor: b, cause: 'bullet' });
+    }, this.collisionShapes);
+
+    for (const b of S.bullets) {
+      if (b.dead) continue;
+
+      const ufo = this._ufos().find((u) => !u.dead && circleHit(b, u));
+      if (ufo) {
+        b.dead = true;
+        const destroyed = ufo.takeHit();
+        this.events.emit(GameEvent.UFO_HIT, {
+          x: ufo.x,
+          y: ufo.y,
+          health: Math.max(0, ufo.health),
+          destroyed
+        });
+        if (destroyed) {
+          this._destroyUfo(ufo, S.players[b.owner]);
+        }
+      }
+
+      if (b.dead) continue;
+      const zone = S.boss?.zoneCircles().find((z) => circleHit(b, z));
+      if (zone) {
+        b.dead = true;
+        this._hitBoss(zone, S.players[b.owner]);
+      }
+
+      if (b.dead) continue;
+      const fighter = S.fighters.find((f) => !f.dead && circleHit(b, f));
+      if (fighter) {
+        b.dead = true;
+        const destroyed = fighter.takeHit();
+        this.events.emit(GameEvent.FIGHTER_HIT, {
+          type: fighter.kind,
+          x: fighter.x,
+          y: fighter.y,
+          health: Math.max(0, fighter.health),
+          destroyed
+        });
+        if (destroyed) {
+          this._destroyFighter(fighter, { player: S.players[b.owner], cause: 'bullet' });
+        }
+      }
+    }
+  }
+
+  /**
+   * Take a shot-down UFO (or escort) off the field, score it and leave its
+   * loot behind (Spawner.spawnUfoLoot): maybe a power-up, and debris that
+   * hits ships for a moment.
+   * @param {Ufo} ufo
+   * @param {Object} [player] - state.players entry whose bullet it was
+   */
+  _destroyUfo(ufo, player = null) {
+    const S = this.state;
+    const points = this.config.UFO?.VARIANTS?.[ufo.variant]?.score ?? this.config.UFO?.SCORE_VALUE ?? 0;
+    this.addScore(points, player);
+    const escort = ufo !== S.ufo;
+    if (escort) {
+      S.escorts = S.escorts.filter((e) => e !== ufo);
+    } else {
+      S.ufo = null;
+    }
+
+    const loot = spawnUfoLoot(S, ufo, { disabledTypes: this.rules.disabledPowerups });
+    this.events.emit(GameEvent.UFO_DESTROYED, {
+      variant: ufo.variant,
+      spriteKey: ufo.spriteKey,
+      x: ufo.x,
+      y: ufo.y,
+      score: points,
+      escort,
+      powerUp: loot.powerUp?.type ?? null,
+      debris: loot.debris.length
+    });
+    if (loot.powerUp) {
+      const pu = loot.powerUp;
+      this.events.emit(GameEvent.POWERUP_SPAWNED, { type: pu.type, x: pu.x, y: pu.y, wave: S.wave });
+    }
+  }
+
+  /**
+   * A bullet hit one of the boss's zones: chip it, score a destroyed pod, and
+   * on the core's last hit bring the mothership down for CONFIG.BOSS.SCORE and
+   * a guaranteed power-up.
+   * @param {{ id: string, x: number, y: number }} zone - Mothership.zoneCircles() entry
+   * @param {Object} [player] - state.players entry whose bullet it was
+   */
+  _hitBoss(zone, player = null) {
+    const S = this.state;
+    const boss = S.boss;
+    const hit = boss.takeHit(zone.id);
+    if (!hit) return;
+
+    this.events.emit(GameEvent.BOSS_HIT, {
+      zone: zone.id,
+      x: zone.x,
+      y: zone.y,
+      absorbed: hit.absorbed,
+      destroyed: hit.destroyed,
+      health: boss.health,
+      maxHealth: boss.maxHealth
+    });
+
+    if (hit.destroyed && !hit.defeated) {
+      const points = this.config.BOSS.ZONES.find((z) => z.id === zone.id)?.score ?? 0;
+      this.addScore(points, player);
+      this.events.emit(GameEvent.BOSS_ZONE_DESTROYED, { zone: zone.id, x: zone.x, y: zone.y, score: points });
+    }
+
+    if (hit.defeated) {
+      const points = this.config.BOSS.SCORE ?? 0;
+      this.addScore(points, player);
+      S.boss = null;
+      this.events.emit(GameEvent.BOSS_DEFEATED, {
+        player: player?.index ?? null,
+        x: boss.x,
+        y: boss.y,
+        score: points,
+        wave: S.wave
+      });
+
+      const pu = spawnPowerUpAt(S, boss.x, boss.y, { disabledTypes: this.rules.disabledPowerups });
+      if (pu) {
+        this.events.emit(GameEvent.POWERUP_SPAWNED, { type: pu.type, x: pu.x, y: pu.y, wave: S.wave });
+      }
+    }
+  }
+
+  /**
+   * Take a fighter off the field and score it.
+   * @param {Fighter} fighter
+   * @param {{ player?: Object, cause?: 'bullet'|'shield'|'ram', points?: number, award?: boolean }} [options]
+   *   points: what it is worth (its type's score by default); award: false
+   *   when the caller adds the points itself (shield rams)
+   */
+  _destroyFighter(fighter, { player = null, cause = 'bullet', points = fighter.rules.score ?? 0, award = true } = {}) {
+    fighter.dead = true;
+    if (award) this.addScore(points, player);
+    this.events.emit(GameEvent.FIGHTER_DESTROYED, {
+      type: fighter.kind,
+      x: fighter.x,
+      y: fighter.y,
+      score: points,
+      cause
+    });
+  }
+
+  /**
+   * Break an asteroid and apply its archetype (CONFIG.ASTEROID.TYPES): it
+   * splits (or, explosive, blows up its neighbours instead), and gold leaves
+   * a power-up behind.
+   * @param {Asteroid} asteroid
+   * @param {{ player?: Object, impactor?: Object, cause?: string, award?: boolean }} [options]
+   *   player: state.players entry credited with the score; impactor: what hit
+   *   it (see Asteroid.split); award: false when the caller scores it itself
+   */
+  _destroyAsteroid(asteroid, { player = null, impactor = null, cause = 'bullet', award = true } = {}) {
+    const S = this.state;
+    const type = this._asteroidType(asteroid);
+    asteroid.dead = true;
+
+    const points = this._asteroidScore(asteroid);
+    if (award) this.addScore(points, player);
+
+    if (!(type.blastRadius > 0)) {
+      S.asteroids.push(...asteroid.split(S.rng, impactor));
+    }
+    this._emitAsteroidDestroyed(asteroid, points, cause);
+
+    if (type.dropsPowerup) {
+      const pu = spawnPowerUpAt(S, asteroid.x, asteroid.y, { disabledTypes: this.rules.disabledPowerups });
+      if (pu) {
+        this.events.emit(GameEvent.POWERUP_SPAWNED, { type: pu.type, x: pu.x, y: pu.y, wave: S.wave });
+      }
+    }
+
+    if (type.blastRadius > 0) {
+      this._explodeAsteroid(asteroid, type, player);
+    }
+  }
+
+  /**
+   * An explosive asteroid destroys every asteroid its blast reaches (across
+   * the wrap); explosives caught in it go off in turn. Only asteroids on the
+   * field when it goes off are hit, not the fragments it makes.
+   */
+  _explodeAsteroid(asteroid, { blastRadius, blastSpeed = 0 }, player) {
+    const S = this.state;
+    const { W, H } = this.config.CANVAS;
+    const reach = asteroid.r + blastRadius;
+    this.events.emit(GameEvent.ASTEROID_EXPLODED, { x: asteroid.x, y: asteroid.y, radius: reach });
+
+    for (const other of S.asteroids.slice()) {
+      if (other.dead) continue;
+      const dx = wrapDelta(other.x - asteroid.x, W);
+      const dy = wrapDelta(other.y - asteroid.y, H);
+      const dist = Math.hypot(dx, dy);
+      if (dist > reach + other.r) continue;
+
+      // The blast pushes outward: fragments fan out across that direction.
+      const ux = dist > 0 ? dx / dist : 1;
+      const uy = dist > 0 ? dy / dist : 0;
+      this._destroyAsteroid(other, {
+        player,
+        impactor: {
+          x: other.x - dx,
+          y: other.y - dy,
+          vx: other.vx + ux * blastSpeed,
+          vy: other.vy + uy * blastSpeed
+        },
+        cause: 'explosion'
+      });
+    }
+  }
+
+  /**
+   * Ice: the ship is chilled instead of hurt, and the asteroid shatters.
+   * @param {Object} player - state.players entry
+   * @param {Asteroid} asteroid
+   */
+  _chillShip(player, asteroid) {
+    const { chillDuration = 0, chillFactor = 1 } = this._asteroidType(asteroid);
+    asteroid.dead = true;
+    this._emitAsteroidDestroyed(asteroid, 0, 'ice');
+
+    player.ship.chill(chillDuration, chillFactor);
+    this.events.emit(GameEvent.SHIP_CHILLED, {
+      player: player.index,
+      duration: chillDuration,
+      factor: chillFactor
+    });
+  }
+
+  /** @returns {Object} the asteroid's archetype rules (CONFIG.ASTEROID.TYPES entry) */
+  _asteroidType(asteroid) {
+    return this.config.ASTEROID.TYPES?.[asteroid.type] ?? {};
+  }
+
+  _emitAsteroidDestroyed(asteroid, score, cause) {
+    this.events.emit(GameEvent.ASTEROID_DESTROYED, {
+      type: asteroid.type,
+      sizeIndex: asteroid.sizeIndex,
+      size: ASTEROID_SIZE_NAMES[asteroid.sizeIndex] ?? 'small',
+      x: asteroid.x,
+      y: asteroid.y,
+      score,
+      cause
+    });
+  }
+
+  _asteroidScore(asteroid) {
+    const idx = asteroid.sizeIndex;
+    const base = idx === 2 ? this.config.SCORE.SMALL
+      : idx === 1 ? this.config.SCORE.MED
+      : this.config.SCORE.LARGE;
+    return Math.round(base * (this._asteroidType(asteroid).scoreMultiplier ?? 1));
+  }
+
+  /**
+   * Asteroids, the UFO (its lasers and debris), the boss, fighters and their
+   * shots against one player's ship.
+   * A fighter that flies into the ship is destroyed along with the hit.
+   * @param {Object} player - state.players entry
+   * @returns {boolean} false when the ship was lost
+   */
+  _handleShipHazardCollisions(player) {
+    const S = this.state;
+    const { ship } = player;
+
+    const shapes = this.collisionShapes;
+    const hitAsteroid = findShipAsteroidHit(ship, S.asteroids, shapes);
+    if (hitAsteroid && this._asteroidType(hitAsteroid).chillDuration > 0) {
+      this._chillShip(player, hitAsteroid);
+    } else if (hitAsteroid) {
+      const scoreBonus = this._asteroidScore(hitAsteroid);
+
+      const survived = this.damageShip(player, {
+        source: 'asteroid',
+        scoreBonus,
+        onShieldAbsorb: () => {
+          // Rammed apart like a bullet hit, with the ship as the impactor.
+          this._destroyAsteroid(hitAsteroid, { player, impactor: ship, cause: 'shield', award: false });
+        }
+      });
+
+      if (!survived) {
+        return false;
+      }
+    }
+
+    if (ship.invuln <= 0) {
+      if (this._ufos().some((ufo) => !ufo.dead && entitiesHit(ship, ufo, shapes))) {
+        const survived = this.damageShip(player, { source: 'ufo' });
+        if (!survived) {
+          return false;
+        }
+      }
+
+      if (S.boss && ship.invuln <= 0) {
+        const rammed = S.boss.zoneCircles().some((zone) => entitiesHit(ship, zone, shapes));
+        const beam = S.boss.beamSegment();
+        if (rammed || (beam && entityBeamHit(ship, beam, shapes))) {
+          const survived = this.damageShip(player, { source: rammed ? 'boss' : 'boss-beam' });
+          if (!survived) {
+            return false;
+          }
+        }
+      }
+
+      if (ship.invuln <= 0) {
+        for (const laser of S.ufoBullets) {
+          if (laser.dead) continue;
+          if (!entitiesHit(ship, laser, shapes)) continue;
+
+          if (ship.invuln > 0) {
+            continue;
+          }
+
+          laser.dead = true;
+          const survived = this.damageShip(player, { source: 'ufo-laser' });
+          if (!survived) {
+            return false;
+          }
+          break;
+        }
+      }
+
+      const debris = ship.invuln <= 0
+        ? S.ufoDebris.find((d) => !d.dead && entitiesHit(ship, d, shapes))
+        : null;
+      if (debris) {
+        debris.dead = true;
+        const survived = this.damageShip(player, { source: 'ufo-debris' });
+        if (!survived) {
+          return false;
+        }
+      }
+
+      const fighter = ship.invuln <= 0
+        ? S.fighters.find((f) => !f.dead && entitiesHit(ship, f, shapes))
+        : null;
+      if (fighter) {
+        const survived = this.damageShip(player, {
+          source: 'fighter',
+          scoreBonus: fighter.rules.score ?? 0,
+          onShieldAbsorb: () => {
+            this._destroyFighter(fighter, { player, cause: 'shield', award: false });
+          }
+        });
+        if (!fighter.dead) {
+          // Unshielded (or noDeath) rams cost the fighter too, for no points.
+          this._destroyFighter(fighter, { cause: 'ram', points: 0 });
+        }
+        if (!survived) {
+          return false;
+        }
+      }
+
+      if (ship.invuln <= 0) {
+        for (const shot of S.fighterShots) {
+          if (shot.dead) continue;
+          if (!entitiesHit(ship, shot, shapes)) continue;
+
+          shot.dead = true;
+          const survived = this.damageShip(player, { source: 'fighter-shot' });
+          if (!survived) {
+            return false;
+          }
+          break;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Versus: the other player's bullets against one ship.
+   * @param {Object} player - state.players entry
+   * @returns {boolean} false when the ship was lost
+   */
+  _handleShipBulletCollisions(player) {
+    const S = this.state;
+    const bullet = findShipBulletHit(player.ship, S.bullets, player.index, this.collisionShapes);
+    if (!bullet) return true;
+
+    bullet.dead = true;
+    return this.damageShip(player, { source: 'bullet', attacker: S.players[bullet.owner] ?? null });
+  }
+
+  /**
+   * Power-ups picked up by one player's ship (extra lives go to that player).
+   * @param {Object} player - state.players entry
+   */
+  _handlePowerupCollisions(player) {
+    const S = this.state;
+    const { ship } = player;
+
+    const shapes = this.collisionShapes;
+    for (const pu of S.powerups) {
+      if (!pu.dead && entitiesHit(ship, pu, shapes)) {
+        pu.dead = true;
+        S.powerupsCollected += 1; // telemetry/stat only
+
+        // Already maxed out (or disabled by the game mode) → the pickup converts into its duplicate bonus.
+        let duplicate = false;
+
+        if (this.rules.disabledPowerups?.includes(pu.type)) {
+          duplicate = true;
+
+        } else if (pu.type === 'tripleShot') {
+          const weaponModes = this.config.WEAPON;
+          if (ship.weaponMode === weaponModes.MODE_FIVE) {
+            duplicate = true;
+          } else if (ship.weaponMode === weaponModes.MODE_TRIPLE) {
+            ship.weaponMode = weaponModes.MODE_FIVE;
+          } else {
+            ship.weaponMode = weaponModes.MODE_TRIPLE;
+          }
+
+        } else if (pu.type === 'extraLife') {
+          const maxLives = this.config.SHIP.MAX_LIVES ?? Infinity;
+          if (player.lives < maxLives) {
+            player.lives = Math.min(maxLives, player.lives + 1);
+          } else {
+            duplicate = true;
+          }
+
+        } else if (pu.type === 'shield') {
+          const maxShield = this.config.SHIP.SHIELD_MAX_LEVEL ?? 2;
+          if (ship.shieldLevel < maxShield && ship.increaseShieldLevel()) {
+            this._emitShipChanged(player);
+          } else {
+            duplicate = true;
+          }
+
+        } else if (pu.type === 'speed') {
+          if (!ship.increaseSpeedLevel()) {
+            duplicate = true;
+          }
+        }
+
+        const bonus = duplicate ? (this.config.POWERUP?.types?.[pu.type]?.duplicateScore ?? 0) : 0;
+        this.addScore(bonus, player);
+        this.events.emit(GameEvent.POWERUP_COLLECTED, { player: player.index, type: pu.type, duplicate, bonus });
+      }
+    }
+  }
+}
@@ -0,0 +1,113 @@
+/* ========================= src/core/StateMachine.js ========================= */
+
+/**
+ * StateMachine
+ * ------------
+ * A small finite-state machine with validated transitions and per-state hooks.
+ *
+ * Every state may register any of these hooks:
+ *   enter(from, payload)  - the machine has just switched into this state
+ *   exit(to, payload)     - the machine is about to leave this state
+ *   update(...args)       - called by machine.update() while the state is current
+ *   render(...args)       - called by machine.render() while the state is current
+ *
+ * Hooks are layered: several owners can register hooks for the same state
+ * (the Simulation registers gameplay hooks, the browser shell adds input,
+ * audio and drawing). Layers run in registration order, except that a layer
+ * added with `{ prepend: true }` runs before the existing ones. When an update
+ * hook changes state, the remaining update hooks of the old state are skipped.
+ *
+ * Transitions not listed in `transitions` are refused and logged with
+ * console.warn (visible in the debug console overlay).
+ */
+export class StateMachine {
+  /**
+   * @param {Object} options
+   * @param {string} options.initial - starting state (its enter hooks are not called)
+   * @param {Object<string, string[]>} options.transitions - allowed target states per state
+   * @param {(from: string, to: string, payload: any) => void} [options.onChange] - runs after exit, before enter
+   * @param {string} [options.name='StateMachine'] - prefix for log lines
+   */
+  constructor({ initial, transitions, onChange = null, name = 'StateMachine' }) {
+    this.transitions = transitions;
+    this.onChange = onChange;
+    this.name = name;
+    this.layers = {};        // state name → array of hook objects
+    this._current = initial;
+  }
+
+  /** Name of the current state. */
+  get current() {
+    return this._current;
+  }
+
+  /**
+   * Register hooks for a state.
+   * @param {string} state
+   * @param {{ enter?: Function, exit?: Function, update?: Function, render?: Function }} hooks
+   * @param {{ prepend?: boolean }} [options]
+   * @returns {Function} removes the hooks again
+   */
+  addHooks(state, hooks, { prepend = false } = {}) {
+    if (!this.transitions[state]) {
+      console.warn(`[${this.name}] Hooks registered for unknown state ${state}`);
+    }
+    const list = this.layers[state] ?? (this.layers[state] = []);
+    if (prepend) list.unshift(hooks);
+    else list.push(hooks);
+
+    return () => {
+      const index = list.indexOf(hooks);
+      if (index !== -1) list.splice(index, 1);
+    };
+  }
+
+  /**
+   * @param {string} to
+   * @returns {boolean} true when the current state may switch to `to`
+   */
+  can(to) {
+    return !!this.transitions[this._current]?.includes(to);
+  }
+
+  /**
+   * Switch to another state: exit hooks of the current state, then enter hooks of `to`.
+   * @param {string} to
+   * @param {any} [payload] - handed to the exit and enter hooks
+   * @returns {boolean} false when the transition is not allowed
+   */
+  transition(to, payload) {
+    const from = this._current;
+    if (!this.can(to)) {
+      console.warn(`[${this.name}] Illegal transition ${from} → ${to}`);
+      return false;
+    }
+
+    for (const hooks of this._layersOf(from)) hooks.exit?.(to, payload);
+    this._current = to;
+    this.onChange?.(from, to, payload);
+    for (const hooks of this._layersOf(to)) hooks.enter?.(from, payload);
+    return true;
+  }
+
+  /** Run the current state's update hooks. */
+  update(...args) {
+    const state = this._current;
+    for (const hooks of this._layersOf(state)) {
+      hooks.update?.(...args);
+      if (this._current !== state) return;
+    }
+  }
+
+  /** Run the current state's render hooks. */
+  render(...args) {
+    for (const hooks of this._layersOf(this._current)) {
+      hooks.render?.(...args);
+    }
+  }
+
+  _layersOf(state) {
+    // Copy so hooks may add/remove layers while running.
+    return (this.layers[state] ?? []).slice();
+  }
+}
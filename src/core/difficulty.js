@@ -0,0 +1,66 @@
+/* ========================= src/core/difficulty.js ========================= */
+import { CONFIG } from '../config.js';
+
+/**
+ * Difficulty presets
+ * ------------------
+ * Presets live in CONFIG.DIFFICULTY.presets. Each one carries an `overrides`
+ * object laid out like CONFIG; createRunConfig() merges it into a fresh copy
+ * of CONFIG that the Simulation keeps as state.config for the whole run.
+ * Plain objects are merged key by key, everything else (numbers, arrays)
+ * replaces the base value.
+ */
+
+/** @returns {string} id of the preset used when none (or an unknown one) is given */
+export function getDefaultDifficulty() {
+  return CONFIG.DIFFICULTY?.DEFAULT ?? 'normal';
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} true when `id` is a configured difficulty preset
+ */
+export function isDifficulty(id) {
+  return Object.prototype.hasOwnProperty.call(CONFIG.DIFFICULTY?.presets ?? {}, id);
+}
+
+/**
+ * Preset by id; unknown ids fall back to the default preset.
+ * @param {string} [id]
+ * @returns {{ id: string, label: string, overrides: Object }}
+ */
+export function getDifficultyPreset(id) {
+  const presetId = isDifficulty(id) ? id : getDefaultDifficulty();
+  const preset = CONFIG.DIFFICULTY?.presets?.[presetId] ?? {};
+  return { id: presetId, label: presetId, overrides: {}, ...preset };
+}
+
+/** @returns {Array<ReturnType<typeof getDifficultyPreset>>} every preset, in config order */
+export function listDifficulties() {
+  return Object.keys(CONFIG.DIFFICULTY?.presets ?? {}).map(getDifficultyPreset);
+}
+
+/**
+ * Build the config of one run: a deep copy of CONFIG with the preset's overrides applied.
+ * @param {string} [difficulty]
+ * @returns {typeof CONFIG}
+ */
+export function createRunConfig(difficulty) {
+  const config = structuredClone(CONFIG);
+  applyOverrides(config, getDifficultyPreset(difficulty).overrides);
+  return config;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function applyOverrides(target, overrides) {
+  for (const [key, value] of Object.entries(overrides ?? {})) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      applyOverrides(target[key], value);
+    } else {
+      target[key] = structuredClone(value);
+    }
+  }
+}
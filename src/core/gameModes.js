@@ -0,0 +1,60 @@
+/* ========================= src/core/gameModes.js ========================= */
+import { CONFIG } from '../config.js';
+
+/**
+ * Game modes
+ * ----------
+ * Rule sets a run is played under, configured in CONFIG.GAME_MODES.types.
+ * (Not to be confused with the run states in Simulation's Mode.)
+ *
+ * Rule fields (all optional):
+ *   label, description  - shown on the start menu
+ *   lives               - starting lives (default CONFIG.SHIP.LIVES)
+ *   timeLimit           - seconds of PLAY / RESPAWNING before the run ends
+ *   noDeath             - hits never cost a life
+ *   disabledPowerups    - power-up types that never spawn in this mode
+ *   players             - fixed player count (overrides the menu's choice)
+ *   versus              - ship-to-ship combat: bullets hit the other ship, lost
+ *                         ships always relaunch, nothing scores points and the
+ *                         round ends once a player has `killsToWin` kills
+ *   spawnSpacing        - px between the players' spawn points (default CONFIG.PLAYERS.SPAWN_SPACING)
+ *   noUfo               - the UFO never spawns
+ *   noFighters          - no enemy fighter squadrons (CONFIG.FIGHTERS)
+ *   noBoss              - no boss waves (CONFIG.BOSS); every wave is an asteroid field
+ *   powerupInterval     - seconds between single power-up drops, replacing the
+ *                         per-wave roll; at most `maxPowerups` on the field
+ *   asteroidCollisions  - asteroids bounce off each other (default CONFIG.ASTEROID.COLLISIONS)
+ */
+
+/** @returns {string} id of the mode used when none (or an unknown one) is given */
+export function getDefaultGameMode() {
+  return CONFIG.GAME_MODES?.DEFAULT ?? 'classic';
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} true when `id` is a configured game mode
+ */
+export function isGameMode(id) {
+  return Object.prototype.hasOwnProperty.call(CONFIG.GAME_MODES?.types ?? {}, id);
+}
+
+/**
+ * Rules for a game mode; unknown ids fall back to the default mode.
+ * @param {string} [id]
+ * @returns {{ id: string, label: string, description?: string, lives?: number,
+ *             timeLimit?: number, noDeath?: boolean, disabledPowerups?: string[],
+ *             players?: number, versus?: boolean, killsToWin?: number, spawnSpacing?: number,
+ *             noUfo?: boolean, noFighters?: boolean, noBoss?: boolean, powerupInterval?: number, maxPowerups?: number,
+ *             asteroidCollisions?: boolean }}
+ */
+export function getGameModeRules(id) {
+  const modeId = isGameMode(id) ? id : getDefaultGameMode();
+  const rules = CONFIG.GAME_MODES?.types?.[modeId] ?? {};
+  return { id: modeId, label: modeId, ...rules };
+}
+
+/** @returns {Array<ReturnType<typeof getGameModeRules>>} every mode, in config order */
+export function listGameModes() {
+  return Object.keys(CONFIG.GAME_MODES?.types ?? {}).map(getGameModeRules);
+}
@@ -0,0 +1,97 @@
+/* ========================= src/core/players.js ========================= */
+import { CONFIG } from '../config.js';
+
+/**
+ * Players
+ * -------
+ * Local co-op setup, configured in CONFIG.PLAYERS: how many ships a run has,
+ * how their score is kept, and which keys / sprite color each one uses.
+ *
+ * Scoring: each player's points are tracked in player.score and state.score is
+ * the team total (what high scores compare). The score mode picks how a co-op
+ * run presents them:
+ *   shared   - one team score
+ *   separate - one score per player, and the game-over screen names the leader
+ */
+
+export const SCORE_MODES = Object.freeze(['shared', 'separate']);
+
+/** @returns {number} largest supported player count */
+export function getMaxPlayers() {
+  return Math.max(1, CONFIG.PLAYERS?.MAX ?? 1);
+}
+
+/**
+ * Clamp a requested player count to 1..MAX (anything unusable → the default).
+ * @param {number} [count]
+ * @returns {number}
+ */
+export function normalizePlayerCount(count) {
+  const fallback = CONFIG.PLAYERS?.DEFAULT_COUNT ?? 1;
+  const n = Number.isInteger(count) ? count : fallback;
+  return Math.min(getMaxPlayers(), Math.max(1, n));
+}
+
+/**
+ * @param {string} [scoreMode]
+ * @returns {'shared'|'separate'} `scoreMode` when known, otherwise the default
+ */
+export function normalizeScoreMode(scoreMode) {
+  if (SCORE_MODES.includes(scoreMode)) return scoreMode;
+  return CONFIG.PLAYERS?.DEFAULT_SCORE_MODE ?? 'shared';
+}
+
+/**
+ * Key set of one player (see CONFIG.PLAYERS.CONTROLS).
+ * @param {number} index - 0-based player index
+ * @param {number} playerCount
+ * @returns {{ left: string[], right: string[], thrust: string[], fire: string[],
+ *             tapFire: string[], hyperspace: string[] }}
+ */
+export function getPlayerControls(index, playerCount) {
+  const players = CONFIG.PLAYERS ?? {};
+  const id = playerCount > 1 ? players.COOP_CONTROLS?.[index] : 'solo';
+  return players.CONTROLS?.[id] ?? players.CONTROLS?.solo;
+}
+
+/**
+ * @param {number} index - 0-based player index
+ * @returns {string} shipsandufos atlas color of that player's ship
+ */
+export function getPlayerColor(index) {
+  const colors = CONFIG.PLAYERS?.COLORS ?? ['blue'];
+  return colors[index % colors.length];
+}
+
+/** @returns {boolean} true when any of `codes` is held */
+export function isControlDown(input, codes = []) {
+  return codes.some((code) => input.isDown(code));
+}
+
+/** @returns {boolean} true when any of `codes` went down this tick */
+export function isControlPressed(input, codes = []) {
+  return codes.some((code) => input.pressed(code));
+}
+
+/**
+ * One player's slot in a run (state.players[index]).
+ * While the ship is off the field (`ship.dead`) the respawn timers count down;
+ * a player with no lives left stays off the field for the rest of the run.
+ * @param {number} index - 0-based player index
+ * @param {{ ship: Object, lives: number, score?: number, kills?: number, deaths?: number }} fields
+ * @returns {{ index: number, ship: Object, lives: number, score: number, kills: number, deaths: number,
+ *             respawnTimer: number, respawnTimeout: number, respawnReady: boolean }}
+ */
+export function createPlayer(index, { ship, lives, score = 0, kills = 0, deaths = 0 }) {
+  return {
+    index,
+    ship,
+    lives,
+    score,               // points this player earned (shown per player in 'separate' score mode)
+    kills,               // versus: enemy ships this player destroyed
+    deaths,              // ships this player lost
+    respawnTimer: 0,     // seconds left before this player's new ship may launch
+    respawnTimeout: 0,   // seconds left before it launches regardless
+    respawnReady: false  // spawn point is clear: waiting for this player to press fire
+  };
+}
@@ -1,52 +1,162 @@
 /* ========================= src/entities/Asteroid.js ========================= */
-import { Entity } from './Entity.js';
+import { Entity, assertSnapshotVersion } from './Entity.js';
 import { CONFIG } from '../config.js';
-import { randRange, randSign } from '../utils/math.js';
+import { fallbackRng } from '../utils/rng.js';
+import { wrap } from '../utils/math.js';
+
+// Bump when the fields written by toSnapshot() change.
+const SNAPSHOT_VERSION = 3;
 
 export class Asteroid extends Entity {
   // sizeIndex: 0=large, 1=medium, 2=small
-  // options: { colorVariant?: 'brown' | 'grey', speedMultiplier?: number }
+  // options: { type?: string, colorVariant?: 'brown' | 'grey', speedMultiplier?: number, rng?: Rng }
+  // type: archetype, a key of CONFIG.ASTEROID.TYPES ('rock' by default)
   constructor(x, y, sizeIndex = 0, options = {}) {
     const {
+      type = 'rock',
       colorVariant = null,
-      speedMultiplier = 1
+      speedMultiplier = 1,
+      rng = fallbackRng
     } = options;
     const r = CONFIG.ASTEROID.SIZES[sizeIndex];
     super(x, y, r);
 
     this.sizeIndex = sizeIndex;
 
+    // Archetype rules (see CONFIG.ASTEROID.TYPES); armored rocks take `hits` to break.
+    this.type = CONFIG.ASTEROID.TYPES?.[type] ? type : 'rock';
+    this.hits = Math.max(1, CONFIG.ASTEROID.TYPES?.[this.type]?.hits ?? 1);
+    this.hitsTaken = 0;
+
     // ✅ Decide color ONCE at creation (not in Renderer)
     // This ensures the asteroid keeps its color through its lifetime and splits.
-    this.colorVariant = colorVariant ?? (Math.random() < 0.5 ? 'brown' : 'grey');
+    this.colorVariant = colorVariant ?? (rng.next() < 0.5 ? 'brown' : 'grey');
     this.speedMultiplier = speedMultiplier;
 
     // Velocity and spin
-    const baseSpeed = randRange(CONFIG.ASTEROID.SPEED_MIN, CONFIG.ASTEROID.SPEED_MAX);
+    const baseSpeed = rng.range(CONFIG.ASTEROID.SPEED_MIN, CONFIG.ASTEROID.SPEED_MAX);
     const speed = baseSpeed * this.speedMultiplier;
-    this.vx = randSign() * speed * Math.random();
-    this.vy = randSign() * speed * Math.random();
-    this.spin = randRange(-1, 1); // for visual flair
-    this.angle = Math.random() * Math.PI * 2;
+    this.vx = rng.sign() * speed * rng.next();
+    this.vy = rng.sign() * speed * rng.next();
+    this.spin = rng.range(-1, 1); // for visual flair
+    this.angle = rng.next() * Math.PI * 2;
+
+    // Split children start touching: they pass through one another until they
+    // have drifted apart (see Physics.resolveAsteroidCollisions).
+    this.separating = false;
   }
 
-  split() {
+  /**
+   * Break into the next size down. Children keep the parent's velocity and
+   * fan out sideways to the impact: the spread is the impactor's speed
+   * (relative to this asteroid) times CONFIG.ASTEROID.SPLIT_ENERGY, at least
+   * SPLIT_MIN_SPREAD. They start side by side, just touching, as the type's
+   * `splitInto` archetype (plain rock by default).
+   * @param {Rng} [rng] - run RNG so children are reproducible from the seed
+   * @param {{ x: number, y: number, vx: number, vy: number }} [impactor] - the
+   *   Bullet that hit it (or the Ship that rammed it with its shield)
+   * @returns {Asteroid[]}
+   */
+  split(rng = fallbackRng, impactor = null) {
     if (this.sizeIndex + 1 >= CONFIG.ASTEROID.SIZES.length) return [];
     const next = this.sizeIndex + 1;
+    const count = CONFIG.ASTEROID.SPLIT_COUNT;
+
+    // Impact direction: the impactor's relative motion, else its approach from
+    // where it stands, else (no impactor) a random heading.
+    let dx = impactor ? impactor.vx - this.vx : 0;
+    let dy = impactor ? impactor.vy - this.vy : 0;
+    const impactSpeed = Math.hypot(dx, dy);
+    if (impactSpeed === 0 && impactor) {
+      dx = this.x - impactor.x;
+      dy = this.y - impactor.y;
+    }
+    let length = Math.hypot(dx, dy);
+    if (length === 0) {
+      const heading = rng.next() * Math.PI * 2;
+      dx = Math.cos(heading);
+      dy = Math.sin(heading);
+      length = 1;
+    }
+    // Perpendicular to the impact
+    const px = -dy / length;
+    const py = dx / length;
+
+    const spread = Math.max(
+      CONFIG.ASTEROID.SPLIT_MIN_SPREAD ?? 0,
+      impactSpeed * (CONFIG.ASTEROID.SPLIT_ENERGY ?? 0)
+    );
+    const childRadius = CONFIG.ASTEROID.SIZES[next];
+    const childType = CONFIG.ASTEROID.TYPES?.[this.type]?.splitInto ?? 'rock';
+
     const parts = [];
-    for (let i = 0; i < CONFIG.ASTEROID.SPLIT_COUNT; i++) {
+    for (let i = 0; i < count; i++) {
+      // Evenly spaced lanes across the perpendicular: -1 / +1 for two children.
+      const lane = count > 1 ? (i - (count - 1) / 2) * 2 : 0;
+
       // ✅ Inherit the parent's colorVariant so children stay the same color
       const child = new Asteroid(this.x, this.y, next, {
+        type: childType,
         colorVariant: this.colorVariant,
-        speedMultiplier: this.speedMultiplier
+        speedMultiplier: this.speedMultiplier,
+        rng
       });
+      child.x = wrap(this.x + px * lane * childRadius, CONFIG.CANVAS.W);
+      child.y = wrap(this.y + py * lane * childRadius, CONFIG.CANVAS.H);
+      child.prevX = child.x;
+      child.prevY = child.y;
+      child.vx = this.vx + px * lane * spread;
+      child.vy = this.vy + py * lane * spread;
+      child.separating = true;
       parts.push(child);
     }
     return parts;
   }
 
+  /** @returns {number} bullet hits still needed to break it */
+  get hitsLeft() {
+    return Math.max(0, this.hits - this.hitsTaken);
+  }
+
   update(dt) {
     this.x += this.vx * dt; this.y += this.vy * dt;
     this.angle += this.spin * dt;
   }
+
+  /** @returns {Object} serializable copy for save games */
+  toSnapshot() {
+    return {
+      v: SNAPSHOT_VERSION,
+      ...this.baseSnapshot(),
+      sizeIndex: this.sizeIndex,
+      type: this.type,
+      hitsTaken: this.hitsTaken,
+      colorVariant: this.colorVariant,
+      speedMultiplier: this.speedMultiplier,
+      spin: this.spin,
+      angle: this.angle,
+      separating: this.separating
+    };
+  }
+
+  /**
+   * Rebuild an asteroid from toSnapshot() output without consuming run RNG.
+   * @param {Object} data
+   * @returns {Asteroid}
+   */
+  static fromSnapshot(data) {
+    assertSnapshotVersion('Asteroid', data, SNAPSHOT_VERSION);
+
+    const asteroid = new Asteroid(data.x, data.y, data.sizeIndex, {
+      type: data.type,
+      colorVariant: data.colorVariant,
+      speedMultiplier: data.speedMultiplier
+    });
+    asteroid.applyBaseSnapshot(data);
+    asteroid.spin = data.spin;
+    asteroid.angle = data.angle;
+    asteroid.separating = !!data.separating;
+    asteroid.hitsTaken = data.hitsTaken ?? 0;
+    return asteroid;
+  }
 }
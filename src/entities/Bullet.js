@@ -1,7 +1,10 @@
 /* ========================= src/entities/Bullet.js ========================= */
-import { Entity } from './Entity.js';
+import { Entity, assertSnapshotVersion } from './Entity.js';
 import { CONFIG } from '../config.js';
 
+// Bump when the fields written by toSnapshot() change.
+const SNAPSHOT_VERSION = 2;
+
 export class Bullet extends Entity {
   constructor(x, y, angle) {
     super(x, y, CONFIG.BULLET.RADIUS);
@@ -16,6 +19,9 @@ export class Bullet extends Entity {
 
     // Lifetime (seconds) before auto-despawn
     this.lifetime = CONFIG.BULLET.LIFETIME;
+
+    // 0-based index of the player who fired it (credited in 'separate' score mode)
+    this.owner = 0;
   }
 
   update(dt) {
@@ -34,4 +40,30 @@ export class Bullet extends Entity {
       this.angle = Math.atan2(this.vy, this.vx);
     }
   }
+
+  /** @returns {Object} serializable copy for save games */
+  toSnapshot() {
+    return {
+      v: SNAPSHOT_VERSION,
+      ...this.baseSnapshot(),
+      angle: this.angle,
+      lifetime: this.lifetime,
+      owner: this.owner
+    };
+  }
+
+  /**
+   * Rebuild a bullet from toSnapshot() output.
+   * @param {Object} data
+   * @returns {Bullet}
+   */
+  static fromSnapshot(data) {
+    assertSnapshotVersion('Bullet', data, SNAPSHOT_VERSION);
+
+    const bullet = new Bullet(data.x, data.y, data.angle);
+    bullet.applyBaseSnapshot(data);
+    bullet.lifetime = data.lifetime;
+    bullet.owner = data.owner;
+    return bullet;
+  }
 }
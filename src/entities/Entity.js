@@ -1,5 +1,21 @@
 /* ========================= src/entities/Entity.js ========================= */
 
+/**
+ * Throw unless a saved entity snapshot has the version this build writes.
+ * Each entity class bumps its own SNAPSHOT_VERSION when its saved fields change.
+ * @param {string} kind - class name used in the error message
+ * @param {Object} data - snapshot produced by toSnapshot()
+ * @param {number} version - version the class expects
+ */
+export function assertSnapshotVersion(kind, data, version) {
+  if (!data || typeof data !== 'object') {
+    throw new Error(`${kind} snapshot is missing.`);
+  }
+  if (data.v !== version) {
+    throw new Error(`Unsupported ${kind} snapshot version ${data.v} (expected ${version}).`);
+  }
+}
+
 /**
  * Base class for all in-game objects that have a position and size.
  *
@@ -39,5 +55,37 @@ export class Entity {
     // Lifecycle flag.
     // When set to true, the entity will be removed by the game loop.
     this.dead = false;
+
+    // Pose at the start of the current fixed step. The Renderer blends from
+    // here to (x, y, angle) so motion stays smooth between simulation steps.
+    this.prevX = x;
+    this.prevY = y;
+    this.prevAngle = null; // null → no angle recorded yet (draw current angle)
+  }
+
+  /** Remember the current pose; called at the start of every fixed step. */
+  savePreviousPose() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevAngle = typeof this.angle === 'number' ? this.angle : null;
+  }
+
+  /**
+   * Plain-object copy of the shared physical state (used by save games).
+   * @returns {{x:number, y:number, vx:number, vy:number}}
+   */
+  baseSnapshot() {
+    return { x: this.x, y: this.y, vx: this.vx, vy: this.vy };
+  }
+
+  /**
+   * Restore position and velocity written by baseSnapshot().
+   * @param {{x:number, y:number, vx:number, vy:number}} data
+   */
+  applyBaseSnapshot(data) {
+    this.x = data.x;
+    this.y = data.y;
+    this.vx = data.vx;
+    this.vy = data.vy;
   }
 }
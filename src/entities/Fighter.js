@@ -0,0 +1,171 @@
+/* ========================= src/entities/Fighter.js ========================= */
+import { Entity, assertSnapshotVersion } from './Entity.js';
+import { CONFIG } from '../config.js';
+import { FighterShot } from './FighterShot.js';
+import { clamp, turnToward, wrapDelta } from '../utils/math.js';
+
+// Bump when the fields written by toSnapshot() change.
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Enemy fighter, flying in squadrons (see Spawner.spawnSquadron).
+ *
+ * The type (`kind`, a key of CONFIG.FIGHTERS.types) picks the behaviour:
+ * - chaser:   steers straight for the ship and fires now and then
+ * - strafer:  circles the ship at `orbitRadius`, firing as it goes
+ * - kamikaze: lines up on the ship, then locks on and dives at `diveSpeed`
+ *             for `diveTime` seconds before pulling out
+ *
+ * Fighters turn at a limited rate (`turnRate`) and always fly nose first, so
+ * they overshoot and swing round instead of snapping onto the ship. Like the
+ * UFO they wrap around the playfield just outside its edges.
+ */
+export class Fighter extends Entity {
+  /**
+   * @param {{ kind: string, x: number, y: number, angle: number, spriteKey?: string, orbitDir?: number }} options
+   *   angle: initial heading; orbitDir: 1 / -1, which way a strafer circles
+   */
+  constructor({ kind, x, y, angle, spriteKey, orbitDir = 1 }) {
+    const rules = CONFIG.FIGHTERS.types[kind] ?? {};
+    super(x, y, rules.radius ?? 16);
+
+    this.kind = kind;
+    this.spriteKey = spriteKey ?? rules.sprites?.[0] ?? 'enemyBlack1';
+    this.angle = angle;
+    this.vx = Math.cos(angle) * (rules.speed ?? 0);
+    this.vy = Math.sin(angle) * (rules.speed ?? 0);
+
+    this.health = rules.health ?? 1;
+    this.fireCooldown = rules.fireInterval ?? 0;
+    this.orbitDir = orbitDir;
+    this.diveTimer = 0; // seconds left in a kamikaze dive
+  }
+
+  /** @returns {Object} this fighter's type rules (CONFIG.FIGHTERS.types entry) */
+  get rules() {
+    return CONFIG.FIGHTERS.types[this.kind] ?? {};
+  }
+
+  /**
+   * Steer, move and possibly fire at the target.
+   * @param {number} dt
+   * @param {{x:number,y:number}|null} target - the ship to attack (null: fly on)
+   * @returns {FighterShot[]} shots fired this tick
+   */
+  update(dt, target) {
+    if (this.dead) return [];
+
+    const rules = this.rules;
+    const { W, H } = CONFIG.CANVAS;
+
+    // Offset to the target the short way round the wrapping field.
+    let dx = 0;
+    let dy = 0;
+    let dist = Infinity;
+    if (target) {
+      dx = wrapDelta(target.x - this.x, W);
+      dy = wrapDelta(target.y - this.y, H);
+      dist = Math.hypot(dx, dy);
+    }
+
+    let speed = rules.speed ?? 0;
+    if (this.diveTimer > 0) {
+      // Committed to the dive: straight on, no steering.
+      this.diveTimer = Math.max(0, this.diveTimer - dt);
+      speed = rules.diveSpeed ?? speed;
+    } else if (target) {
+      this.angle = turnToward(this.angle, this._desiredHeading(rules, dx, dy, dist), (rules.turnRate ?? 0) * dt);
+
+      if (this.kind === 'kamikaze' && dist <= (rules.diveRange ?? 0)) {
+        this.angle = Math.atan2(dy, dx);
+        this.diveTimer = rules.diveTime ?? 0;
+        speed = rules.diveSpeed ?? speed;
+      }
+    }
+
+    this.vx = Math.cos(this.angle) * speed;
+    this.vy = Math.sin(this.angle) * speed;
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+
+    const margin = CONFIG.FIGHTERS.OFFSCREEN_MARGIN ?? 0;
+    if (this.x < -margin || this.x > W + margin || this.y < -margin || this.y > H + margin) {
+      if (this.x < -margin) this.x = W + margin;
+      else if (this.x > W + margin) this.x = -margin;
+      if (this.y < -margin) this.y = H + margin;
+      else if (this.y > H + margin) this.y = -margin;
+      this.savePreviousPose(); // off screen: snap, never interpolate across the wrap
+    }
+
+    const shots = [];
+    if (typeof rules.fireInterval === 'number') {
+      this.fireCooldown -= dt;
+      if (this.fireCooldown <= 0 && target && this.diveTimer <= 0) {
+        shots.push(new FighterShot(this.x, this.y, Math.atan2(dy, dx), this.kind));
+        this.fireCooldown = rules.fireInterval;
+      }
+    }
+    return shots;
+  }
+
+  // Heading the fighter wants this tick, given the offset to its target.
+  _desiredHeading(rules, dx, dy, dist) {
+    if (this.kind !== 'strafer' || dist === 0) {
+      return Math.atan2(dy, dx);
+    }
+
+    // Circle the ship: fly along the tangent, bent in or out to hold the orbit.
+    const ux = dx / dist;
+    const uy = dy / dist;
+    const orbitRadius = rules.orbitRadius ?? 0;
+    const pull = orbitRadius > 0 ? clamp((dist - orbitRadius) / orbitRadius, -1, 1) : 1;
+    const tx = -uy * this.orbitDir;
+    const ty = ux * this.orbitDir;
+    return Math.atan2(ty + uy * pull, tx + ux * pull);
+  }
+
+  /**
+   * Register a player hit.
+   * @returns {boolean} true when the fighter is destroyed
+   */
+  takeHit() {
+    if (this.dead) return false;
+    this.health -= 1;
+    if (this.health <= 0) {
+      this.dead = true;
+      return true;
+    }
+    return false;
+  }
+
+  /** @returns {Object} serializable copy for save games */
+  toSnapshot() {
+    return {
+      v: SNAPSHOT_VERSION,
+      ...this.baseSnapshot(),
+      kind: this.kind,
+      spriteKey: this.spriteKey,
+      angle: this.angle,
+      health: this.health,
+      fireCooldown: this.fireCooldown,
+      orbitDir: this.orbitDir,
+      diveTimer: this.diveTimer
+    };
+  }
+
+  /**
+   * Rebuild a fighter from toSnapshot() output.
+   * @param {Object} data
+   * @returns {Fighter}
+   */
+  static fromSnapshot(data) {
+    assertSnapshotVersion('Fighter', data, SNAPSHOT_VERSION);
+
+    const fighter = new Fighter(data);
+    fighter.applyBaseSnapshot(data);
+    fighter.health = data.health;
+    fighter.fireCooldown = data.fireCooldown;
+    fighter.diveTimer = data.diveTimer;
+    return fighter;
+  }
+}
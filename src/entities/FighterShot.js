@@ -0,0 +1,76 @@
+/* ========================= src/entities/FighterShot.js ========================= */
+import { Entity, assertSnapshotVersion } from './Entity.js';
+import { CONFIG } from '../config.js';
+
+// Bump when the fields written by toSnapshot() change.
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Projectile fired by an enemy fighter. Speed, size, lifetime and sprite come
+ * from the firing type's `shot` entry (CONFIG.FIGHTERS.types). Like the UFO's
+ * lasers, shots do not wrap: they expire or leave the play area.
+ */
+export class FighterShot extends Entity {
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} angle - flight direction (radians)
+   * @param {string} kind - fighter type that fired it (key of CONFIG.FIGHTERS.types)
+   */
+  constructor(x, y, angle, kind) {
+    const shot = CONFIG.FIGHTERS.types[kind]?.shot ?? {};
+    super(x, y, shot.radius ?? 5);
+
+    this.kind = kind;
+    this.spriteKey = shot.sprite ?? 'laserRed01';
+    this.angle = angle;
+
+    const speed = shot.speed ?? 0;
+    this.vx = Math.cos(angle) * speed;
+    this.vy = Math.sin(angle) * speed;
+
+    this.lifetime = shot.lifetime ?? 0;
+  }
+
+  update(dt) {
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+
+    this.lifetime -= dt;
+    if (this.lifetime <= 0) {
+      this.dead = true;
+      return;
+    }
+
+    const margin = CONFIG.FIGHTERS.OFFSCREEN_MARGIN;
+    const { W, H } = CONFIG.CANVAS;
+    if (this.x < -margin || this.x > W + margin || this.y < -margin || this.y > H + margin) {
+      this.dead = true;
+    }
+  }
+
+  /** @returns {Object} serializable copy for save games */
+  toSnapshot() {
+    return {
+      v: SNAPSHOT_VERSION,
+      ...this.baseSnapshot(),
+      kind: this.kind,
+      angle: this.angle,
+      lifetime: this.lifetime
+    };
+  }
+
+  /**
+   * Rebuild a shot from toSnapshot() output.
+   * @param {Object} data
+   * @returns {FighterShot}
+   */
+  static fromSnapshot(data) {
+    assertSnapshotVersion('FighterShot', data, SNAPSHOT_VERSION);
+
+    const shot = new FighterShot(data.x, data.y, data.angle, data.kind);
+    shot.applyBaseSnapshot(data);
+    shot.lifetime = data.lifetime;
+    return shot;
+  }
+}
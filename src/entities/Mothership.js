@@ -0,0 +1,264 @@
+/* ========================= src/entities/Mothership.js ========================= */
+import { Entity, assertSnapshotVersion } from './Entity.js';
+import { CONFIG } from '../config.js';
+import { UfoLaser } from './UfoLaser.js';
+import { turnToward } from '../utils/math.js';
+
+// Bump when the fields written by toSnapshot() change.
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Boss of a boss wave (CONFIG.BOSS): a mothership that descends from the top
+ * edge, then cruises from side to side above the field.
+ *
+ * It is hit zone by zone (CONFIG.BOSS.ZONES): circles around its center, each
+ * with its own health. The core is shielded while any other zone (the gun
+ * pods) still stands; once the core is destroyed, so is the mothership.
+ *
+ * Once in position it cycles through its attack phases (CONFIG.BOSS.PHASES):
+ * - volley:  fans of lasers from every standing pod (from the core once they are gone)
+ * - escorts: calls in escort UFOs, which the Simulation spawns
+ * - beam:    charges, then fires a beam from its center that slowly follows the ship
+ */
+export class Mothership extends Entity {
+  /**
+   * @param {{ x: number, y: number, healthScale?: number }} options
+   *   healthScale: multiplies every zone's health (later bosses are tougher)
+   */
+  constructor({ x, y, healthScale = 1 }) {
+    super(x, y, CONFIG.BOSS.RADIUS);
+
+    this.spriteKey = CONFIG.BOSS.SPRITE;
+    // Zone geometry is copied from the config so drawables are self-describing.
+    this.zones = (CONFIG.BOSS.ZONES ?? []).map((rules) => {
+      const health = Math.max(1, Math.round(rules.health * healthScale));
+      return {
+        id: rules.id,
+        core: !!rules.core,
+        dx: rules.x ?? 0,
+        dy: rules.y ?? 0,
+        r: rules.radius,
+        spriteKey: rules.sprite ?? null,
+        health,
+        maxHealth: health
+      };
+    });
+
+    this.arrived = false;   // reached CRUISE_Y; attacks start from there
+    this.driftDir = 1;
+    this.phaseIndex = 0;
+    this.phaseTimer = 0;
+    this.fireCooldown = 0;
+    this.beam = null;       // { angle, charge, time } during the beam phase
+    this.flash = 0;         // seconds of hit flash left
+  }
+
+  /** @returns {string} current attack phase (key of CONFIG.BOSS.PHASES) */
+  get phase() {
+    return Object.keys(CONFIG.BOSS.PHASES)[this.phaseIndex];
+  }
+
+  /** @returns {number} health left across all zones */
+  get health() {
+    return this.zones.reduce((sum, zone) => sum + Math.max(0, zone.health), 0);
+  }
+
+  /** @returns {number} */
+  get maxHealth() {
+    return this.zones.reduce((sum, zone) => sum + zone.maxHealth, 0);
+  }
+
+  /** @returns {boolean} true once every zone but the core is destroyed */
+  get coreExposed() {
+    return this.zones.every((zone) => zone.core || zone.health <= 0);
+  }
+
+  /**
+   * The zones still standing, placed in the world.
+   * @returns {Array<{ id: string, core: boolean, x: number, y: number, r: number }>}
+   */
+  zoneCircles() {
+    return this.zones
+      .filter((zone) => zone.health > 0)
+      .map((zone) => ({ id: zone.id, core: zone.core, x: this.x + zone.dx, y: this.y + zone.dy, r: zone.r }));
+  }
+
+  /**
+   * The beam while it fires, as a segment from the mothership's center.
+   * @returns {{ x1: number, y1: number, x2: number, y2: number, width: number }|null}
+   */
+  beamSegment() {
+    if (!this.beam || this.beam.charge > 0) return null;
+    const rules = CONFIG.BOSS.PHASES.beam;
+    return {
+      x1: this.x,
+      y1: this.y,
+      x2: this.x + Math.cos(this.beam.angle) * rules.length,
+      y2: this.y + Math.sin(this.beam.angle) * rules.length,
+      width: rules.width
+    };
+  }
+
+  /**
+   * Move, advance the attack phase and fire.
+   * @param {number} dt
+   * @param {{x:number,y:number}|null} target - the ship to attack (null: hold fire)
+   * @returns {{ lasers: UfoLaser[], escorts: number }} lasers fired and
+   *   escorts called in this tick
+   */
+  update(dt, target) {
+    const result = { lasers: [], escorts: 0 };
+    if (this.dead) return result;
+
+    const B = CONFIG.BOSS;
+    this.flash = Math.max(0, this.flash - dt);
+
+    if (!this.arrived) {
+      this.vx = 0;
+      this.vy = B.ENTRY_SPEED;
+      this.y += this.vy * dt;
+      if (this.y >= B.CRUISE_Y) {
+        this.y = B.CRUISE_Y;
+        this.vy = 0;
+        this.arrived = true;
+        this._startPhase(0, target, result);
+      }
+      return result;
+    }
+
+    // Cruise from side to side, turning round DRIFT_MARGIN from the edges.
+    const { W } = CONFIG.CANVAS;
+    this.vx = this.driftDir * B.DRIFT_SPEED;
+    this.x += this.vx * dt;
+    if (this.x < B.DRIFT_MARGIN) {
+      this.x = B.DRIFT_MARGIN;
+      this.driftDir = 1;
+    } else if (this.x > W - B.DRIFT_MARGIN) {
+      this.x = W - B.DRIFT_MARGIN;
+      this.driftDir = -1;
+    }
+
+    const phase = this.phase;
+    const rules = B.PHASES[phase];
+    if (phase === 'volley') {
+      this.fireCooldown -= dt;
+      if (this.fireCooldown <= 0 && target) {
+        this._volley(rules, target, result.lasers);
+        this.fireCooldown = rules.interval;
+      }
+    } else if (phase === 'beam' && this.beam) {
+      if (target) {
+        const aim = Math.atan2(target.y - this.y, target.x - this.x);
+        this.beam.angle = turnToward(this.beam.angle, aim, rules.turnRate * dt);
+      }
+      if (this.beam.charge > 0) {
+        this.beam.charge = Math.max(0, this.beam.charge - dt);
+      } else {
+        this.beam.time = Math.max(0, this.beam.time - dt);
+      }
+    }
+
+    this.phaseTimer -= dt;
+    if (this.phaseTimer <= 0) {
+      this._startPhase((this.phaseIndex + 1) % Object.keys(B.PHASES).length, target, result);
+    }
+    return result;
+  }
+
+  // Enter phase `index`: reset its timers and call in escorts.
+  _startPhase(index, target, result) {
+    this.phaseIndex = index;
+    const rules = CONFIG.BOSS.PHASES[this.phase];
+    this.beam = null;
+
+    if (this.phase === 'beam') {
+      const angle = target ? Math.atan2(target.y - this.y, target.x - this.x) : Math.PI / 2;
+      this.beam = { angle, charge: rules.charge, time: rules.duration };
+      this.phaseTimer = rules.charge + rules.duration;
+      return;
+    }
+
+    this.phaseTimer = rules.duration;
+    if (this.phase === 'volley') {
+      this.fireCooldown = rules.interval / 2;
+    } else if (this.phase === 'escorts') {
+      result.escorts = rules.count;
+    }
+  }
+
+  // One fan of lasers from every standing pod, or from the core once they are gone.
+  _volley({ shots, arc }, target, lasers) {
+    const guns = this.zoneCircles().filter((zone) => !zone.core);
+    if (guns.length === 0) guns.push({ x: this.x, y: this.y });
+
+    for (const gun of guns) {
+      const aim = Math.atan2(target.y - gun.y, target.x - gun.x);
+      for (let i = 0; i < shots; i++) {
+        const offset = shots > 1 ? (i / (shots - 1) - 0.5) * arc : 0;
+        lasers.push(new UfoLaser(gun.x, gun.y, aim + offset));
+      }
+    }
+  }
+
+  /**
+   * Register a player hit on a zone. The core shrugs hits off while shielded.
+   * @param {string} zoneId
+   * @returns {{ absorbed: boolean, destroyed: boolean, defeated: boolean }|null}
+   *   destroyed: the zone; defeated: the mothership (null: no such standing zone)
+   */
+  takeHit(zoneId) {
+    const zone = this.zones.find((z) => z.id === zoneId && z.health > 0);
+    if (this.dead || !zone) return null;
+    if (zone.core && !this.coreExposed) {
+      return { absorbed: true, destroyed: false, defeated: false };
+    }
+
+    zone.health -= 1;
+    this.flash = 0.1;
+    const destroyed = zone.health <= 0;
+    if (destroyed && zone.core) this.dead = true;
+    return { absorbed: false, destroyed, defeated: this.dead };
+  }
+
+  /** @returns {Object} serializable copy for save games */
+  toSnapshot() {
+    return {
+      v: SNAPSHOT_VERSION,
+      ...this.baseSnapshot(),
+      zones: this.zones.map(({ id, health, maxHealth }) => ({ id, health, maxHealth })),
+      arrived: this.arrived,
+      driftDir: this.driftDir,
+      phaseIndex: this.phaseIndex,
+      phaseTimer: this.phaseTimer,
+      fireCooldown: this.fireCooldown,
+      beam: this.beam ? { ...this.beam } : null,
+      flash: this.flash
+    };
+  }
+
+  /**
+   * Rebuild a mothership from toSnapshot() output.
+   * @param {Object} data
+   * @returns {Mothership}
+   */
+  static fromSnapshot(data) {
+    assertSnapshotVersion('Mothership', data, SNAPSHOT_VERSION);
+
+    const boss = new Mothership(data);
+    boss.applyBaseSnapshot(data);
+    for (const saved of data.zones) {
+      const zone = boss.zones.find((z) => z.id === saved.id);
+      if (!zone) continue;
+      zone.health = saved.health;
+      zone.maxHealth = saved.maxHealth;
+    }
+    boss.arrived = data.arrived;
+    boss.driftDir = data.driftDir;
+    boss.phaseIndex = data.phaseIndex;
+    boss.phaseTimer = data.phaseTimer;
+    boss.fireCooldown = data.fireCooldown;
+    boss.beam = data.beam ? { ...data.beam } : null;
+    boss.flash = data.flash;
+    return boss;
+  }
+}
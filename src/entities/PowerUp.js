@@ -1,7 +1,10 @@
 /* ========================= src/entities/PowerUp.js ========================= */
-import { Entity } from './Entity.js';
+import { Entity, assertSnapshotVersion } from './Entity.js';
 import { CONFIG } from '../config.js';
-import { randRange, randSign } from '../utils/math.js';
+import { fallbackRng } from '../utils/rng.js';
+
+// Bump when the fields written by toSnapshot() change.
+const SNAPSHOT_VERSION = 1;
 
 /**
  * A collectible floating item. For now, it has no gameplay effect:
@@ -9,17 +12,23 @@ import { randRange, randSign } from '../utils/math.js';
  * - The ship can collide with it to “pick up” (we remove it and increment a counter).
  */
 export class PowerUp extends Entity {
-  constructor(x, y, type = 'tripleShot') {
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {string} [type]
+   * @param {Rng} [rng] - run RNG used for drift/spin so spawns are reproducible
+   */
+  constructor(x, y, type = 'tripleShot', rng = fallbackRng) {
     super(x, y, CONFIG.POWERUP.RADIUS);
 
     this.type = type;
 
     // Simple drift velocity and a gentle spin for fun (if you want to rotate sprite)
-    const speed = randRange(CONFIG.POWERUP.SPEED_MIN, CONFIG.POWERUP.SPEED_MAX);
-    this.vx = randSign() * speed * Math.random();
-    this.vy = randSign() * speed * Math.random();
-    this.angle = Math.random() * Math.PI * 2; // for rendering rotation if desired
-    this.spin = randRange(-0.8, 0.8);
+    const speed = rng.range(CONFIG.POWERUP.SPEED_MIN, CONFIG.POWERUP.SPEED_MAX);
+    this.vx = rng.sign() * speed * rng.next();
+    this.vy = rng.sign() * speed * rng.next();
+    this.angle = rng.next() * Math.PI * 2; // for rendering rotation if desired
+    this.spin = rng.range(-0.8, 0.8);
   }
 
   update(dt) {
@@ -27,4 +36,30 @@ export class PowerUp extends Entity {
     this.y += this.vy * dt;
     this.angle += this.spin * dt;
   }
+
+  /** @returns {Object} serializable copy for save games */
+  toSnapshot() {
+    return {
+      v: SNAPSHOT_VERSION,
+      ...this.baseSnapshot(),
+      type: this.type,
+      angle: this.angle,
+      spin: this.spin
+    };
+  }
+
+  /**
+   * Rebuild a power-up from toSnapshot() output without consuming run RNG.
+   * @param {Object} data
+   * @returns {PowerUp}
+   */
+  static fromSnapshot(data) {
+    assertSnapshotVersion('PowerUp', data, SNAPSHOT_VERSION);
+
+    const powerup = new PowerUp(data.x, data.y, data.type);
+    powerup.applyBaseSnapshot(data);
+    powerup.angle = data.angle;
+    powerup.spin = data.spin;
+    return powerup;
+  }
 }
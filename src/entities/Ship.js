@@ -1,17 +1,23 @@
 /* ========================= src/entities/Ship.js ========================= */
-import { Entity } from './Entity.js';
+import { Entity, assertSnapshotVersion } from './Entity.js';
 import { CONFIG } from '../config.js';
 import { Bullet } from '../entities/Bullet.js';
 import { angleToVec, clamp } from '../utils/math.js';
+import { isControlDown } from '../core/players.js';
+
+// Bump when the fields written by toSnapshot() change.
+const SNAPSHOT_VERSION = 4;
 
 /**
  * Player-controlled ship.
  *
  * Responsibilities:
- * - Reads high-level input (left/right/forward) and turns/thrusts the ship.
+ * - Reads high-level input (left/right/forward) through its player's key set and turns/thrusts the ship.
  * - Handles basic movement integration, friction, and max-speed clamping.
  * - Manages firing cooldown + spawns bullets (single or triple, depending on weapon mode).
  * - Tracks temporary invulnerability (e.g., after respawn or shield hit) + optional blink.
+ * - Hyperspace jumps: cooldown, random destination and the disorientation window.
+ * - Chill from ice asteroids: thrust and top speed scaled down for a while.
  * - Tracks power-up state for speed and shields; exposes helpers to change levels.
  *
  * Extends Entity, which provides:
@@ -24,14 +30,16 @@ export class Ship extends Entity {
   /**
    * @param {number} x - spawn x
    * @param {number} y - spawn y
-   * @param {{invulnBlink?: boolean}} [options]
+   * @param {{invulnBlink?: boolean, color?: string}} [options]
    *   invulnBlink: if true, start with a respawn invulnerability timer and blink
+   *   color: sprite color from the shipsandufos atlas (one per player, see CONFIG.PLAYERS.COLORS)
    */
   constructor(x, y, options = {}) {
     // Initialize position + collision radius via Entity constructor
     super(x, y, CONFIG.SHIP.RADIUS);
 
-    const { invulnBlink = true } = options;
+    const { invulnBlink = true, color = 'blue' } = options;
+    this.color = color;
 
     // Face "up" initially (our 0 rad points right; -90° makes the nose up)
     this.angle = -Math.PI / 2;
@@ -39,6 +47,14 @@ export class Ship extends Entity {
     // Seconds until the ship can fire again (counts down each frame)
     this.cooldown = 0;
 
+    // --- Hyperspace ---
+    this.hyperspaceCooldown = 0; // seconds until the next jump is allowed
+    this.disoriented = 0;        // seconds left without control after a bad jump
+
+    // --- Chill (ice asteroids) ---
+    this.chilled = 0;            // seconds left slowed
+    this.chillFactor = 1;        // thrust / top speed multiplier while chilled
+
     // --- Invulnerability + blink state ---
     // If enabled, grant a spawn/respawn invulnerability window.
     this.invuln = invulnBlink ? CONFIG.SHIP.RESPAWN_INVULN : 0;
@@ -70,24 +86,29 @@ export class Ship extends Entity {
    * tick firing cooldown, and tick/animate invulnerability blink state.
    * @param {number} dt    - delta time (seconds)
    * @param {Input}  input - input abstraction (keyboard/virtual)
+   * @param {Object} [controls] - key set to read (CONFIG.PLAYERS.CONTROLS entry; default: solo)
    */
-  update(dt, input) {
+  update(dt, input, controls = CONFIG.PLAYERS.CONTROLS.solo) {
     const S = CONFIG.SHIP;
 
-    // Use live stats (may be modified by speed power-ups)
-    const accel = this.currentAccel ?? this.baseAccel ?? S.ACCEL;
-    const maxSpeed = this.currentMaxSpeed ?? this.baseMaxSpeed ?? S.MAX_SPEED;
+    // Use live stats (may be modified by speed power-ups, and scaled down while chilled)
+    const chill = this.chilled > 0 ? this.chillFactor : 1;
+    const accel = (this.currentAccel ?? this.baseAccel ?? S.ACCEL) * chill;
+    const maxSpeed = (this.currentMaxSpeed ?? this.baseMaxSpeed ?? S.MAX_SPEED) * chill;
+
+    // A disoriented ship ignores the controls and just drifts.
+    const controllable = this.disoriented <= 0;
 
     /* ---------- Rotation (Left/Right) ---------- */
-    if (input.isDown('ArrowLeft') || input.isDown('KeyA')) {
+    if (controllable && isControlDown(input, controls.left)) {
       this.angle -= S.TURN_SPEED * dt;           // CCW
     }
-    if (input.isDown('ArrowRight') || input.isDown('KeyD')) {
+    if (controllable && isControlDown(input, controls.right)) {
       this.angle += S.TURN_SPEED * dt;           // CW
     }
 
     /* ---------- Thrust (Forward) ---------- */
-    if (input.isDown('ArrowUp') || input.isDown('KeyW')) {
+    if (controllable && isControlDown(input, controls.thrust)) {
       const dir = angleToVec(this.angle);        // unit vector of facing
       this.vx += dir.x * accel * dt;
       this.vy += dir.y * accel * dt;
@@ -111,8 +132,11 @@ export class Ship extends Entity {
     this.x += this.vx * dt;
     this.y += this.vy * dt;
 
-    /* ---------- Firing Cooldown ---------- */
+    /* ---------- Firing + Hyperspace Cooldowns ---------- */
     this.cooldown = Math.max(0, this.cooldown - dt);
+    this.hyperspaceCooldown = Math.max(0, this.hyperspaceCooldown - dt);
+    this.disoriented = Math.max(0, this.disoriented - dt);
+    this.chilled = Math.max(0, this.chilled - dt);
 
     /* ---------- Invulnerability (timer + blink) ---------- */
     const prevInvuln = this.invuln;
@@ -144,9 +168,54 @@ export class Ship extends Entity {
     this.isInvulnVisible = true;
   }
 
-  /** @returns {boolean} true if firing is allowed this frame (cooldown elapsed). */
+  /** @returns {boolean} true if firing is allowed this frame (cooldown elapsed, not disoriented). */
   canFire() {
-    return this.cooldown <= 0;
+    return this.cooldown <= 0 && this.disoriented <= 0;
+  }
+
+  /** @returns {boolean} true if a hyperspace jump is allowed (cooldown elapsed). */
+  canHyperspace() {
+    return this.hyperspaceCooldown <= 0;
+  }
+
+  /**
+   * Jump to a random spot on the playfield and roll the jump's outcome
+   * (CONFIG.SHIP.HYPERSPACE). Velocity is dropped on arrival.
+   * NOTE: the caller resolves 'destroyed' (the ship is only moved here).
+   * @param {import('../utils/rng.js').Rng} rng - the run's generator
+   * @returns {'ok'|'disoriented'|'destroyed'}
+   */
+  hyperspace(rng) {
+    const cfg = CONFIG.SHIP.HYPERSPACE ?? {};
+    const margin = cfg.EDGE_MARGIN ?? 0;
+    const { W, H } = CONFIG.CANVAS;
+
+    this.x = rng.range(margin, W - margin);
+    this.y = rng.range(margin, H - margin);
+    this.vx = 0;
+    this.vy = 0;
+    this.savePreviousPose(); // arrive in place; never interpolate across the jump
+    this.hyperspaceCooldown = cfg.COOLDOWN ?? 0;
+
+    const roll = rng.next();
+    const selfDestruct = cfg.SELF_DESTRUCT_CHANCE ?? 0;
+    if (roll < selfDestruct) return 'destroyed';
+    if (roll < selfDestruct + (cfg.DISORIENT_CHANCE ?? 0)) {
+      this.disoriented = cfg.DISORIENT_DURATION ?? 0;
+      return 'disoriented';
+    }
+    return 'ok';
+  }
+
+  /**
+   * Slow the ship down (ice asteroid contact). A fresh chill restarts the
+   * timer if it lasts longer than what is left.
+   * @param {number} duration - seconds
+   * @param {number} factor - thrust / top speed multiplier (0..1)
+   */
+  chill(duration, factor) {
+    this.chilled = Math.max(this.chilled, duration);
+    this.chillFactor = clamp(factor, 0, 1);
   }
 
   /** Start the post-shot cooldown. */
@@ -253,4 +322,57 @@ export class Ship extends Entity {
     this.shieldLevel = Math.max(0, this.shieldLevel - 1);
     return true;
   }
+
+  /**
+   * Serializable copy of everything a saved run needs to rebuild this ship.
+   * Derived speed stats are recomputed from speedLevel on restore.
+   * @returns {Object}
+   */
+  toSnapshot() {
+    return {
+      v: SNAPSHOT_VERSION,
+      ...this.baseSnapshot(),
+      color: this.color,
+      angle: this.angle,
+      cooldown: this.cooldown,
+      hyperspaceCooldown: this.hyperspaceCooldown,
+      disoriented: this.disoriented,
+      chilled: this.chilled,
+      chillFactor: this.chillFactor,
+      invuln: this.invuln,
+      invulnElapsed: this.invulnElapsed,
+      isInvulnVisible: this.isInvulnVisible,
+      weaponMode: this.weaponMode,
+      speedLevel: this.speedLevel,
+      shieldLevel: this.shieldLevel,
+      spriteTier: this.spriteTier
+    };
+  }
+
+  /**
+   * Rebuild a ship from toSnapshot() output.
+   * @param {Object} data
+   * @returns {Ship}
+   */
+  static fromSnapshot(data) {
+    assertSnapshotVersion('Ship', data, SNAPSHOT_VERSION);
+
+    const ship = new Ship(data.x, data.y, { invulnBlink: false, color: data.color });
+    ship.applyBaseSnapshot(data);
+    ship.angle = data.angle;
+    ship.cooldown = data.cooldown;
+    ship.hyperspaceCooldown = data.hyperspaceCooldown;
+    ship.disoriented = data.disoriented;
+    ship.chilled = data.chilled;
+    ship.chillFactor = data.chillFactor;
+    ship.invuln = data.invuln;
+    ship.invulnElapsed = data.invulnElapsed;
+    ship.isInvulnVisible = data.isInvulnVisible;
+    ship.weaponMode = data.weaponMode;
+    ship.speedLevel = clamp(data.speedLevel, 0, ship.maxSpeedLevel);
+    ship.recalculateSpeedStats();
+    ship.shieldLevel = data.shieldLevel;
+    ship.spriteTier = data.spriteTier;
+    return ship;
+  }
 }
@@ -1,37 +1,103 @@
 /* ========================= src/entities/Ufo.js ========================= */
-import { Entity } from './Entity.js';
+import { Entity, assertSnapshotVersion } from './Entity.js';
 import { CONFIG } from '../config.js';
 import { UfoLaser } from './UfoLaser.js';
+import { UFO_BEHAVIORS } from './ufoBehaviors.js';
+
+// Bump when the fields written by toSnapshot() change.
+const SNAPSHOT_VERSION = 5;
 
 /**
  * Enemy UFO that patrols the playfield and periodically fires at the player ship.
  *
- * The UFO is intentionally simple: it travels with a constant velocity, wraps
- * around the screen edges, and shoots towards the ship at a fixed cadence. The
- * behaviour mirrors the classic Asteroids saucer, giving players a temporary
- * high-value target that breaks up the regular asteroid clearing loop.
+ * The UFO is intentionally simple: it holds a course across the playfield,
+ * wraps around the screen edges, and shoots towards the ship at a fixed
+ * cadence. The behaviour mirrors the classic Asteroids saucer, giving players a
+ * temporary high-value target that breaks up the regular asteroid clearing loop.
+ *
+ * Movement behaviors (see ufoBehaviors.js) bend the course: weaving, zig-zags,
+ * steering clear of asteroids, dodging bullets. After `crossings` trips across
+ * the field the UFO flies off instead of wrapping (`escaped`).
+ *
+ * The `variant` (a key of CONFIG.UFO.VARIANTS) sets its size, hits and aim:
+ * the large saucer shoots roughly where the ship is, the small one leads the
+ * ship and, later in the run, rarely misses.
+ *
+ * A hit it survives makes it flash (`flash`); the renderer trails smoke behind
+ * it by the share of its `maxHealth` lost.
  */
 export class Ufo extends Entity {
-  constructor({ x, y, vx, vy, spriteKey }) {
-    super(x, y, CONFIG.UFO.RADIUS);
+  /**
+   * @param {{ x: number, y: number, vx: number, vy: number, spriteKey: string,
+   *           variant?: string, fireInterval?: number, spread?: number,
+   *           behaviors?: string[], crossings?: number }} options
+   *   vx, vy: course velocity; fireInterval: seconds between shots (the run's
+   *   difficulty may change it); spread: largest aim error in radians (defaults
+   *   to the variant's); behaviors: keys of UFO_BEHAVIORS; crossings: trips
+   *   across the field before it leaves (default: never)
+   */
+  constructor({
+    x, y, vx, vy, spriteKey, variant = 'large', fireInterval = CONFIG.UFO.FIRE_INTERVAL, spread,
+    behaviors = [], crossings = Infinity
+  }) {
+    const rules = CONFIG.UFO.VARIANTS?.[variant] ?? {};
+    super(x, y, rules.radius ?? CONFIG.UFO.RADIUS);
 
     this.vx = vx;
     this.vy = vy;
+    this.courseVx = vx;
+    this.courseVy = vy;
     this.spriteKey = spriteKey;
+    this.variant = variant;
+    this.behaviors = behaviors;
+    this.age = 0; // seconds on the field, the clock of the movement behaviors
 
-    this.health = CONFIG.UFO.HITS_TO_DESTROY;
-    this.fireCooldown = CONFIG.UFO.FIRE_INTERVAL;
+    // Crossings left; reaching 0 at an edge, the UFO leaves instead of wrapping.
+    this.crossingsLeft = crossings;
+    this.entered = false; // on screen since it last wrapped
+    this.escaped = false;
+
+    this.health = rules.hits ?? CONFIG.UFO.HITS_TO_DESTROY;
+    this.maxHealth = this.health;
+    this.flash = 0; // seconds of hit flash left
+    this.fireInterval = fireInterval;
+    this.fireCooldown = fireInterval;
+    this.spread = spread ?? rules.spread ?? 0;
+  }
+
+  /** @returns {Object} this UFO's variant rules (CONFIG.UFO.VARIANTS entry) */
+  get rules() {
+    return CONFIG.UFO.VARIANTS?.[this.variant] ?? {};
   }
 
   /**
    * Advance the UFO and possibly fire at the ship.
    * @param {number} dt
-   * @param {{x:number,y:number}} target
+   * @param {{x:number,y:number,vx?:number,vy?:number}} target
+   * @param {Rng} [rng] - rolls the aim error (the run's rng keeps replays exact)
+   * @param {{ asteroids?: Object[], bullets?: Object[] }} [world] - what the
+   *   movement behaviors react to
    * @returns {UfoLaser[]} lasers fired this tick
    */
-  update(dt, target) {
+  update(dt, target, rng, world = {}) {
     if (this.dead) return [];
 
+    this.age += dt;
+    this.flash = Math.max(0, this.flash - dt);
+
+    // Course velocity plus whatever the movement behaviors add this tick.
+    let vx = this.courseVx;
+    let vy = this.courseVy;
+    for (const name of this.behaviors) {
+      const extra = UFO_BEHAVIORS[name]?.(this, CONFIG.UFO.BEHAVIORS?.[name] ?? {}, world);
+      if (extra) {
+        vx += extra[0];
+        vy += extra[1];
+      }
+    }
+    this.vx = vx;
+    this.vy = vy;
+
     // Advance the UFO with a simple Euler integration.
     this.x += this.vx * dt;
     this.y += this.vy * dt;
@@ -39,27 +105,42 @@ export class Ufo extends Entity {
     const margin = CONFIG.UFO.OFFSCREEN_MARGIN ?? 0;
     const { W, H } = CONFIG.CANVAS;
 
-    // Wrap around the playfield edges so the UFO feels omnipresent and keeps
-    // pressure on the player regardless of spawn side.
-    if (this.vx !== 0) {
+    // Wrap around the playfield edges so the UFO keeps pressure on the player
+    // regardless of spawn side, until its crossings run out. Only a trip that
+    // made it on screen counts as a crossing.
+    if (this.x >= 0 && this.x <= W && this.y >= 0 && this.y <= H) {
+      this.entered = true;
+    }
+    if (this.x < -margin || this.x > W + margin || this.y < -margin || this.y > H + margin) {
+      if (this.entered) {
+        this.crossingsLeft -= 1;
+        if (this.crossingsLeft <= 0) {
+          this.dead = true;
+          this.escaped = true;
+          return [];
+        }
+      }
+      this.entered = false;
       if (this.x < -margin) this.x = W + margin;
       else if (this.x > W + margin) this.x = -margin;
-    }
-
-    if (this.vy !== 0) {
       if (this.y < -margin) this.y = H + margin;
       else if (this.y > H + margin) this.y = -margin;
+      this.savePreviousPose(); // off screen: snap, never interpolate across the wrap
     }
 
     const lasers = [];
     this.fireCooldown -= dt;
-    // Fire directly at the player's ship once the cooldown elapses. Accuracy is
-    // perfect by default; any intentional inaccuracy should be applied by the
-    // caller before instantiating the UFO.
+    // Fire at the ship (or where it is heading) once the cooldown elapses,
+    // off by up to `spread` either side.
     if (this.fireCooldown <= 0 && target) {
-      const angle = Math.atan2(target.y - this.y, target.x - this.x);
+      let angle = this.rules.aim === 'lead'
+        ? leadAngle(this, target, CONFIG.UFO.LASER_SPEED)
+        : Math.atan2(target.y - this.y, target.x - this.x);
+      if (this.spread > 0 && rng) {
+        angle += (rng.next() * 2 - 1) * this.spread;
+      }
       lasers.push(new UfoLaser(this.x, this.y, angle));
-      this.fireCooldown = CONFIG.UFO.FIRE_INTERVAL;
+      this.fireCooldown = this.fireInterval;
     }
 
     return lasers;
@@ -67,7 +148,7 @@ export class Ufo extends Entity {
 
   /**
    * Register a player hit. Returns `true` when the UFO is destroyed so the game
-   * loop can trigger scoring, explosions, or audio cues in a single location.
+   * loop can trigger scoring, loot, or audio cues in a single location.
    */
   takeHit() {
     if (this.dead) return false;
@@ -76,7 +157,76 @@ export class Ufo extends Entity {
       this.dead = true;
       return true;
     }
+    this.flash = CONFIG.UFO.HIT_FLASH ?? 0;
     return false;
   }
+
+  /** @returns {Object} serializable copy for save games */
+  toSnapshot() {
+    return {
+      v: SNAPSHOT_VERSION,
+      ...this.baseSnapshot(),
+      spriteKey: this.spriteKey,
+      variant: this.variant,
+      courseVx: this.courseVx,
+      courseVy: this.courseVy,
+      behaviors: this.behaviors,
+      age: this.age,
+      crossingsLeft: this.crossingsLeft,
+      entered: this.entered,
+      health: this.health,
+      flash: this.flash,
+      fireInterval: this.fireInterval,
+      fireCooldown: this.fireCooldown,
+      spread: this.spread
+    };
+  }
+
+  /**
+   * Rebuild a UFO from toSnapshot() output.
+   * @param {Object} data
+   * @returns {Ufo}
+   */
+  static fromSnapshot(data) {
+    assertSnapshotVersion('Ufo', data, SNAPSHOT_VERSION);
+
+    const ufo = new Ufo({ ...data, vx: data.courseVx, vy: data.courseVy, crossings: data.crossingsLeft ?? Infinity });
+    ufo.applyBaseSnapshot(data);
+    ufo.age = data.age;
+    ufo.entered = data.entered;
+    ufo.health = data.health;
+    ufo.flash = data.flash;
+    ufo.fireCooldown = data.fireCooldown;
+    return ufo;
+  }
 }
 
+// Heading that meets a target moving in a straight line with a shot of the
+// given speed; straight at the target when the shot can never catch it.
+function leadAngle(from, target, shotSpeed) {
+  const dx = target.x - from.x;
+  const dy = target.y - from.y;
+  const vx = target.vx ?? 0;
+  const vy = target.vy ?? 0;
+
+  // |d + v·t| = shotSpeed·t  →  a·t² + b·t + c = 0
+  const a = vx * vx + vy * vy - shotSpeed * shotSpeed;
+  const b = 2 * (dx * vx + dy * vy);
+  const c = dx * dx + dy * dy;
+
+  let t = -1;
+  if (Math.abs(a) < 1e-6) {
+    if (b < 0) t = -c / b;
+  } else {
+    const disc = b * b - 4 * a * c;
+    if (disc >= 0) {
+      const root = Math.sqrt(disc);
+      const t1 = (-b - root) / (2 * a);
+      const t2 = (-b + root) / (2 * a);
+      t = Math.min(t1, t2) > 0 ? Math.min(t1, t2) : Math.max(t1, t2);
+    }
+  }
+
+  if (!(t > 0)) return Math.atan2(dy, dx);
+  return Math.atan2(dy + vy * t, dx + vx * t);
+}
@@ -0,0 +1,77 @@
+/* ========================= src/entities/UfoDebris.js ========================= */
+import { Entity, assertSnapshotVersion } from './Entity.js';
+import { CONFIG } from '../config.js';
+
+// Bump when the fields written by toSnapshot() change.
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Wreck fragment flung out of a destroyed UFO (CONFIG.UFO.LOOT.debris, see
+ * Spawner.spawnUfoDebris). It tumbles in a straight line and hits a ship that
+ * flies into it until its `lifetime` runs out. Like the UFO's lasers, debris
+ * does not wrap: it expires or leaves the play area.
+ */
+export class UfoDebris extends Entity {
+  /**
+   * @param {{ x: number, y: number, vx: number, vy: number, r: number, spriteKey: string,
+   *           angle?: number, spin?: number, lifetime: number }} options
+   *   spin: radians per second it tumbles; lifetime: seconds it stays dangerous
+   */
+  constructor({ x, y, vx, vy, r, spriteKey, angle = 0, spin = 0, lifetime }) {
+    super(x, y, r);
+
+    this.vx = vx;
+    this.vy = vy;
+    this.spriteKey = spriteKey;
+    this.angle = angle;
+    this.spin = spin;
+    this.lifetime = lifetime;
+    this.maxLifetime = lifetime; // the renderer fades it out towards the end
+  }
+
+  update(dt) {
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+    this.angle += this.spin * dt;
+
+    this.lifetime -= dt;
+    if (this.lifetime <= 0) {
+      this.dead = true;
+      return;
+    }
+
+    const margin = CONFIG.UFO.OFFSCREEN_MARGIN;
+    const { W, H } = CONFIG.CANVAS;
+    if (this.x < -margin || this.x > W + margin || this.y < -margin || this.y > H + margin) {
+      this.dead = true;
+    }
+  }
+
+  /** @returns {Object} serializable copy for save games */
+  toSnapshot() {
+    return {
+      v: SNAPSHOT_VERSION,
+      ...this.baseSnapshot(),
+      r: this.r,
+      spriteKey: this.spriteKey,
+      angle: this.angle,
+      spin: this.spin,
+      lifetime: this.lifetime,
+      maxLifetime: this.maxLifetime
+    };
+  }
+
+  /**
+   * Rebuild a fragment from toSnapshot() output.
+   * @param {Object} data
+   * @returns {UfoDebris}
+   */
+  static fromSnapshot(data) {
+    assertSnapshotVersion('UfoDebris', data, SNAPSHOT_VERSION);
+
+    const debris = new UfoDebris(data);
+    debris.applyBaseSnapshot(data);
+    debris.maxLifetime = data.maxLifetime;
+    return debris;
+  }
+}
@@ -1,7 +1,10 @@
 /* ========================= src/entities/UfoLaser.js ========================= */
-import { Entity } from './Entity.js';
+import { Entity, assertSnapshotVersion } from './Entity.js';
 import { CONFIG } from '../config.js';
 
+// Bump when the fields written by toSnapshot() change.
+const SNAPSHOT_VERSION = 1;
+
 /**
  * Laser projectile fired by the UFO.
  *
@@ -47,5 +50,28 @@ export class UfoLaser extends Entity {
       this.dead = true;
     }
   }
-}
 
+  /** @returns {Object} serializable copy for save games */
+  toSnapshot() {
+    return {
+      v: SNAPSHOT_VERSION,
+      ...this.baseSnapshot(),
+      angle: this.angle,
+      lifetime: this.lifetime
+    };
+  }
+
+  /**
+   * Rebuild a laser from toSnapshot() output.
+   * @param {Object} data
+   * @returns {UfoLaser}
+   */
+  static fromSnapshot(data) {
+    assertSnapshotVersion('UfoLaser', data, SNAPSHOT_VERSION);
+
+    const laser = new UfoLaser(data.x, data.y, data.angle);
+    laser.applyBaseSnapshot(data);
+    laser.lifetime = data.lifetime;
+    return laser;
+  }
+}
@@ -0,0 +1,110 @@
+/* ========================= src/entities/ufoBehaviors.js ========================= */
+import { CONFIG } from '../config.js';
+import { wrapDelta } from '../utils/math.js';
+
+/**
+ * UFO movement behaviors
+ * ----------------------
+ * Ways a saucer strays from its straight course, tuned in CONFIG.UFO.BEHAVIORS
+ * and picked per variant and wave (`behaviors` in CONFIG.UFO.VARIANTS).
+ *
+ * Each behavior is `(ufo, params, world) => [vx, vy] | null`: a velocity added
+ * to the UFO's course velocity this tick (null: nothing to add). They only
+ * read state (the UFO's course and age, the world), so a saved run restores
+ * the same flight path.
+ *
+ *   sine           - weaves side to side across its course
+ *   zigzag         - swings its course to alternate sides every `interval`
+ *   avoidAsteroids - veers away from asteroids within `range`
+ *   dodgeBullets   - sidesteps bullets within `senseRadius` that would hit it
+ */
+export const UFO_BEHAVIORS = Object.freeze({
+  sine(ufo, { amplitude = 0, period = 1 }) {
+    const omega = (2 * Math.PI) / period;
+    const lateral = amplitude * omega * Math.cos(omega * ufo.age);
+    const [nx, ny] = courseNormal(ufo);
+    return [nx * lateral, ny * lateral];
+  },
+
+  zigzag(ufo, { interval = 1, angle = 0 }) {
+    const side = Math.floor(ufo.age / interval) % 2 === 0 ? 1 : -1;
+    const cos = Math.cos(angle * side);
+    const sin = Math.sin(angle * side);
+    const { courseVx: vx, courseVy: vy } = ufo;
+    return [vx * cos - vy * sin - vx, vx * sin + vy * cos - vy];
+  },
+
+  avoidAsteroids(ufo, { range = 0, speed = 0 }, { asteroids = [] }) {
+    const { W, H } = CONFIG.CANVAS;
+    let ax = 0;
+    let ay = 0;
+    for (const a of asteroids) {
+      if (a.dead) continue;
+      const dx = wrapDelta(ufo.x - a.x, W);
+      const dy = wrapDelta(ufo.y - a.y, H);
+      const dist = Math.hypot(dx, dy);
+      const gap = dist - a.r - ufo.r;
+      if (gap >= range || dist === 0) continue;
+      // Push harder the closer the rock.
+      const push = 1 - Math.max(0, gap) / range;
+      ax += (dx / dist) * push;
+      ay += (dy / dist) * push;
+    }
+    const mag = Math.hypot(ax, ay);
+    if (mag === 0) return null;
+    const scale = (speed * Math.min(1, mag)) / mag;
+    return [ax * scale, ay * scale];
+  },
+
+  dodgeBullets(ufo, { senseRadius = 0, speed = 0, margin = 0 }, { bullets = [] }) {
+    const { W, H } = CONFIG.CANVAS;
+    let threat = null;
+    let threatDist = Infinity;
+    for (const b of bullets) {
+      if (b.dead) continue;
+      const px = wrapDelta(ufo.x - b.x, W);
+      const py = wrapDelta(ufo.y - b.y, H);
+      const dist = Math.hypot(px, py);
+      const bSpeed = Math.hypot(b.vx, b.vy);
+      if (dist > senseRadius || bSpeed === 0) continue;
+
+      // Only bullets flying towards the UFO whose line passes close enough.
+      const ux = b.vx / bSpeed;
+      const uy = b.vy / bSpeed;
+      const along = px * ux + py * uy;
+      if (along <= 0) continue;
+      const missBy = px * uy - py * ux; // signed distance from the bullet's line
+      if (Math.abs(missBy) > ufo.r + margin) continue;
+
+      if (dist < threatDist) {
+        threatDist = dist;
+        threat = { ux, uy, missBy };
+      }
+    }
+    if (!threat) return null;
+
+    // Step off the bullet's line on the side the UFO is already on.
+    const side = threat.missBy >= 0 ? 1 : -1;
+    return [threat.uy * side * speed, -threat.ux * side * speed];
+  }
+});
+
+/**
+ * Behaviors a saucer variant uses in a wave: each entry of its `behaviors`
+ * map joins from the wave it names.
+ * @param {Object} rules - CONFIG.UFO.VARIANTS entry
+ * @param {number} wave
+ * @returns {string[]} keys of UFO_BEHAVIORS
+ */
+export function ufoBehaviorsForWave(rules, wave) {
+  return Object.entries(rules?.behaviors ?? {})
+    .filter(([name, fromWave]) => name in UFO_BEHAVIORS && wave >= fromWave)
+    .map(([name]) => name);
+}
+
+// Unit vector left of the UFO's course (zero when it has none).
+function courseNormal(ufo) {
+  const speed = Math.hypot(ufo.courseVx, ufo.courseVy);
+  if (speed === 0) return [0, 0];
+  return [-ufo.courseVy / speed, ufo.courseVx / speed];
+}
@@ -3,6 +3,8 @@ import { Game } from './core/Game.js';
 import { CONFIG } from './config.js';
 import { MenuOverlay } from './ui/MenuOverlay.js';
 import { GameOverOverlay } from './ui/GameOverOverlay.js';
+import { RoundSummaryOverlay } from './ui/RoundSummaryOverlay.js';
+import { PauseOverlay } from './ui/PauseOverlay.js';
 import { DebugConsoleOverlay } from './ui/DebugConsoleOverlay.js';
 import { AtlasCache } from './systems/AtlasCache.js';
 
@@ -24,6 +26,12 @@ const ATLAS_BASE_PATHS = [
   './assets/sprites/UI/ui',
 ];
 
+// Atlases with a collision hull sidecar (<path>.hulls.json, see CollisionShapes).
+const HULL_BASE_PATHS = [
+  './assets/sprites/shipsandufos',
+  './assets/sprites/Meteors/meteors',
+];
+
 const canvas = document.getElementById('game');
 const ctx = canvas.getContext('2d');
 
@@ -92,7 +100,7 @@ window.addEventListener('resize', handleResize);
 window.addEventListener('orientationchange', handleResize);
 
 async function start() {
-  const atlasCache = new AtlasCache(ATLAS_BASE_PATHS);
+  const atlasCache = new AtlasCache(ATLAS_BASE_PATHS, { hullPaths: HULL_BASE_PATHS });
   await atlasCache.loadAll();
 
   const game = new Game(canvas, ctx, { atlasCache });
@@ -102,6 +110,16 @@ async function start() {
       menuOverlay?.show?.('start');
     }
   });
+  new RoundSummaryOverlay(game, {
+    onReturnToMenu: () => {
+      menuOverlay?.show?.('start');
+    }
+  });
+  new PauseOverlay(game, {
+    onReturnToMenu: () => {
+      menuOverlay?.show?.('start');
+    }
+  });
 
   game.start();
 }
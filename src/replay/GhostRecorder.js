@@ -0,0 +1,82 @@
+/* ========================= src/replay/GhostRecorder.js ========================= */
+import {
+  GHOST_FORMAT,
+  GHOST_VERSION,
+  POSITION_SCALE,
+  ANGLE_SCALE,
+  HIDDEN_X
+} from './ghostFormat.js';
+
+/**
+ * GhostRecorder
+ * -------------
+ * Samples player 1's ship pose and the score at every active tick of a solo
+ * run into the layout described in ghostFormat.js.
+ *
+ * Game calls `recordTick()` once per fixed tick, right before the tick is
+ * simulated (alongside ReplayRecorder), and `finish()` when the run ends.
+ */
+export class GhostRecorder {
+  /**
+   * @param {{ seed: number, gameMode?: string, difficulty?: string }} options
+   */
+  constructor({ seed, gameMode = 'classic', difficulty = 'normal' }) {
+    this.seed = seed;
+    this.gameMode = gameMode;
+    this.difficulty = difficulty;
+
+    this.poses = [];
+    this.scores = [];
+    this.ticks = 0;
+  }
+
+  /**
+   * Record the frame of the tick about to be simulated.
+   * @param {Object} state - game state *before* this tick runs
+   */
+  recordTick(state) {
+    this._recordFrame(state);
+    this.ticks += 1;
+  }
+
+  /**
+   * Seal the ghost with the run's final frame.
+   * @param {Object} state - final game state
+   * @returns {Object} ghost object (see ghostFormat.js)
+   */
+  finish(state) {
+    this._recordFrame(state);
+    return {
+      format: GHOST_FORMAT,
+      version: GHOST_VERSION,
+      seed: this.seed,
+      gameMode: this.gameMode,
+      difficulty: this.difficulty,
+      score: state.score ?? 0,
+      ticks: this.ticks + 1,
+      poses: this.poses.slice(),
+      scores: this.scores.slice(),
+      createdAt: Date.now()
+    };
+  }
+
+  _recordFrame(state) {
+    const ship = state.players[0].ship;
+    if (ship.dead) {
+      this.poses.push(HIDDEN_X, 0, 0);
+    } else {
+      this.poses.push(
+        Math.round(ship.x * POSITION_SCALE),
+        Math.round(ship.y * POSITION_SCALE),
+        Math.round(ship.angle * ANGLE_SCALE)
+      );
+    }
+
+    // A new [tick, score] step only when the score moved.
+    const score = state.score ?? 0;
+    const { scores } = this;
+    if (scores.length === 0 || scores[scores.length - 1] !== score) {
+      scores.push(this.ticks, score);
+    }
+  }
+}
@@ -0,0 +1,138 @@
+/* ========================= src/replay/ReplayPlayer.js ========================= */
+import { decodeKeyMask, makeCheckpoint } from './replayFormat.js';
+
+/**
+ * Read-only input snapshot for one replayed tick.
+ * Mirrors the query side of Input (isDown / pressed / released) so Ship and
+ * Game can consume it without knowing whether input is live or recorded.
+ */
+class ReplayInput {
+  constructor() {
+    this.keys = new Set();
+    this.justPressed = new Set();
+    this.justReleased = new Set();
+  }
+
+  isDown(code) {
+    return this.keys.has(code);
+  }
+
+  pressed(code) {
+    return this.justPressed.has(code);
+  }
+
+  released(code) {
+    return this.justReleased.has(code);
+  }
+}
+
+/**
+ * ReplayPlayer
+ * ------------
+ * Playback driver: feeds a recorded replay back into Game one tick at a time
+ * and watches for divergence between the recording and the re-simulation.
+ *
+ * Divergence is detected two ways:
+ *  - checkpoints: sampled score / asteroid count / ship position must match
+ *    the recording at the same tick;
+ *  - outcome: when the run ends, final tick count, score and wave must match.
+ * Only the first checkpoint mismatch is kept; later ones are consequences.
+ */
+export class ReplayPlayer {
+  /**
+   * @param {Object} replay - parsed replay (see replayFormat.js parseReplay)
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.tick = 0;
+    this.divergence = null;
+
+    this._input = new ReplayInput();
+    this._runIndex = 0;     // index into replay.runs (multiples of 4)
+    this._runRemaining = 0; // ticks left in the current run
+
+    this._checkpoints = new Map();
+    for (const cp of replay.checkpoints ?? []) {
+      if (Array.isArray(cp)) this._checkpoints.set(cp[0], cp);
+    }
+  }
+
+  /** @returns {number} total ticks in the recording */
+  get totalTicks() {
+    return this.replay.final?.ticks ?? 0;
+  }
+
+  /** @returns {boolean} true once every recorded tick has been played */
+  get isExhausted() {
+    return this._runRemaining === 0 && this._runIndex >= this.replay.runs.length;
+  }
+
+  /**
+   * Advance to the next recorded tick.
+   * @param {Object} state - game state *before* the tick runs (checked against checkpoints)
+   * @returns {ReplayInput|null} input for this tick, or null when the recording has ended
+   */
+  nextTick(state) {
+    if (this._runRemaining === 0) {
+      const { runs, keys } = this.replay;
+      if (this._runIndex >= runs.length) {
+        return null;
+      }
+      this._runRemaining = runs[this._runIndex];
+      this._input.keys = decodeKeyMask(runs[this._runIndex + 1], keys);
+      this._input.justPressed = decodeKeyMask(runs[this._runIndex + 2], keys);
+      this._input.justReleased = decodeKeyMask(runs[this._runIndex + 3], keys);
+      this._runIndex += 4;
+    }
+
+    this._verifyCheckpoint(state);
+
+    this._runRemaining -= 1;
+    this.tick += 1;
+    return this._input;
+  }
+
+  /**
+   * Compare the re-simulated outcome with the recorded one.
+   * @param {Object} state - final game state
+   * @param {string} [reason] - 'game-over' or 'input-exhausted'
+   * @returns {{ diverged: boolean, reason: string, divergence: Object|null,
+   *             expected: Object|null, actual: Object }}
+   */
+  finish(state, reason = 'game-over') {
+    const expected = this.replay.final ?? null;
+    const actual = {
+      ticks: this.tick,
+      score: state.score ?? 0,
+      wave: state.wave ?? 0
+    };
+
+    const outcomeMismatch = !!expected && (
+      expected.ticks !== actual.ticks ||
+      expected.score !== actual.score ||
+      expected.wave !== actual.wave
+    );
+
+    return {
+      diverged: !!this.divergence || outcomeMismatch,
+      reason,
+      divergence: this.divergence,
+      expected,
+      actual
+    };
+  }
+
+  _verifyCheckpoint(state) {
+    if (this.divergence) return;
+    const recorded = this._checkpoints.get(this.tick);
+    if (!recorded) return;
+
+    const current = makeCheckpoint(this.tick, state);
+    const matches = recorded.length === current.length &&
+      recorded.every((value, i) => value === current[i]);
+    if (!matches) {
+      this.divergence = { tick: this.tick, expected: recorded, actual: current };
+      console.warn('[Replay] Diverged from recording at tick', this.tick, this.divergence);
+    }
+  }
+}
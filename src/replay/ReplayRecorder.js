@@ -0,0 +1,126 @@
+/* ========================= src/replay/ReplayRecorder.js ========================= */
+import {
+  REPLAY_KEYS,
+  CHECKPOINT_INTERVAL_TICKS,
+  encodeKeyMask,
+  makeCheckpoint
+} from './replayFormat.js';
+
+/**
+ * ReplayRecorder
+ * --------------
+ * Captures the input of every active tick (held / just-pressed / just-released)
+ * into the run-length encoded layout described in replayFormat.js.
+ *
+ * Game calls `recordTick()` once per fixed tick, right before the tick is
+ * simulated, and `finish()` when the run ends.
+ */
+export class ReplayRecorder {
+  /**
+   * @param {{ seed: number, fixedDt: number, gameMode?: string, difficulty?: string,
+   *           playerCount?: number, scoreMode?: string }} options
+   */
+  constructor({ seed, fixedDt, gameMode = 'classic', difficulty = 'normal', playerCount = 1, scoreMode = 'shared' }) {
+    this.seed = seed;
+    this.gameMode = gameMode;
+    this.difficulty = difficulty;
+    this.playerCount = playerCount;
+    this.scoreMode = scoreMode;
+    this.fixedDt = fixedDt;
+    this.keys = REPLAY_KEYS;
+
+    this.runs = [];
+    this.checkpoints = [];
+    this.ticks = 0;
+  }
+
+  /**
+   * Record the input for the tick about to be simulated.
+   * @param {Input} input - the live Input instance
+   * @param {Object} state - game state *before* this tick runs (for checkpoints)
+   */
+  recordTick(input, state) {
+    if (this.ticks % CHECKPOINT_INTERVAL_TICKS === 0) {
+      this.checkpoints.push(makeCheckpoint(this.ticks, state));
+    }
+
+    const held = encodeKeyMask(input.keys, this.keys);
+    const pressed = encodeKeyMask(input.justPressed, this.keys);
+    const released = encodeKeyMask(input.justReleased, this.keys);
+
+    // Extend the previous run when the masks did not change.
+    const { runs } = this;
+    const last = runs.length - 4;
+    if (
+      last >= 0 &&
+      runs[last + 1] === held &&
+      runs[last + 2] === pressed &&
+      runs[last + 3] === released
+    ) {
+      runs[last] += 1;
+    } else {
+      runs.push(1, held, pressed, released);
+    }
+
+    this.ticks += 1;
+  }
+
+  /**
+   * Seal the recording with the run's outcome.
+   * @param {Object} state - final game state
+   * @returns {Object} replay object (see replayFormat.js)
+   */
+  finish(state) {
+    return {
+      seed: this.seed,
+      gameMode: this.gameMode,
+      difficulty: this.difficulty,
+      playerCount: this.playerCount,
+      scoreMode: this.scoreMode,
+      fixedDt: this.fixedDt,
+      keys: this.keys.slice(),
+      runs: this.runs.slice(),
+      checkpoints: this.checkpoints.slice(),
+      final: {
+        ticks: this.ticks,
+        score: state.score ?? 0,
+        wave: state.wave ?? 0
+      },
+      createdAt: Date.now()
+    };
+  }
+
+  /**
+   * In-progress recording, stored inside a saved run so a continued run
+   * still produces one replay covering every tick since the seed.
+   * @returns {{ keys: string[], ticks: number, runs: number[], checkpoints: number[][] }}
+   */
+  toSnapshot() {
+    return {
+      keys: this.keys.slice(),
+      ticks: this.ticks,
+      runs: this.runs.slice(),
+      checkpoints: this.checkpoints.slice()
+    };
+  }
+
+  /**
+   * Resume a recording from toSnapshot() output.
+   * @param {{ seed: number, fixedDt: number, gameMode?: string, difficulty?: string,
+   *           playerCount?: number, scoreMode?: string }} options
+   * @param {{ keys: string[], ticks: number, runs: number[], checkpoints: number[][] }} data
+   * @returns {ReplayRecorder|null} null when this build cannot continue the recording
+   */
+  static fromSnapshot(options, data) {
+    const sameKeys = Array.isArray(data?.keys) && data.keys.join() === REPLAY_KEYS.join();
+    if (!sameKeys || !Array.isArray(data.runs) || !Array.isArray(data.checkpoints)) {
+      return null;
+    }
+
+    const recorder = new ReplayRecorder(options);
+    recorder.ticks = data.ticks;
+    recorder.runs = data.runs.slice();
+    recorder.checkpoints = data.checkpoints.slice();
+    return recorder;
+  }
+}
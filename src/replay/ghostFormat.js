@@ -0,0 +1,90 @@
+/* ========================= src/replay/ghostFormat.js ========================= */
+/**
+ * Ghost format (stored in IndexedDB, see utils/ghostStorage.js).
+ *
+ * A ghost is player 1's ship pose sampled at every active tick of a solo run,
+ * plus the score timeline, so a later run on the same seed can draw where the
+ * best run was at the same moment and how far ahead or behind it is.
+ *
+ * Frame `i` is the state before active tick `i` (the tick ReplayRecorder
+ * numbers the same way), so after `n` ticks the live run is at frame `n`.
+ *
+ * Layout (version 1):
+ * {
+ *   format: 'rockbuster-ghost',
+ *   version: 1,
+ *   seed: 3735928559, gameMode: 'classic', difficulty: 'normal',
+ *   score: 12400,                     // final score of the run
+ *   ticks: 5400,                      // frames in `poses`
+ *   poses: [x, y, angle, ...],        // per frame: x / y in 1/10 px, angle in
+ *                                     // milliradians; x = -1 while no ship is
+ *                                     // on the field
+ *   scores: [tick, score, ...],       // score from `tick` on (first entry at tick 0)
+ *   createdAt: 1700000000000
+ * }
+ */
+export const GHOST_FORMAT = 'rockbuster-ghost';
+export const GHOST_VERSION = 1;
+
+export const POSE_STRIDE = 3;
+export const POSITION_SCALE = 10;
+export const ANGLE_SCALE = 1000;
+export const HIDDEN_X = -1;
+
+/**
+ * Pose of the ghost ship at a frame.
+ * @param {Object} ghost
+ * @param {number} tick - frame index
+ * @returns {{ x: number, y: number, angle: number }|null} null when the ship
+ *   was off the field or the ghost run had already ended
+ */
+export function ghostPoseAt(ghost, tick) {
+  if (tick < 0 || tick >= ghost.ticks) return null;
+  const offset = tick * POSE_STRIDE;
+  const x = ghost.poses[offset];
+  if (x === HIDDEN_X) return null;
+  return {
+    x: x / POSITION_SCALE,
+    y: ghost.poses[offset + 1] / POSITION_SCALE,
+    angle: ghost.poses[offset + 2] / ANGLE_SCALE
+  };
+}
+
+/**
+ * Score of the ghost run at a frame (its final score once it has ended).
+ * @param {Object} ghost
+ * @param {number} tick - frame index
+ * @returns {number}
+ */
+export function ghostScoreAt(ghost, tick) {
+  const { scores } = ghost;
+  // Binary search for the last [tick, score] entry at or before `tick`.
+  let lo = 0;
+  let hi = scores.length / 2 - 1;
+  let score = 0;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (scores[mid * 2] <= tick) {
+      score = scores[mid * 2 + 1];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return score;
+}
+
+/**
+ * @param {*} data
+ * @returns {boolean} true when `data` is a ghost this build can draw
+ */
+export function isGhost(data) {
+  return (
+    !!data &&
+    data.format === GHOST_FORMAT &&
+    data.version === GHOST_VERSION &&
+    typeof data.ticks === 'number' &&
+    Array.isArray(data.poses) &&
+    Array.isArray(data.scores)
+  );
+}
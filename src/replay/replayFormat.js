@@ -0,0 +1,173 @@
+/* ========================= src/replay/replayFormat.js ========================= */
+/**
+ * Replay file format (JSON).
+ *
+ * A replay is the run seed plus the input seen by every fixed simulation tick
+ * of the active modes (WAVE_INTRO, PLAY, RESPAWNING). Because all gameplay
+ * randomness comes from the seeded Rng, seed + input is enough to rebuild the
+ * exact run.
+ *
+ * Version 2 added the WAVE_INTRO / RESPAWNING ticks; version 1 replays
+ * (PLAY ticks only) cannot be played back.
+ *
+ * Layout (version 2):
+ * {
+ *   format: 'rockbuster-replay',
+ *   version: 2,
+ *   seed: 3735928559,                 // uint32 run seed
+ *   gameMode: 'classic',              // game mode the run was played in (absent → classic)
+ *   difficulty: 'normal',             // difficulty preset (absent → normal)
+ *   playerCount: 1,                   // ships in the run (absent → 1)
+ *   scoreMode: 'shared',              // co-op score presentation (absent → shared)
+ *   fixedDt: 0.008333,                // simulation step the run was recorded at
+ *   keys: ['ArrowLeft', ...],         // bit index → KeyboardEvent.code
+ *   runs: [count, held, pressed, released, ...],
+ *                                     // run-length encoded per-tick bitmasks:
+ *                                     // `count` consecutive ticks share the same
+ *                                     // held/pressed/released masks
+ *   checkpoints: [[tick, score, asteroidCount, shipX, shipY], ...],
+ *                                     // (shipX / shipY: player 1's ship)
+ *                                     // sampled state used to detect divergence
+ *   final: { ticks, score, wave },    // outcome of the recorded run
+ *   createdAt: 1700000000000
+ * }
+ */
+export const REPLAY_FORMAT = 'rockbuster-replay';
+export const REPLAY_VERSION = 2;
+
+/**
+ * Keys the simulation reads while active. Pause keys are deliberately absent:
+ * pausing is not part of a run's outcome, and PAUSED ticks are never recorded.
+ */
+export const REPLAY_KEYS = [
+  'ArrowLeft',
+  'ArrowRight',
+  'ArrowUp',
+  'KeyA',
+  'KeyD',
+  'KeyW',
+  'Space',
+  'KeyJ',
+  'ShiftLeft',
+  'ShiftRight',
+  'KeyK',
+  // Co-op key sets (CONFIG.PLAYERS.CONTROLS p1 / p2)
+  'KeyS',
+  'ArrowDown',
+  'Slash',
+  'ControlRight',
+  'Numpad0'
+];
+
+/** Ticks between divergence checkpoints (60 ticks = 0.5s at 120 Hz). */
+export const CHECKPOINT_INTERVAL_TICKS = 60;
+
+/**
+ * Pack the subset of `keys` that appear in `codes` into a bitmask.
+ * @param {Iterable<string>} codes
+ * @param {string[]} keys
+ * @returns {number}
+ */
+export function encodeKeyMask(codes, keys = REPLAY_KEYS) {
+  let mask = 0;
+  for (const code of codes) {
+    const bit = keys.indexOf(code);
+    if (bit !== -1) mask |= (1 << bit);
+  }
+  return mask;
+}
+
+/**
+ * Expand a bitmask back into a Set of key codes.
+ * @param {number} mask
+ * @param {string[]} keys
+ * @returns {Set<string>}
+ */
+export function decodeKeyMask(mask, keys = REPLAY_KEYS) {
+  const codes = new Set();
+  for (let bit = 0; bit < keys.length; bit++) {
+    if (mask & (1 << bit)) codes.add(keys[bit]);
+  }
+  return codes;
+}
+
+/**
+ * Round a state snapshot into a checkpoint tuple. Positions are rounded to
+ * 1/100 px so tiny float noise in the JSON round-trip never flags a false divergence.
+ * @returns {number[]} [tick, score, asteroidCount, shipX, shipY]
+ */
+export function makeCheckpoint(tick, state) {
+  const round = (v) => Math.round((v ?? 0) * 100) / 100;
+  return [
+    tick,
+    state.score ?? 0,
+    state.asteroids?.length ?? 0,
+    round(state.players?.[0]?.ship.x),
+    round(state.players?.[0]?.ship.y)
+  ];
+}
+
+/**
+ * Serialize a replay object into the JSON text stored in replay files.
+ * @param {Object} replay
+ * @returns {string}
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify({
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    seed: replay.seed,
+    gameMode: replay.gameMode,
+    difficulty: replay.difficulty,
+    playerCount: replay.playerCount,
+    scoreMode: replay.scoreMode,
+    fixedDt: replay.fixedDt,
+    keys: replay.keys,
+    runs: replay.runs,
+    checkpoints: replay.checkpoints,
+    final: replay.final,
+    createdAt: replay.createdAt
+  });
+}
+
+/**
+ * Parse and validate replay JSON text. Throws an Error with a readable
+ * message when the file is not a replay this build can play.
+ * @param {string} text
+ * @returns {Object} replay
+ */
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Replay file is not valid JSON.');
+  }
+
+  if (!data || data.format !== REPLAY_FORMAT) {
+    throw new Error('Not a Rockbuster replay file.');
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${data.version} (expected ${REPLAY_VERSION}).`);
+  }
+  if (typeof data.seed !== 'number' || !Array.isArray(data.keys) || !Array.isArray(data.runs)) {
+    throw new Error('Replay file is missing seed or input data.');
+  }
+  if (data.runs.length % 4 !== 0) {
+    throw new Error('Replay input data is truncated.');
+  }
+
+  return {
+    seed: data.seed >>> 0,
+    gameMode: typeof data.gameMode === 'string' ? data.gameMode : 'classic',
+    difficulty: typeof data.difficulty === 'string' ? data.difficulty : 'normal',
+    playerCount: Number.isInteger(data.playerCount) ? data.playerCount : 1,
+    scoreMode: typeof data.scoreMode === 'string' ? data.scoreMode : 'shared',
+    fixedDt: typeof data.fixedDt === 'number' ? data.fixedDt : 1 / 120,
+    keys: data.keys,
+    runs: data.runs,
+    checkpoints: Array.isArray(data.checkpoints) ? data.checkpoints : [],
+    final: data.final ?? null,
+    createdAt: data.createdAt ?? null
+  };
+}
@@ -0,0 +1,196 @@
+/* ========================= src/save/runSnapshot.js ========================= */
+import { Ship } from '../entities/Ship.js';
+import { Asteroid } from '../entities/Asteroid.js';
+import { PowerUp } from '../entities/PowerUp.js';
+import { Ufo } from '../entities/Ufo.js';
+import { UfoLaser } from '../entities/UfoLaser.js';
+import { UfoDebris } from '../entities/UfoDebris.js';
+import { Fighter } from '../entities/Fighter.js';
+import { FighterShot } from '../entities/FighterShot.js';
+import { Mothership } from '../entities/Mothership.js';
+import { Bullet } from '../entities/Bullet.js';
+import { Rng } from '../utils/rng.js';
+import { createPlayer, getMaxPlayers } from '../core/players.js';
+
+/**
+ * Saved-run format (plain object, stored in IndexedDB / localStorage).
+ *
+ * A snapshot captures a run between two fixed ticks: counters, every live
+ * entity and the RNG position, so a restored run continues exactly as the
+ * original would have.
+ *
+ * Layout (version 3):
+ * {
+ *   format: 'rockbuster-run',
+ *   version: 3,
+ *   savedAt: 1700000000000,
+ *   seed: 3735928559, rngState: 123456789,
+ *   gameMode: 'classic', timeLeft: null,                          // game mode rules + run clock
+ *   difficulty: 'normal',                                         // preset the run config is built from
+ *   mode: 'PLAY', waveIntroTimer,                                 // mode the run resumes into
+ *   wave, score, didBeatHighScore, powerupsCollected,
+ *   powerupTimer: null,                                           // timed power-up drops (versus)
+ *   scoreMode: 'shared',                                          // co-op score presentation
+ *   players: [{ lives, score, kills, deaths, shipLost, respawnTimer, respawnTimeout, ship: {...} }, ...],
+ *   bullets: [...], asteroids: [...], powerups: [...],
+ *   ufo: {...} | null, ufoBullets: [...], ufoSpawnTimer, ufoSpawnedThisWave,
+ *   ufoDebris: [...],                                             // wreck fragments of destroyed UFOs
+ *   escorts: [...], boss: {...} | null,                           // boss wave: mothership + its escort UFOs
+ *   fighters: [...], fighterShots: [...],                         // enemy fighters and their shots
+ *   squadrons: [{ type, count }, ...], squadronTimer,             // squadrons still to arrive this wave
+ *   replay: {...} | null,           // in-progress recording (ReplayRecorder.toSnapshot)
+ *   daily: '2024-05-01' | null      // date key when the run is that day's scored daily challenge
+ * }
+ * Entity entries carry their own `v` (see each entity's toSnapshot()).
+ * Saves without gameMode / difficulty are Classic / Normal runs; missing
+ * kills / deaths count as 0, a missing powerupTimer as per-wave drops and
+ * missing fighter fields as no fighters and missing boss fields as no boss. Older
+ * versions (a single top-level ship) are refused.
+ */
+export const RUN_SAVE_FORMAT = 'rockbuster-run';
+export const RUN_SAVE_VERSION = 3;
+
+// Modes a run can be saved in (PAUSED is stored as the mode it was paused from).
+const RESUMABLE_MODES = ['WAVE_INTRO', 'PLAY', 'RESPAWNING'];
+
+const alive = (list) => (list ?? []).filter((entity) => !entity.dead);
+
+/**
+ * Capture the run in `state` (an active mode or PAUSED) as a plain object.
+ * @param {Object} state - Simulation state
+ * @param {{ replay?: Object|null, daily?: string|null }} [extras] - opaque shell data stored alongside
+ * @returns {Object}
+ */
+export function serializeRun(state, { replay = null, daily = null } = {}) {
+  return {
+    format: RUN_SAVE_FORMAT,
+    version: RUN_SAVE_VERSION,
+    savedAt: Date.now(),
+
+    seed: state.seed,
+    rngState: state.rng.getState(),
+
+    gameMode: state.gameMode ?? 'classic',
+    timeLeft: typeof state.timeLeft === 'number' ? state.timeLeft : null,
+    difficulty: state.difficulty ?? 'normal',
+
+    mode: state.mode === 'PAUSED' ? state.pausedFrom : state.mode,
+    waveIntroTimer: state.waveIntroTimer ?? 0,
+
+    wave: state.wave,
+    score: state.score,
+    didBeatHighScore: !!state.didBeatHighScore,
+    powerupsCollected: state.powerupsCollected ?? 0,
+    powerupTimer: typeof state.powerupTimer === 'number' ? state.powerupTimer : null,
+
+    scoreMode: state.scoreMode ?? 'shared',
+    players: state.players.map((player) => ({
+      lives: player.lives,
+      score: player.score,
+      kills: player.kills,
+      deaths: player.deaths,
+      shipLost: !!player.ship.dead,
+      respawnTimer: player.respawnTimer,
+      respawnTimeout: player.respawnTimeout,
+      ship: player.ship.toSnapshot()
+    })),
+    bullets: alive(state.bullets).map((b) => b.toSnapshot()),
+    asteroids: alive(state.asteroids).map((a) => a.toSnapshot()),
+    powerups: alive(state.powerups).map((p) => p.toSnapshot()),
+
+    ufo: state.ufo && !state.ufo.dead ? state.ufo.toSnapshot() : null,
+    ufoBullets: alive(state.ufoBullets).map((l) => l.toSnapshot()),
+    ufoDebris: alive(state.ufoDebris).map((d) => d.toSnapshot()),
+    ufoSpawnTimer: state.ufoSpawnTimer,
+    ufoSpawnedThisWave: !!state.ufoSpawnedThisWave,
+    escorts: alive(state.escorts).map((u) => u.toSnapshot()),
+    boss: state.boss && !state.boss.dead ? state.boss.toSnapshot() : null,
+
+    fighters: alive(state.fighters).map((f) => f.toSnapshot()),
+    fighterShots: alive(state.fighterShots).map((s) => s.toSnapshot()),
+    squadrons: (state.squadrons ?? []).map(({ type, count }) => ({ type, count })),
+    squadronTimer: typeof state.squadronTimer === 'number' ? state.squadronTimer : null,
+
+    replay,
+    daily
+  };
+}
+
+// Rebuild one state.players entry; a ship lost before the save stays off the field.
+function restorePlayer(entry, index) {
+  const ship = Ship.fromSnapshot(entry?.ship);
+  ship.dead = !!entry.shipLost;
+
+  const player = createPlayer(index, {
+    ship,
+    lives: entry.lives ?? 1,
+    score: entry.score ?? 0,
+    kills: entry.kills ?? 0,
+    deaths: entry.deaths ?? 0
+  });
+  player.respawnTimer = typeof entry.respawnTimer === 'number' ? entry.respawnTimer : 0;
+  player.respawnTimeout = typeof entry.respawnTimeout === 'number' ? entry.respawnTimeout : 0;
+  return player;
+}
+
+/**
+ * Validate a snapshot and rebuild the run fields of a Simulation state.
+ * Throws an Error with a readable message when the save cannot be used.
+ * @param {Object} data - serializeRun() output
+ * @returns {Object} state fields (everything except highScore); `mode` is the
+ *   mode to resume into
+ */
+export function deserializeRun(data) {
+  if (!data || data.format !== RUN_SAVE_FORMAT) {
+    throw new Error('Not a Rockbuster saved run.');
+  }
+  if (data.version !== RUN_SAVE_VERSION) {
+    throw new Error(`Unsupported saved run version ${data.version} (expected ${RUN_SAVE_VERSION}).`);
+  }
+  if (typeof data.seed !== 'number' || typeof data.rngState !== 'number') {
+    throw new Error('Saved run is missing its seed.');
+  }
+  if (!Array.isArray(data.players) || data.players.length < 1 || data.players.length > getMaxPlayers()) {
+    throw new Error('Saved run has no usable players.');
+  }
+
+  const rng = new Rng(data.seed);
+  rng.setState(data.rngState);
+
+  const list = (value) => (Array.isArray(value) ? value : []);
+
+  return {
+    seed: rng.seed,
+    rng,
+    gameMode: typeof data.gameMode === 'string' ? data.gameMode : 'classic',
+    timeLeft: typeof data.timeLeft === 'number' ? data.timeLeft : null,
+    difficulty: typeof data.difficulty === 'string' ? data.difficulty : 'normal',
+    mode: RESUMABLE_MODES.includes(data.mode) ? data.mode : 'PLAY',
+    waveIntroTimer: typeof data.waveIntroTimer === 'number' ? data.waveIntroTimer : 0,
+
+    wave: data.wave ?? 0,
+    score: data.score ?? 0,
+    didBeatHighScore: !!data.didBeatHighScore,
+    powerupsCollected: data.powerupsCollected ?? 0,
+    powerupTimer: typeof data.powerupTimer === 'number' ? data.powerupTimer : null,
+
+    scoreMode: typeof data.scoreMode === 'string' ? data.scoreMode : 'shared',
+    players: data.players.map((entry, index) => restorePlayer(entry, index)),
+    bullets: list(data.bullets).map((b) => Bullet.fromSnapshot(b)),
+    asteroids: list(data.asteroids).map((a) => Asteroid.fromSnapshot(a)),
+    powerups: list(data.powerups).map((p) => PowerUp.fromSnapshot(p)),
+
+    ufo: data.ufo ? Ufo.fromSnapshot(data.ufo) : null,
+    ufoBullets: list(data.ufoBullets).map((l) => UfoLaser.fromSnapshot(l)),
+    ufoDebris: list(data.ufoDebris).map((d) => UfoDebris.fromSnapshot(d)),
+    ufoSpawnTimer: typeof data.ufoSpawnTimer === 'number' ? data.ufoSpawnTimer : null,
+    ufoSpawnedThisWave: !!data.ufoSpawnedThisWave,
+    escorts: list(data.escorts).map((u) => Ufo.fromSnapshot(u)),
+    boss: data.boss ? Mothership.fromSnapshot(data.boss) : null,
+
+    fighters: list(data.fighters).map((f) => Fighter.fromSnapshot(f)),
+    fighterShots: list(data.fighterShots).map((s) => FighterShot.fromSnapshot(s)),
+    squadrons: list(data.squadrons).map(({ type, count }) => ({ type, count })),
+    squadronTimer: typeof data.squadronTimer === 'number' ? data.squadronTimer : null
+  };
+}
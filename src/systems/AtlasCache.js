@@ -4,17 +4,24 @@
  * ---------
  * Loads and caches sprite atlases (JSON + PNG pairs) so rendering code can
  * simply look up frames by name without worrying about fetch/image lifecycles.
+ *
+ * Atlases listed in `hullPaths` also have a collision hull sidecar
+ * (`<basePath>.hulls.json`: per frame { w, h, hull: [[x, y], ...] }, convex,
+ * in source pixels around the frame center), used by CollisionShapes.
  */
 export class AtlasCache {
-  constructor(basePaths = []) {
+  constructor(basePaths = [], { hullPaths = [] } = {}) {
     this.frames = new Map();
+    this.hulls = new Map();
     this._atlasLoads = [];
     this._basePaths = basePaths;
+    this._hullPaths = hullPaths;
   }
 
-  /** Load all atlases configured for this cache. */
+  /** Load all atlases (and hull sidecars) configured for this cache. */
   loadAll() {
     this._basePaths.forEach((path) => this.loadAtlas(path));
+    this._hullPaths.forEach((path) => this.loadHulls(path));
     return Promise.all(this._atlasLoads).then(() => {});
   }
 
@@ -51,8 +58,38 @@ export class AtlasCache {
     return atlasPromise;
   }
 
+  /** Load the collision hull sidecar of an atlas given its base path (without extension). */
+  loadHulls(basePath) {
+    const jsonUrl = `${basePath}.hulls.json`;
+
+    const hullPromise = fetch(jsonUrl)
+      .then((resp) => {
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        return resp.json();
+      })
+      .then((data) => {
+        const frames = data?.frames ?? {};
+        Object.entries(frames).forEach(([name, entry]) => {
+          if (!Array.isArray(entry?.hull) || entry.hull.length < 3) return;
+          this.hulls.set(name, entry);
+        });
+      })
+      .catch((err) => {
+        // Those sprites fall back to circle collisions.
+        console.error(`❌ Failed to load collision hulls ${jsonUrl}:`, err);
+      });
+
+    this._atlasLoads.push(hullPromise);
+    return hullPromise;
+  }
+
   /** Retrieve a frame entry if it has been loaded. */
   getFrame(name) {
     return this.frames.get(name) ?? null;
   }
+
+  /** Retrieve a frame's collision hull entry ({ w, h, hull }) if it has been loaded. */
+  getHull(name) {
+    return this.hulls.get(name) ?? null;
+  }
 }
@@ -1,5 +1,14 @@
 /* ========================= src/systems/Collision.js ========================= */
 
+/*
+ * Collision modes (CONFIG.COLLISION.MODE):
+ *  - 'circle': every entity is its { x, y, r } circle (circleHit).
+ *  - 'polygon': entities with a convex hull (asteroids, ships; see
+ *    CollisionShapes.js) use it. Bounding circles are the broad phase and
+ *    the separating axis test (SAT) the narrow phase (entitiesHit).
+ * The helpers below take an optional CollisionShapes; without one they test circles.
+ */
+
 /**
  * Basic circle-vs-circle collision detection.
  *
@@ -28,6 +37,134 @@ export function circleHit(a, b) {
   return dx * dx + dy * dy <= rr;
 }
 
+/**
+ * Collision test between two entities, using their hulls when `shapes` has
+ * them and their circles otherwise.
+ *
+ * @param {Object} a - entity with { x, y, r } (and angle when it has a hull)
+ * @param {Object} b
+ * @param {CollisionShapes|null} [shapes] - hull lookup; null tests circles only
+ * @returns {boolean} True if the two shapes overlap or touch.
+ */
+export function entitiesHit(a, b, shapes = null) {
+  if (!shapes) return circleHit(a, b);
+
+  // Broad phase: circles around the whole shapes.
+  const reach = shapes.boundingRadius(a) + shapes.boundingRadius(b);
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  if (dx * dx + dy * dy > reach * reach) return false;
+
+  // Narrow phase: SAT between whichever shapes are polygons.
+  const polyA = shapes.polygonOf(a);
+  const polyB = shapes.polygonOf(b);
+  if (polyA && polyB) return polygonsOverlap(polyA, polyB);
+  if (polyA) return polygonCircleOverlap(polyA, b);
+  if (polyB) return polygonCircleOverlap(polyB, a);
+  return true; // two circles: the broad phase was exact
+}
+
+// Min / max of a flat polygon projected onto (nx, ny).
+function project(poly, nx, ny) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < poly.length; i += 2) {
+    const d = poly[i] * nx + poly[i + 1] * ny;
+    if (d < min) min = d;
+    if (d > max) max = d;
+  }
+  return { min, max };
+}
+
+// True when some edge normal of `poly` separates it from `other`.
+function hasSeparatingEdge(poly, other) {
+  const count = poly.length;
+  for (let i = 0; i < count; i += 2) {
+    const j = (i + 2) % count;
+    const nx = poly[i + 1] - poly[j + 1];
+    const ny = poly[j] - poly[i];
+    const a = project(poly, nx, ny);
+    const b = project(other, nx, ny);
+    if (a.max < b.min || b.max < a.min) return true;
+  }
+  return false;
+}
+
+/**
+ * SAT test between two convex polygons (flat [x0, y0, x1, y1, ...] in world space).
+ * @returns {boolean}
+ */
+export function polygonsOverlap(polyA, polyB) {
+  return !hasSeparatingEdge(polyA, polyB) && !hasSeparatingEdge(polyB, polyA);
+}
+
+/**
+ * SAT test between a convex polygon and a circle: the polygon's edge normals
+ * plus the axis from its nearest vertex to the circle center.
+ * @param {number[]} poly - flat [x0, y0, x1, y1, ...] in world space
+ * @param {{ x: number, y: number, r: number }} circle
+ * @returns {boolean}
+ */
+export function polygonCircleOverlap(poly, circle) {
+  const count = poly.length;
+  let nearestX = poly[0];
+  let nearestY = poly[1];
+  let nearestDist = Infinity;
+
+  for (let i = 0; i < count; i += 2) {
+    const j = (i + 2) % count;
+    let nx = poly[i + 1] - poly[j + 1];
+    let ny = poly[j] - poly[i];
+    const length = Math.hypot(nx, ny);
+    if (length > 0) {
+      nx /= length;
+      ny /= length;
+      const { min, max } = project(poly, nx, ny);
+      const center = circle.x * nx + circle.y * ny;
+      if (center + circle.r < min || center - circle.r > max) return false;
+    }
+
+    const dx = circle.x - poly[i];
+    const dy = circle.y - poly[i + 1];
+    const dist = dx * dx + dy * dy;
+    if (dist < nearestDist) {
+      nearestDist = dist;
+      nearestX = poly[i];
+      nearestY = poly[i + 1];
+    }
+  }
+
+  const length = Math.sqrt(nearestDist);
+  if (length === 0) return true; // circle center on a vertex
+  const nx = (circle.x - nearestX) / length;
+  const ny = (circle.y - nearestY) / length;
+  const { min, max } = project(poly, nx, ny);
+  const center = circle.x * nx + circle.y * ny;
+  return !(center + circle.r < min || center - circle.r > max);
+}
+
+/**
+ * Whether an entity touches a straight beam: a rectangle `width` wide from
+ * (x1, y1) to (x2, y2). Uses the entity's hull when `shapes` has one.
+ *
+ * @param {Object} entity - { x, y, r } (and angle when it has a hull)
+ * @param {{ x1: number, y1: number, x2: number, y2: number, width: number }} beam
+ * @param {CollisionShapes|null} [shapes]
+ * @returns {boolean}
+ */
+export function entityBeamHit(entity, { x1, y1, x2, y2, width }, shapes = null) {
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  if (length === 0) return false;
+
+  // Half-width offset across the beam.
+  const nx = (-(y2 - y1) / length) * (width / 2);
+  const ny = ((x2 - x1) / length) * (width / 2);
+  const beam = [x1 + nx, y1 + ny, x2 + nx, y2 + ny, x2 - nx, y2 - ny, x1 - nx, y1 - ny];
+
+  const hull = shapes?.polygonOf(entity) ?? null;
+  return hull ? polygonsOverlap(beam, hull) : polygonCircleOverlap(beam, entity);
+}
+
 /**
  * Iterate bullets vs asteroids and invoke a callback when a collision occurs.
  * The callback decides how to resolve the collision (mark dead, score, etc.).
@@ -35,13 +172,14 @@ export function circleHit(a, b) {
  * @param {Array} bullets
  * @param {Array} asteroids
  * @param {(bullet: any, asteroid: any) => void} onHit
+ * @param {CollisionShapes|null} [shapes] - asteroid hulls (polygon mode)
  */
-export function forEachBulletAsteroidHit(bullets, asteroids, onHit) {
+export function forEachBulletAsteroidHit(bullets, asteroids, onHit, shapes = null) {
   for (const b of bullets) {
     if (b.dead) continue;
     for (const a of asteroids) {
       if (a.dead) continue;
-      if (!circleHit(b, a)) continue;
+      if (!entitiesHit(b, a, shapes)) continue;
       onHit(b, a);
       break; // mirror current "one asteroid per bullet" behavior
     }
@@ -53,12 +191,50 @@ export function forEachBulletAsteroidHit(bullets, asteroids, onHit) {
  *
  * @param {Object} ship
  * @param {Array} asteroids
+ * @param {CollisionShapes|null} [shapes] - ship / asteroid hulls (polygon mode)
  * @returns {Object|null}
  */
-export function findShipAsteroidHit(ship, asteroids) {
+export function findShipAsteroidHit(ship, asteroids, shapes = null) {
   for (const a of asteroids) {
     if (a.dead) continue;
-    if (circleHit(ship, a)) return a;
+    if (entitiesHit(ship, a, shapes)) return a;
   }
   return null;
 }
+
+/**
+ * Find the first bullet that hits the ship, ignoring the ship's own bullets
+ * (versus combat).
+ *
+ * @param {Object} ship
+ * @param {Array} bullets - Bullet entities with an `owner` player index
+ * @param {number} owner - player index of the ship
+ * @param {CollisionShapes|null} [shapes] - ship hulls (polygon mode)
+ * @returns {Object|null}
+ */
+export function findShipBulletHit(ship, bullets, owner, shapes = null) {
+  for (const b of bullets) {
+    if (b.dead || b.owner === owner) continue;
+    if (entitiesHit(ship, b, shapes)) return b;
+  }
+  return null;
+}
+
+/**
+ * Check that a circular area is free of the given entities.
+ * Dead or missing entries are ignored.
+ *
+ * @param {number} x - area center
+ * @param {number} y
+ * @param {number} radius
+ * @param {Array} entities - objects with { x, y, r }
+ * @returns {boolean}
+ */
+export function isAreaClear(x, y, radius, entities) {
+  const area = { x, y, r: radius };
+  for (const e of entities) {
+    if (!e || e.dead) continue;
+    if (circleHit(area, e)) return false;
+  }
+  return true;
+}
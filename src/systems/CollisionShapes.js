@@ -0,0 +1,129 @@
+/* ========================= src/systems/CollisionShapes.js ========================= */
+import { Asteroid } from '../entities/Asteroid.js';
+import { Ship } from '../entities/Ship.js';
+
+/**
+ * CollisionShapes
+ * ---------------
+ * Convex hull polygons of the asteroid and ship sprites, placed in the world
+ * the way Renderer draws them (same frame, scale and rotation), so a hit only
+ * counts where the sprites actually touch. Entities without a hull (bullets,
+ * UFOs, power-ups) keep their circle.
+ *
+ * Hulls come from the atlas sidecars (`<atlas>.hulls.json`, loaded by
+ * AtlasCache): per frame, its size and the hull vertices in source pixels
+ * around the frame center, with the sprite facing up.
+ *
+ * Local hull layout: { points: [x0, y0, x1, y1, ...], radius }
+ *  - asteroids: in units of the asteroid radius (Renderer scales the frame width to 2r)
+ *  - ships: in pixels at the drawn scale, rotated so angle 0 faces +X
+ * `radius` is the farthest vertex, used for the broad phase.
+ */
+export class CollisionShapes {
+  /**
+   * @param {{ asteroids?: Object<string, Array<Object|null>>, asteroidTypes?: Object<string, Array<Object|null>>, ships?: Object<string, Array<Object|null>> }} hulls
+   *   asteroids: colorVariant → hull per sizeIndex; asteroidTypes: archetype with
+   *   its own sprites → hull per sizeIndex; ships: color → hull per shield tier
+   */
+  constructor({ asteroids = {}, asteroidTypes = {}, ships = {} } = {}) {
+    this.asteroids = asteroids;
+    this.asteroidTypes = asteroidTypes;
+    this.ships = ships;
+  }
+
+  /**
+   * Build the hulls of the frames Renderer draws from an AtlasCache.
+   * @param {AtlasCache} atlas
+   * @param {{ asteroidSetKeys: Object<string, string[]>, asteroidTypes?: Object<string, Object>, shipSpriteSets: Object<string, string[]>, shipScale: number }} frames
+   *   the Renderer's sprite tables and ship scale
+   * @returns {CollisionShapes}
+   */
+  static fromAtlas(atlas, { asteroidSetKeys, asteroidTypes = {}, shipSpriteSets, shipScale }) {
+    const build = (sets, toLocal) => Object.fromEntries(
+      Object.entries(sets).map(([key, names]) => [
+        key,
+        names.map((name) => {
+          const entry = atlas?.getHull?.(name);
+          return entry ? localHull(entry.hull.map((point) => toLocal(point, entry))) : null;
+        })
+      ])
+    );
+
+    const toAsteroidLocal = ([x, y], { w }) => [x / (w / 2), y / (w / 2)];
+    const typeSprites = Object.fromEntries(
+      Object.entries(asteroidTypes)
+        .filter(([, style]) => Array.isArray(style?.sprites))
+        .map(([type, style]) => [type, style.sprites])
+    );
+
+    return new CollisionShapes({
+      asteroids: build(asteroidSetKeys, toAsteroidLocal),
+      asteroidTypes: build(typeSprites, toAsteroidLocal),
+      // Sprites face up: rotate by +90° so the nose points along angle 0.
+      ships: build(shipSpriteSets, ([x, y]) => [-y * shipScale, x * shipScale])
+    });
+  }
+
+  /**
+   * @param {Object} entity
+   * @returns {Object|null} local hull of the entity (see class notes), or null for a circle
+   */
+  hullOf(entity) {
+    if (entity instanceof Asteroid) {
+      const set = this.asteroidTypes[entity.type] ?? this.asteroids[entity.colorVariant] ?? this.asteroids.brown;
+      return set?.[entity.sizeIndex] ?? null;
+    }
+    if (entity instanceof Ship) {
+      const set = this.ships[entity.color] ?? this.ships.blue;
+      if (!set) return null;
+      const tier = Math.max(0, Math.min(entity.shieldLevel ?? 0, set.length - 1));
+      return set[tier] ?? null;
+    }
+    return null;
+  }
+
+  /**
+   * Radius of the circle around the entity's shape (its hull, or its own circle).
+   * @param {Object} entity
+   * @returns {number}
+   */
+  boundingRadius(entity) {
+    const hull = this.hullOf(entity);
+    if (!hull) return entity.r;
+    return entity instanceof Asteroid ? hull.radius * entity.r : hull.radius;
+  }
+
+  /**
+   * The entity's hull in world space.
+   * @param {Object} entity
+   * @returns {number[]|null} flat [x0, y0, x1, y1, ...], or null for a circle
+   */
+  polygonOf(entity) {
+    const hull = this.hullOf(entity);
+    if (!hull) return null;
+
+    const scale = entity instanceof Asteroid ? entity.r : 1;
+    const cos = Math.cos(entity.angle ?? 0) * scale;
+    const sin = Math.sin(entity.angle ?? 0) * scale;
+    const { points } = hull;
+    const world = new Array(points.length);
+    for (let i = 0; i < points.length; i += 2) {
+      const x = points[i];
+      const y = points[i + 1];
+      world[i] = entity.x + x * cos - y * sin;
+      world[i + 1] = entity.y + x * sin + y * cos;
+    }
+    return world;
+  }
+}
+
+// Flatten hull vertices and measure their bounding radius.
+function localHull(vertices) {
+  const points = [];
+  let radius = 0;
+  for (const [x, y] of vertices) {
+    points.push(x, y);
+    radius = Math.max(radius, Math.hypot(x, y));
+  }
+  return { points, radius };
+}
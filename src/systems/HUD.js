@@ -2,7 +2,23 @@
 /**
  * Heads-Up Display (HUD)
  * Renders score, lives, and the current wave number.
- * Also shows GAME OVER messaging when appropriate.
+ * Also shows GAME OVER messaging when appropriate, and the centered banner of
+ * transitional modes (options.banner: "WAVE N", "SHIP LOST").
+ *
+ * Game-mode elements: options.modeLabel is drawn top-center (run clock or mode
+ * name), options.showLives = false hides the lives line (modes without death).
+ * options.difficultyLabel adds the run's difficulty preset under the wave line.
+ * options.showScore / options.showWave = false hide the score and wave lines
+ * (versus rounds are decided by kills, shown in the player panels).
+ * options.ghostLabel is the score against the best run's ghost ("+1,200 vs best").
+ * options.fighterLabel is the enemy fighter status ("Fighters: 3", "Squadron: 4.2s").
+ * options.bossBar ({ label, fraction, shielded }) draws the boss's health bar
+ * top-center (HudRenderer.bossHealthBar).
+ *
+ * Co-op runs (state.players has two entries) show the team score in the main
+ * column and one panel per player (options.playerPanels: { title, lines[] })
+ * in the bottom corners: P1 left, P2 right. Solo runs keep lives and
+ * hyperspace in the main column.
  *
  * NOTE ON WAVE DISPLAY:
  * - Internal state.wave starts at 0 for the first wave.
@@ -11,38 +27,100 @@
 export function drawHUD(renderer, hudRenderer, state, options = {}) {
   // --- Primary HUD (top-left) ---
   const baseX = 16;
-  let lineY = 28;
+  let lineY = 4; // every line below steps down 24px first, so the first one lands at y = 28
 
   const scoreValue = typeof state.score === 'number' ? state.score : 0;
   const highScoreValue = typeof state.highScore === 'number' ? state.highScore : 0;
+  const players = state.players ?? [];
+  const coop = players.length > 1;
 
-  renderer.text(baseX, lineY, `Score: ${scoreValue.toLocaleString()}`);
+  if (options.showScore !== false) {
+    lineY += 24;
+    renderer.text(baseX, lineY, `${coop ? 'Team Score' : 'Score'}: ${scoreValue.toLocaleString()}`);
 
-  lineY += 24;
-  renderer.text(baseX, lineY, `High Score: ${highScoreValue.toLocaleString()}`);
+    lineY += 24;
+    renderer.text(baseX, lineY, `High Score: ${highScoreValue.toLocaleString()}`);
+  }
 
-  if (state.lives !== undefined) {
+  if (!coop && players[0] && options.showLives !== false) {
     lineY += 24;
-    renderer.text(baseX, lineY, `Lives: ${state.lives}`);
+    renderer.text(baseX, lineY, `Lives: ${players[0].lives}`);
   }
 
-  lineY += 24;
-  const waveLabel = `Wave: ${(state.wave + 1).toLocaleString()}`;
-  renderer.text(baseX, lineY, waveLabel);
+  if (options.showWave !== false) {
+    lineY += 24;
+    const waveLabel = `Wave: ${(state.wave + 1).toLocaleString()}`;
+    renderer.text(baseX, lineY, waveLabel);
+  }
 
-  // --- Game Over Overlay ---
-  if (state.mode === 'GAME_OVER') {
+  if (options.difficultyLabel) {
+    lineY += 24;
+    renderer.text(baseX, lineY, options.difficultyLabel);
+  }
+
+  // --- Game Over Overlay (a banner replaces it, e.g. the versus round winner) ---
+  if (state.mode === 'GAME_OVER' && !options.banner) {
     // Centered messages
-    renderer.text(480, 240, 'GAME OVER', 48, 'center');
+    renderer.text(480, 240, state.timeLeft === 0 ? "TIME'S UP" : 'GAME OVER', 48, 'center');
     renderer.text(480, 284, `Final Score: ${state.score}`, 24, 'center');
     renderer.text(480, 320, 'Press Enter to Play Again', 18, 'center');
   }
 
+  if (options.banner) {
+    renderer.text(480, 240, options.banner.title, 48, 'center');
+    if (options.banner.subtitle) {
+      renderer.text(480, 284, options.banner.subtitle, 24, 'center');
+    }
+    if (options.banner.prompt) {
+      renderer.text(480, 320, options.banner.prompt, 18, 'center');
+    }
+  }
+
   if (options.ufoLabel) {
     lineY += 24;
     renderer.text(baseX, lineY, options.ufoLabel);
   }
 
+  if (options.fighterLabel) {
+    lineY += 24;
+    renderer.text(baseX, lineY, options.fighterLabel);
+  }
+
+  if (options.hyperspaceLabel) {
+    lineY += 24;
+    renderer.text(baseX, lineY, options.hyperspaceLabel);
+  }
+
+  if (options.ghostLabel) {
+    lineY += 24;
+    renderer.text(baseX, lineY, options.ghostLabel);
+  }
+
+  // --- Co-op player panels (bottom corners, growing upwards) ---
+  for (const [index, panel] of (options.playerPanels ?? []).entries()) {
+    const align = index % 2 === 0 ? 'left' : 'right';
+    const x = align === 'left' ? baseX : 960 - baseX;
+    let panelY = 540 - 16 - panel.lines.length * 20;
+    renderer.text(x, panelY, panel.title, 20, align);
+    for (const line of panel.lines) {
+      panelY += 20;
+      renderer.text(x, panelY, line, 16, align);
+    }
+  }
+
+  if (options.modeLabel) {
+    renderer.text(480, 28, options.modeLabel, 20, 'center');
+  }
+
+  if (options.replayLabel) {
+    renderer.text(480, options.modeLabel ? 52 : 28, options.replayLabel, 16, 'center');
+  }
+
+  if (options.bossBar && typeof hudRenderer?.bossHealthBar === 'function') {
+    const barY = 28 + (options.modeLabel ? 24 : 0) + (options.replayLabel ? 24 : 0);
+    hudRenderer.bossHealthBar({ x: 480 - 160, y: barY, width: 320, height: 12, ...options.bossBar });
+  }
+
   const { muteButton } = options;
   if (muteButton && typeof hudRenderer?.muteButton === 'function') {
     hudRenderer.muteButton(muteButton);
@@ -80,4 +80,29 @@ export class HudRenderer {
 
     ctx.restore();
   }
+
+  /**
+   * Draw the boss health bar: its name above a framed bar filled to `fraction`.
+   * While `shielded` (gun pods still standing) the fill is steel blue instead of red.
+   */
+  bossHealthBar({ x, y, width = 320, height = 12, label = '', fraction = 1, shielded = false } = {}) {
+    const { ctx } = this;
+    if (!ctx) return;
+
+    if (label) {
+      this.renderer.text(x + width / 2, y, label.toUpperCase(), 16, 'center');
+    }
+
+    const barY = y + 10;
+    const fill = Math.max(0, Math.min(1, fraction));
+    ctx.save();
+    ctx.fillStyle = 'rgba(8, 15, 35, 0.7)';
+    ctx.fillRect(x, barY, width, height);
+    ctx.fillStyle = shielded ? '#9fb3d9' : '#ef4444';
+    ctx.fillRect(x, barY, width * fill, height);
+    ctx.strokeStyle = 'rgba(217, 226, 255, 0.7)';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, barY, width, height);
+    ctx.restore();
+  }
 }
@@ -29,3 +29,126 @@ export function integrateAndWrap(entity) {
   // If y > canvas height, it reappears at the top.
   entity.y = wrap(entity.y, CONFIG.CANVAS.H);
 }
+
+/**
+ * Elastic collisions between asteroids (circles), with mass proportional to
+ * their radius (CONFIG.ASTEROID.SIZES).
+ *
+ * - Distances use the nearest wrapped copy, so asteroids touching across a
+ *   screen edge collide like any others.
+ * - Overlaps are eased apart by moving positions only (`correction` of the
+ *   overlap per call), so the push never turns into extra speed.
+ * - Split children (`separating`) pass through other split children until
+ *   they no longer overlap any, so siblings born on the same spot drift apart
+ *   at their own speed instead of being shoved.
+ * - A uniform grid (cells at least one large asteroid wide, wrapping at the
+ *   edges) keeps the pair tests near-linear for hundreds of asteroids.
+ *
+ * @param {Array} asteroids - Asteroid entities (dead ones are skipped)
+ * @param {{ restitution?: number, correction?: number }} [options]
+ *   restitution: 1 = perfectly elastic, 0 = no bounce
+ */
+export function resolveAsteroidCollisions(asteroids, { restitution = 1, correction = 0.5 } = {}) {
+  const count = asteroids.length;
+  if (count < 2) return;
+
+  const W = CONFIG.CANVAS.W;
+  const H = CONFIG.CANVAS.H;
+
+  let maxRadius = 0;
+  for (const a of asteroids) maxRadius = Math.max(maxRadius, a.r);
+  if (maxRadius <= 0) return;
+
+  // Grid: neighbors within reach of an asteroid are in its cell or the 8 around it.
+  const cols = Math.max(1, Math.floor(W / (maxRadius * 2)));
+  const rows = Math.max(1, Math.floor(H / (maxRadius * 2)));
+  const head = new Int32Array(cols * rows).fill(-1);
+  const next = new Int32Array(count);
+  const cellOf = new Int32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const a = asteroids[i];
+    const cx = Math.min(cols - 1, Math.max(0, Math.floor((a.x / W) * cols)));
+    const cy = Math.min(rows - 1, Math.max(0, Math.floor((a.y / H) * rows)));
+    const cell = cy * cols + cx;
+    cellOf[i] = cell;
+    next[i] = head[cell];
+    head[cell] = i;
+  }
+
+  // Split children that still touch a sibling this call.
+  const stillSeparating = new Uint8Array(count);
+  const visited = new Set();
+
+  for (let i = 0; i < count; i++) {
+    const a = asteroids[i];
+    if (a.dead) continue;
+
+    const cx = cellOf[i] % cols;
+    const cy = (cellOf[i] - cx) / cols;
+    visited.clear();
+
+    for (let oy = -1; oy <= 1; oy++) {
+      for (let ox = -1; ox <= 1; ox++) {
+        // Small grids wrap onto the same cell more than once.
+        const cell = ((cy + oy + rows) % rows) * cols + ((cx + ox + cols) % cols);
+        if (visited.has(cell)) continue;
+        visited.add(cell);
+
+        for (let j = head[cell]; j !== -1; j = next[j]) {
+          if (j <= i || asteroids[j].dead) continue;
+          if (collidePair(a, asteroids[j], W, H, restitution, correction)) {
+            stillSeparating[i] = 1;
+            stillSeparating[j] = 1;
+          }
+        }
+      }
+    }
+  }
+
+  for (let i = 0; i < count; i++) {
+    const a = asteroids[i];
+    if (a.separating && !stillSeparating[i]) a.separating = false;
+  }
+}
+
+// Resolve one asteroid pair. Returns true when both are separating split
+// children that still overlap (and were left alone).
+function collidePair(a, b, W, H, restitution, correction) {
+  // Nearest wrapped offset from a to b.
+  let dx = b.x - a.x;
+  let dy = b.y - a.y;
+  if (dx > W / 2) dx -= W; else if (dx < -W / 2) dx += W;
+  if (dy > H / 2) dy -= H; else if (dy < -H / 2) dy += H;
+
+  const reach = a.r + b.r;
+  const distSq = dx * dx + dy * dy;
+  if (distSq >= reach * reach) return false;
+  if (a.separating && b.separating) return true;
+
+  const dist = Math.sqrt(distSq);
+  const nx = dist > 0 ? dx / dist : 1;
+  const ny = dist > 0 ? dy / dist : 0;
+
+  const invA = 1 / a.r;
+  const invB = 1 / b.r;
+  const invSum = invA + invB;
+
+  // Ease the overlap out, the lighter asteroid moving further.
+  const push = ((reach - dist) * correction) / invSum;
+  a.x = wrap(a.x - nx * push * invA, W);
+  a.y = wrap(a.y - ny * push * invA, H);
+  b.x = wrap(b.x + nx * push * invB, W);
+  b.y = wrap(b.y + ny * push * invB, H);
+
+  // Bounce only while approaching.
+  const approach = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+  if (approach >= 0) return false;
+
+  const impulse = (-(1 + restitution) * approach) / invSum;
+  a.vx -= impulse * invA * nx;
+  a.vy -= impulse * invA * ny;
+  b.vx += impulse * invB * nx;
+  b.vy += impulse * invB * ny;
+  return false;
+}
@@ -11,16 +11,34 @@
  *  - World units are pixels in a 2D plane matching the provided canvas size
  *  - 0 radians points to the +X axis ("right"); positive rotation is CCW
  *  - Kenney sprites typically face "up" (+Y), so we rotate by +90° when needed
+ *
+ * Interpolation:
+ *  - Entities carry their pose from the start of the last fixed step
+ *    (prevX / prevY / prevAngle). With interpolation on, each draw call blends
+ *    prev → current by `alpha` (leftover accumulator / fixedDt).
+ *  - A step across a screen edge is blended the short way round (wrapDelta),
+ *    so wrapping entities glide off one edge instead of streaking back across.
+ *  - Teleports (hyperspace, respawns, wraps beyond the off-screen margin) reset
+ *    prevX / prevY where they happen, so they snap instead of sliding.
+ *
+ * Overlays:
+ *  - Asteroid archetypes (asteroidTypes) and chilled ships get a color wash,
+ *    damaged asteroids a crack frame, both clipped to the sprite's own pixels.
+ *    A UFO or mothership that was just hit flashes with a white wash.
+ *    Each combination is composed once on an offscreen canvas and cached.
  */
+import { lerpAngle, wrapDelta } from '../utils/math.js';
 
 /**
  * @typedef {Object} ShipDrawable
  * @property {number} x
  * @property {number} y
  * @property {number} angle - radians; 0 = +X
+ * @property {string} [color] - sprite color (a key of shipSpriteSets; one per player)
  * @property {number} [shieldLevel]
  * @property {number} [invuln]
  * @property {boolean} [isInvulnVisible]
+ * @property {number} [chilled] - seconds left slowed by an ice asteroid (drawn with chillTint)
  */
 
 /**
@@ -40,6 +58,8 @@
  * @property {number} angle
  * @property {string} colorVariant
  * @property {number} sizeIndex
+ * @property {string} [type] - archetype (a key of asteroidTypes)
+ * @property {number} [hitsTaken] - hits survived so far; picks the crack frame
  */
 
 /**
@@ -48,6 +68,54 @@
  * @property {number} y
  * @property {number} [r]
  * @property {string} [spriteKey]
+ * @property {number} [vx] - velocity; smoke trails the other way
+ * @property {number} [vy]
+ * @property {number} [health] - hits left; below maxHealth it trails smoke
+ * @property {number} [maxHealth]
+ * @property {number} [flash] - seconds of hit flash left
+ * @property {number} [age] - seconds on the field; animates the smoke
+ */
+
+/**
+ * @typedef {Object} UfoDebrisDrawable
+ * @property {number} x
+ * @property {number} y
+ * @property {number} r
+ * @property {number} angle
+ * @property {string} spriteKey - Parts atlas frame name without ".png"
+ * @property {number} lifetime - seconds left
+ * @property {number} maxLifetime
+ */
+
+/**
+ * @typedef {Object} FighterDrawable
+ * @property {number} x
+ * @property {number} y
+ * @property {number} r
+ * @property {number} angle - heading; 0 = +X
+ * @property {string} spriteKey - Enemies atlas frame name without ".png"
+ */
+
+/**
+ * @typedef {Object} FighterShotDrawable
+ * @property {number} x
+ * @property {number} y
+ * @property {number} r
+ * @property {number} angle - flight direction; 0 = +X
+ * @property {string} spriteKey - Lasers atlas frame name without ".png"
+ */
+
+/**
+ * @typedef {Object} MothershipDrawable
+ * @property {number} x
+ * @property {number} y
+ * @property {number} r - hull radius; the sprite is drawn 2r wide
+ * @property {string} spriteKey - ships-and-UFOs atlas frame name without ".png"
+ * @property {Array<{ dx: number, dy: number, r: number, core: boolean, spriteKey: string|null, health: number }>} zones
+ *   hit zones, offset from the center; zones at 0 health are not drawn
+ * @property {boolean} coreExposed - false draws the shield over the core
+ * @property {number} [flash] - seconds of hit flash left
+ * @property {{ angle: number, charge: number }|null} [beam] - charging while charge > 0, else firing
  */
 
 /**
@@ -64,15 +132,22 @@ export class Renderer {
     ctx,
     atlasCache,
     {
-      shipSpriteKeys,
+      shipSpriteSets,
       ufoSpriteKeys,
       playerLaserKey,
       ufoLaserKey,
       powerupKeys,
       asteroidSetKeys,
+      asteroidTypes,
+      crackKeys,
+      chillTint,
+      bossSprites,
+      ufoSmoke,
       canvasWidth,
       canvasHeight,
       defaultUfoRadius,
+      shipScale,
+      ghostAlpha,
     } = {},
   ) {
     this.ctx = ctx;
@@ -85,12 +160,23 @@ export class Renderer {
     // Default sizing for UFOs when radius is not supplied
     this.defaultUfoRadius = defaultUfoRadius ?? 20;
 
-    // Ship + UFO sprites share an atlas.
-    this.shipSpriteKeys = shipSpriteKeys ?? [
-      'playerShip1_blue.png',
-      'playerShip2_blue.png',
-      'playerShip3_blue.png',
-    ];
+    // On-screen size of ship sprites (collision hulls use the same scale)
+    this.shipScale = shipScale ?? 0.6;
+
+    // Opacity of the best-run ghost ship
+    this.ghostAlpha = ghostAlpha ?? 0.35;
+
+    // Render interpolation (see setInterpolation)
+    this.interpolationEnabled = true;
+    this.alpha = 1;
+
+    // Ship + UFO sprites share an atlas. One ship set per color (players), one sprite per shield tier.
+    this.shipSpriteSets = shipSpriteSets ?? Object.fromEntries(
+      ['blue', 'red', 'green', 'orange'].map((color) => [
+        color,
+        [1, 2, 3].map((tier) => `playerShip${tier}_${color}.png`),
+      ]),
+    );
     this.ufoSpriteKeys = (ufoSpriteKeys ?? ['ufoBlue'])
       .map((name) => `${name}.png`);
 
@@ -107,6 +193,64 @@ export class Renderer {
       brown: ['meteorBrown_big1.png', 'meteorBrown_med1.png', 'meteorBrown_small1.png'],
       grey: ['meteorGrey_big1.png', 'meteorGrey_med1.png', 'meteorGrey_small1.png'],
     };
+    // Per archetype: { tint?, tintAlpha?, sprites? } (sprites replace the color set).
+    this.asteroidTypes = asteroidTypes ?? {};
+    // Crack frames for 1, 2, 3+ hits taken (the Damage atlas).
+    this.crackKeys = crackKeys ?? [1, 2, 3].map((n) => `playerShip2_damage${n}.png`);
+    this.chillTint = chillTint ?? '#8fe3ff';
+    // Mothership extras: core shield, beam segment (tiled) and beam charge glow; beam width + length in px.
+    this.bossSprites = {
+      shield: 'shield3',
+      beam: 'beamLong2',
+      beamCharge: 'beam3',
+      beamWidth: 28,
+      beamLength: 1200,
+      ...bossSprites,
+    };
+
+    // Smoke behind damaged UFOs: most puffs, trail length (px), seconds per puff, fill.
+    this.ufoSmoke = {
+      puffs: 6,
+      trail: 42,
+      period: 0.9,
+      color: '#8c8c8c',
+      ...ufoSmoke,
+    };
+
+    // Composed overlay frames (see _overlaidFrame)
+    this._overlayCache = new Map();
+  }
+
+  /**
+   * Configure interpolation for the frame about to be drawn.
+   * @param {number} alpha - 0..1 progress from the previous fixed step to the current one
+   * @param {boolean} [enabled] - false draws raw simulation positions
+   */
+  setInterpolation(alpha, enabled = this.interpolationEnabled) {
+    this.interpolationEnabled = !!enabled;
+    this.alpha = Math.max(0, Math.min(1, alpha));
+  }
+
+  /**
+   * Pose to draw an entity at this frame (interpolated when enabled).
+   * Drawables without prevX/prevY are drawn as-is.
+   * @returns {{x:number, y:number, angle:number|undefined}}
+   */
+  _pose(e) {
+    const alpha = this.alpha;
+    if (!this.interpolationEnabled || alpha >= 1 || typeof e.prevX !== 'number') {
+      return { x: e.x, y: e.y, angle: e.angle };
+    }
+
+    // Across a screen edge, blend from the previous pose the short way round.
+    const dx = wrapDelta(e.x - e.prevX, this.canvasWidth);
+    const dy = wrapDelta(e.y - e.prevY, this.canvasHeight);
+
+    const angle = typeof e.angle === 'number' && typeof e.prevAngle === 'number'
+      ? lerpAngle(e.prevAngle, e.angle, alpha)
+      : e.angle;
+
+    return { x: e.prevX + dx * alpha, y: e.prevY + dy * alpha, angle };
   }
 
   /**
@@ -119,32 +263,31 @@ export class Renderer {
   }
 
   /**
-   * Draw the player's ship at (ship.x, ship.y) with rotation ship.angle.
-   * - Picks a ship sprite by shield level (0..2).
+   * Draw a player's ship at (ship.x, ship.y) with rotation ship.angle.
+   * - Picks the sprite set by ship color (blue when missing) and the sprite by shield level (0..2).
    * - Applies a blink/alpha effect while the ship is invulnerable.
    * @param {ShipDrawable} ship
    */
   ship(ship) {
     const { ctx } = this;
 
+    const set = this.shipSpriteSets[ship.color] || this.shipSpriteSets.blue;
+
     // Choose sprite tier based on shield level; fall back safely.
     const tier = typeof ship.shieldLevel === 'number'
-      ? Math.max(0, Math.min(ship.shieldLevel, this.shipSpriteKeys.length - 1))
+      ? Math.max(0, Math.min(ship.shieldLevel, set.length - 1))
       : 0;
+    const spriteKey = set[tier] ?? set[0];
 
-    // If a sprite was explicitly selected via setShipSpriteForShieldLevel(), prefer that,
-    // otherwise derive by current shield tier.
-    const spriteKey = this.currentShipSpriteKey
-      ?? this.shipSpriteKeys?.[tier]
-      ?? this.shipSpriteKeys?.[0];
-
-    const frame = this._getFrame(spriteKey);
+    const frame = ship.chilled > 0
+      ? this._overlaidFrame(spriteKey, { tint: this.chillTint, tintAlpha: 0.5 })
+      : this._getFrame(spriteKey);
     if (!frame) return; // skip until loaded
 
     const { frame: src } = frame;
     const w = src.w;
     const h = src.h;
-    const scale = 0.6; // size tuning for on-screen balance
+    const scale = this.shipScale;
 
     // Blink/alpha while invulnerable
     const isInvulnerable = ship.invuln > 0;
@@ -157,8 +300,9 @@ export class Renderer {
     }
 
     // Position + rotate (Kenney ships face "up", so add +90°)
-    ctx.translate(ship.x, ship.y);
-    ctx.rotate(ship.angle + Math.PI / 2);
+    const pose = this._pose(ship);
+    ctx.translate(pose.x, pose.y);
+    ctx.rotate(pose.angle + Math.PI / 2);
 
     // Center the sprite around the ship’s origin
     this._drawFrame(frame, -w / 2 * scale, -h / 2 * scale, w * scale, h * scale);
@@ -166,17 +310,15 @@ export class Renderer {
   }
 
   /**
-   * Helper to explicitly choose a ship sprite by shield level.
-   * Call this whenever the level changes to keep visuals in sync.
+   * Draw the translucent ghost of the best run's ship (lowest shield tier, no blink).
+   * @param {ShipDrawable} ship
    */
-  setShipSpriteForShieldLevel(level = 0) {
-    const shipSprites = this.shipSpriteKeys ?? [];
-    if (!shipSprites.length) {
-      this.currentShipSpriteKey = undefined;
-      return;
-    }
-    const idx = Math.max(0, Math.min(level, shipSprites.length - 1));
-    this.currentShipSpriteKey = shipSprites[idx];
+  ghostShip(ship) {
+    const { ctx } = this;
+    ctx.save();
+    ctx.globalAlpha = this.ghostAlpha;
+    this.ship({ ...ship, shieldLevel: 0, invuln: 0 });
+    ctx.restore();
   }
 
   /**
@@ -190,8 +332,9 @@ export class Renderer {
     const frame = this._getFrame(this.playerLaserKey);
     if (!frame) return;
 
-    const ang = (typeof b.angle === 'number')
-      ? b.angle
+    const pose = this._pose(b);
+    const ang = (typeof pose.angle === 'number')
+      ? pose.angle
       : Math.atan2(b.vy, b.vx); // fallback to motion vector
 
     const w = frame.frame.w;
@@ -199,7 +342,7 @@ export class Renderer {
     const scale = 0.5; // visual tuning
 
     ctx.save();
-    ctx.translate(b.x, b.y);
+    ctx.translate(pose.x, pose.y);
     ctx.rotate(ang + Math.PI / 2); // sprite faces +Y; game 0 rad = +X
 
     // Draw centered for clean rotation
@@ -207,7 +350,7 @@ export class Renderer {
     ctx.restore();
   }
 
-  /** Draw the UFO enemy using its selected sprite.
+  /** Draw the UFO enemy using its selected sprite, trailing smoke once damaged.
    * @param {UfoDrawable} ufo
    */
   ufo(ufo) {
@@ -216,42 +359,232 @@ export class Renderer {
     const key = ufo.spriteKey && this.ufoSpriteKeys.includes(`${ufo.spriteKey}.png`)
       ? `${ufo.spriteKey}.png`
       : fallbackKey;
-    const frame = this._getFrame(key);
+    const frame = ufo.flash > 0
+      ? this._overlaidFrame(key, { tint: '#ffffff', tintAlpha: 0.6 })
+      : this._getFrame(key);
     if (!frame) return;
 
     const diameter = (ufo.r ?? this.defaultUfoRadius) * 2;
     const scale = diameter / Math.max(frame.frame.w, frame.frame.h);
 
+    const pose = this._pose(ufo);
+
+    const lost = ufo.maxHealth > 0 ? 1 - Math.max(0, ufo.health) / ufo.maxHealth : 0;
+    if (lost > 0) this._ufoSmoke(pose, ufo, lost);
+
     ctx.save();
-    ctx.translate(ufo.x, ufo.y);
+    ctx.translate(pose.x, pose.y);
     this._drawFrame(frame, -frame.frame.w / 2 * scale, -frame.frame.h / 2 * scale, frame.frame.w * scale, frame.frame.h * scale);
     ctx.restore();
   }
 
+  // Puffs of smoke drifting back from a damaged UFO, more and thicker the
+  // larger the share of its health it has `lost`. Each puff swells and fades
+  // as it travels the trail.
+  _ufoSmoke(pose, ufo, lost) {
+    const { ctx } = this;
+    const { puffs, trail, period, color } = this.ufoSmoke;
+    const count = Math.ceil(puffs * lost);
+    const speed = Math.hypot(ufo.vx ?? 0, ufo.vy ?? 0);
+    // Behind the UFO; straight up while it hovers.
+    const bx = speed > 0 ? -ufo.vx / speed : 0;
+    const by = speed > 0 ? -ufo.vy / speed : -1;
+    const r = ufo.r ?? this.defaultUfoRadius;
+
+    ctx.save();
+    ctx.fillStyle = color;
+    for (let i = 0; i < count; i++) {
+      const t = ((ufo.age ?? 0) / period + i / count) % 1; // 0: just puffed, 1: gone
+      ctx.globalAlpha = (1 - t) * (0.25 + 0.35 * lost);
+      ctx.beginPath();
+      ctx.arc(pose.x + bx * trail * t, pose.y + by * trail * t, r * (0.25 + 0.35 * t), 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw a wreck fragment of a destroyed UFO, fading out over the second half
+   * of its life.
+   * @param {UfoDebrisDrawable} debris
+   */
+  ufoDebris(debris) {
+    const { ctx } = this;
+    const frame = this._getFrame(`${debris.spriteKey}.png`);
+    if (!frame) return;
+
+    const { w, h } = frame.frame;
+    const scale = (debris.r * 2) / Math.max(w, h);
+    const pose = this._pose(debris);
+
+    ctx.save();
+    ctx.globalAlpha = Math.min(1, (2 * debris.lifetime) / debris.maxLifetime);
+    ctx.translate(pose.x, pose.y);
+    ctx.rotate(pose.angle);
+    this._drawFrame(frame, -w / 2 * scale, -h / 2 * scale, w * scale, h * scale);
+    ctx.restore();
+  }
+
   /** Draw a laser fired by the UFO. */
   ufoLaser(laser) {
     const { ctx } = this;
     const frame = this._getFrame(this.ufoLaserKey);
     if (!frame) return;
 
-    const angle = typeof laser.angle === 'number'
-      ? laser.angle
+    const pose = this._pose(laser);
+    const angle = typeof pose.angle === 'number'
+      ? pose.angle
       : Math.atan2(laser.vy, laser.vx);
 
     const diameter = (laser.r ?? 6) * 2;
     const scale = diameter / Math.max(frame.frame.w, frame.frame.h);
 
     ctx.save();
-    ctx.translate(laser.x, laser.y);
+    ctx.translate(pose.x, pose.y);
     ctx.rotate(angle + Math.PI / 2);
     this._drawFrame(frame, -frame.frame.w / 2 * scale, -frame.frame.h / 2 * scale, frame.frame.w * scale, frame.frame.h * scale);
     ctx.restore();
   }
 
+  /**
+   * Draw an enemy fighter, nose along its heading.
+   * Kenney enemy sprites face "down" (+Y), so rotate by -90°.
+   * @param {FighterDrawable} fighter
+   */
+  fighter(fighter) {
+    const { ctx } = this;
+    const frame = this._getFrame(`${fighter.spriteKey}.png`);
+    if (!frame) return;
+
+    const { w, h } = frame.frame;
+    const scale = (fighter.r * 2) / Math.max(w, h);
+    const pose = this._pose(fighter);
+
+    ctx.save();
+    ctx.translate(pose.x, pose.y);
+    ctx.rotate(pose.angle - Math.PI / 2);
+    this._drawFrame(frame, -w / 2 * scale, -h / 2 * scale, w * scale, h * scale);
+    ctx.restore();
+  }
+
+  /**
+   * Draw a fighter's shot, rotated to its flight direction.
+   * @param {FighterShotDrawable} shot
+   */
+  fighterShot(shot) {
+    const { ctx } = this;
+    const frame = this._getFrame(`${shot.spriteKey}.png`);
+    if (!frame) return;
+
+    const { w, h } = frame.frame;
+    const scale = (shot.r * 2) / Math.max(w, h);
+    const pose = this._pose(shot);
+
+    ctx.save();
+    ctx.translate(pose.x, pose.y);
+    ctx.rotate(pose.angle + Math.PI / 2);
+    this._drawFrame(frame, -w / 2 * scale, -h / 2 * scale, w * scale, h * scale);
+    ctx.restore();
+  }
+
+  /**
+   * Draw a boss mothership: its beam (under the hull), the gun pods still
+   * standing, the hull, and the shield over the core until the pods are gone.
+   * Kenney gun sprites face "up", so pods are turned to hang below the hull.
+   * @param {MothershipDrawable} boss
+   */
+  mothership(boss) {
+    const { ctx } = this;
+    const pose = this._pose(boss);
+
+    if (boss.beam) this._bossBeam(pose, boss.beam);
+
+    for (const zone of boss.zones) {
+      if (zone.core || zone.health <= 0 || !zone.spriteKey) continue;
+      const frame = this._getFrame(`${zone.spriteKey}.png`);
+      if (!frame) continue;
+      const { w, h } = frame.frame;
+      const scale = (zone.r * 2) / Math.max(w, h);
+      ctx.save();
+      ctx.translate(pose.x + zone.dx, pose.y + zone.dy);
+      ctx.rotate(Math.PI);
+      this._drawFrame(frame, -w / 2 * scale, -h / 2 * scale, w * scale, h * scale);
+      ctx.restore();
+    }
+
+    const hullKey = `${boss.spriteKey}.png`;
+    const hull = boss.flash > 0
+      ? this._overlaidFrame(hullKey, { tint: '#ffffff', tintAlpha: 0.6 })
+      : this._getFrame(hullKey);
+    if (hull) {
+      const { w, h } = hull.frame;
+      const scale = (boss.r * 2) / Math.max(w, h);
+      ctx.save();
+      ctx.translate(pose.x, pose.y);
+      this._drawFrame(hull, -w / 2 * scale, -h / 2 * scale, w * scale, h * scale);
+      ctx.restore();
+    }
+
+    const core = boss.zones.find((zone) => zone.core);
+    const shield = !boss.coreExposed && core ? this._getFrame(`${this.bossSprites.shield}.png`) : null;
+    if (shield) {
+      const { w, h } = shield.frame;
+      const scale = (core.r * 2.4) / Math.max(w, h);
+      ctx.save();
+      ctx.globalAlpha = 0.7;
+      ctx.translate(pose.x + core.dx, pose.y + core.dy);
+      this._drawFrame(shield, -w / 2 * scale, -h / 2 * scale, w * scale, h * scale);
+      ctx.restore();
+    }
+  }
+
+  // The boss beam from the hull's center: a growing glow while it charges,
+  // then the beam sprite tiled along its length.
+  _bossBeam(pose, { angle, charge }) {
+    const { ctx } = this;
+    const { beam: beamKey, beamCharge: chargeKey, beamWidth, beamLength } = this.bossSprites;
+
+    ctx.save();
+    ctx.translate(pose.x, pose.y);
+    ctx.rotate(angle - Math.PI / 2); // +Y now runs along the beam
+
+    if (charge > 0) {
+      // Thin aiming line, and a glow that swells as the charge completes.
+      ctx.globalAlpha = 0.35;
+      ctx.strokeStyle = '#ff6b6b';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(0, beamLength);
+      ctx.stroke();
+
+      const glow = this._getFrame(`${chargeKey}.png`);
+      if (glow) {
+        const { w, h } = glow.frame;
+        const size = beamWidth * (1 + Math.max(0, 2 - charge));
+        const scale = size / Math.max(w, h);
+        ctx.globalAlpha = 0.9;
+        this._drawFrame(glow, -w / 2 * scale, -h / 2 * scale, w * scale, h * scale);
+      }
+    } else {
+      const frame = this._getFrame(`${beamKey}.png`);
+      if (frame) {
+        const { w, h } = frame.frame;
+        const scale = beamWidth / w;
+        const step = h * scale;
+        for (let y = 0; y < beamLength; y += step) {
+          this._drawFrame(frame, -beamWidth / 2, y, beamWidth, step + 1);
+        }
+      }
+    }
+    ctx.restore();
+  }
+
   /**
    * Draw an asteroid:
-   * - Picks the color set (brown/grey) from a.colorVariant
+   * - Picks the archetype's sprites, else the color set (brown/grey) from a.colorVariant
    * - Picks size sprite by a.sizeIndex (0=large,1=med,2=small)
+   * - Washes it with the archetype's tint and overlays cracks for a.hitsTaken
    * - Scales sprite to match collision radius "a.r"
    * @param {AsteroidDrawable} a
    */
@@ -259,18 +592,26 @@ export class Renderer {
     const { ctx } = this;
 
     // Choose sprite set + size; fall back to brown large if missing.
-    const set = this.asteroidSetKeys[a.colorVariant] || this.asteroidSetKeys.brown;
+    const style = this.asteroidTypes[a.type] ?? null;
+    const set = style?.sprites ?? this.asteroidSetKeys[a.colorVariant] ?? this.asteroidSetKeys.brown;
     const frameKey = set[a.sizeIndex] || set[0];
-    const frame = this._getFrame(frameKey);
+    const crackKey = a.hitsTaken > 0
+      ? this.crackKeys[Math.min(a.hitsTaken, this.crackKeys.length) - 1] ?? null
+      : null;
+    const frame = style?.tint || crackKey
+      ? this._overlaidFrame(frameKey, { tint: style?.tint, tintAlpha: style?.tintAlpha, crackKey })
+      : this._getFrame(frameKey);
     if (!frame) return;
 
     // Compute uniform scale so that sprite diameter ~= 2*a.r
     const radius = a.r;
     const scale = (radius * 2) / frame.frame.w;
 
+    const pose = this._pose(a);
+
     ctx.save();
-    ctx.translate(a.x, a.y);
-    ctx.rotate(a.angle);
+    ctx.translate(pose.x, pose.y);
+    ctx.rotate(pose.angle);
     this._drawFrame(frame, -frame.frame.w / 2 * scale, -frame.frame.h / 2 * scale, frame.frame.w * scale, frame.frame.h * scale);
     ctx.restore();
   }
@@ -286,9 +627,11 @@ export class Renderer {
     const frameKey = this.powerupKeys[p.type] || this.powerupKeys.tripleShot;
     const frame = this._getFrame(frameKey);
 
+    const pose = this._pose(p);
+
     ctx.save();
-    ctx.translate(p.x, p.y);
-    ctx.rotate(p.angle);
+    ctx.translate(pose.x, pose.y);
+    ctx.rotate(pose.angle);
 
     if (frame) {
       const { w, h } = frame.frame;
@@ -328,18 +671,18 @@ export class Renderer {
    * High-level frame renderer that clears the canvas and draws entities from a snapshot.
    *
    * @param {Object} snapshot
-   * @param {ShipDrawable} [snapshot.ship]
+   * @param {ShipDrawable[]} [snapshot.ships]
    * @param {BulletDrawable[]} [snapshot.bullets]
    * @param {AsteroidDrawable[]} [snapshot.asteroids]
    * @param {UfoDrawable[]} [snapshot.ufos]
    * @param {PowerUpDrawable[]} [snapshot.powerUps]
    */
   renderFrame(snapshot = {}) {
-    const { ship, bullets, asteroids, ufos, powerUps } = snapshot;
+    const { ships, bullets, asteroids, ufos, powerUps } = snapshot;
 
     this.clear();
 
-    if (ship) this.ship(ship);
+    for (const s of ships ?? []) this.ship(s);
     for (const b of bullets ?? []) this.bullet(b);
     for (const a of asteroids ?? []) this.asteroid(a);
     for (const u of ufos ?? []) this.ufo(u);
@@ -351,10 +694,54 @@ export class Renderer {
     return this.atlas?.getFrame(name) ?? null;
   }
 
-  /** Draw a sprite frame from an atlas. */
+  /**
+   * A frame with a color wash and/or a crack frame drawn over it, clipped to
+   * the sprite's pixels. Falls back to the plain frame until everything it
+   * needs has loaded.
+   * @param {string} frameKey
+   * @param {{ tint?: string, tintAlpha?: number, crackKey?: string|null }} overlay
+   * @returns {Object|null} frame entry (image + source rect), like _getFrame
+   */
+  _overlaidFrame(frameKey, { tint = null, tintAlpha = 0.5, crackKey = null } = {}) {
+    const cacheKey = `${frameKey}|${tint}|${tintAlpha}|${crackKey}`;
+    const cached = this._overlayCache.get(cacheKey);
+    if (cached) return cached;
+
+    const frame = this._getFrame(frameKey);
+    const crack = crackKey ? this._getFrame(crackKey) : null;
+    if (!frame?.image?.complete || (crackKey && !crack?.image?.complete)) return frame;
+    if (typeof document === 'undefined') return frame;
+
+    const { x, y, w, h } = frame.frame;
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const c = canvas.getContext('2d');
+    c.drawImage(frame.image, x, y, w, h, 0, 0, w, h);
+
+    // source-atop keeps the sprite's silhouette: overlays only land on its pixels.
+    c.globalCompositeOperation = 'source-atop';
+    if (tint) {
+      c.globalAlpha = tintAlpha;
+      c.fillStyle = tint;
+      c.fillRect(0, 0, w, h);
+      c.globalAlpha = 1;
+    }
+    if (crack) {
+      const src = crack.frame;
+      c.drawImage(crack.image, src.x, src.y, src.w, src.h, 0, 0, w, h);
+    }
+
+    const entry = { image: canvas, frame: { x: 0, y: 0, w, h } };
+    this._overlayCache.set(cacheKey, entry);
+    return entry;
+  }
+
+  /** Draw a sprite frame from an atlas (or a composed overlay canvas). */
   _drawFrame(frame, dx, dy, dw, dh) {
     const { image, frame: src } = frame;
-    if (!image || !image.complete || !src) return;
+    // Canvases have no `complete`; only a still-loading image does.
+    if (!image || image.complete === false || !src) return;
 
     this.ctx.drawImage(
       image,
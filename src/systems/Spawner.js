@@ -1,47 +1,312 @@
 /* ========================= src/systems/Spawner.js ========================= */
 import { Asteroid } from '../entities/Asteroid.js';
 import { PowerUp } from '../entities/PowerUp.js';
+import { Fighter } from '../entities/Fighter.js';
+import { Mothership } from '../entities/Mothership.js';
+import { UfoDebris } from '../entities/UfoDebris.js';
 import { CONFIG } from '../config.js';
 
+/**
+ * Spawn the asteroid field for state.wave.
+ * All rolls come from state.rng so a seed reproduces the same layout.
+ * Balance numbers come from the run's config (state.config, see core/difficulty.js).
+ * Each asteroid's archetype is rolled from CONFIG.ASTEROID.TYPES, weighted for the wave.
+ * @returns {number} asteroids spawned
+ */
 export function spawnWave(state) {
-  const count = CONFIG.WAVES.START_COUNT + state.wave * CONFIG.WAVES.GROWTH;
-  const speedMultiplier = 1 + state.wave * CONFIG.ASTEROID.SPEED_GROWTH_PER_WAVE;
+  const { rng } = state;
+  const config = state.config ?? CONFIG;
+  const count = config.WAVES.START_COUNT + state.wave * config.WAVES.GROWTH;
+  const speedMultiplier = 1 + state.wave * config.ASTEROID.SPEED_GROWTH_PER_WAVE;
+  const typeWeights = waveWeights(config.ASTEROID.TYPES, state.wave);
   for (let i = 0; i < count; i++) {
-    const { x, y } = randomEdgeSpawn(CONFIG.CANVAS.W, CONFIG.CANVAS.H, CONFIG.POWERUP.OFFSCREEN_MARGIN);
-    const colorVariant = Math.random() < 0.5 ? 'brown' : 'grey';
+    const { x, y } = randomEdgeSpawn(config.CANVAS.W, config.CANVAS.H, config.POWERUP.OFFSCREEN_MARGIN, rng);
+    const colorVariant = rng.next() < 0.5 ? 'brown' : 'grey';
+    const type = pickWeighted(typeWeights, rng, 'rock');
     state.asteroids.push(new Asteroid(x, y, 0, {
+      type,
       colorVariant,
-      speedMultiplier
+      speedMultiplier,
+      rng
     }));
   }
+  return count;
 }
 
 /**
- * Possibly spawns power-ups for this wave based on CONFIG.POWERUP rules.
+ * Possibly spawns power-ups for this wave based on the run's POWERUP rules (state.config).
  * Each configured type rolls independently, so multiple pickups can appear in one wave.
  * Call once when a new wave starts (after spawnWave).
+ * @param {Object} state
+ * @param {{ disabledTypes?: string[] }} [options] - types that never spawn (game mode rules)
+ * @returns {PowerUp[]} the power-ups added this wave
  */
-export function maybeSpawnPowerUp(state) {
-  const types = CONFIG.POWERUP.types ?? {};
+export function maybeSpawnPowerUp(state, { disabledTypes = [] } = {}) {
+  const { rng } = state;
+  const config = state.config ?? CONFIG;
+  const types = config.POWERUP.types ?? {};
+  const spawned = [];
 
   for (const [type, rules] of Object.entries(types)) {
-    if (!shouldSpawnType(rules, state.wave)) continue;
+    if (disabledTypes.includes(type)) continue;
+    if (!shouldSpawnType(rules, state.wave, rng)) continue;
 
     const { x, y } = randomEdgeSpawn(
-      CONFIG.CANVAS.W,
-      CONFIG.CANVAS.H,
-      CONFIG.POWERUP.OFFSCREEN_MARGIN
+      config.CANVAS.W,
+      config.CANVAS.H,
+      config.POWERUP.OFFSCREEN_MARGIN,
+      rng
+    );
+    const powerup = new PowerUp(x, y, type, rng);
+    state.powerups.push(powerup);
+    spawned.push(powerup);
+  }
+  return spawned;
+}
+
+/**
+ * Spawn one power-up of a random type at the screen edge (timed drops, see the
+ * game mode rule `powerupInterval`). Rolls come from state.rng.
+ * @param {Object} state
+ * @param {{ disabledTypes?: string[] }} [options] - types that never spawn (game mode rules)
+ * @returns {PowerUp|null} the power-up added, or null when every type is disabled
+ */
+export function spawnTimedPowerUp(state, { disabledTypes = [] } = {}) {
+  const { rng } = state;
+  const config = state.config ?? CONFIG;
+  const types = Object.keys(config.POWERUP.types ?? {}).filter((type) => !disabledTypes.includes(type));
+  if (types.length === 0) return null;
+
+  const { x, y } = randomEdgeSpawn(
+    config.CANVAS.W,
+    config.CANVAS.H,
+    config.POWERUP.OFFSCREEN_MARGIN,
+    rng
+  );
+  const powerup = new PowerUp(x, y, rng.pick(types), rng);
+  state.powerups.push(powerup);
+  return powerup;
+}
+
+/**
+ * Drop one power-up of a random type at a point (gold asteroids, UFO loot).
+ * Rolls come from state.rng.
+ * @param {Object} state
+ * @param {number} x
+ * @param {number} y
+ * @param {{ disabledTypes?: string[], weights?: Object<string, number> }} [options]
+ *   disabledTypes: types that never spawn (game mode rules); weights: type →
+ *   weight of the roll (unlisted types never drop; default: all alike)
+ * @returns {PowerUp|null} the power-up added, or null when every type is disabled
+ */
+export function spawnPowerUpAt(state, x, y, { disabledTypes = [], weights = null } = {}) {
+  const { rng } = state;
+  const config = state.config ?? CONFIG;
+  const types = Object.keys(config.POWERUP.types ?? {}).filter((type) => !disabledTypes.includes(type));
+  if (types.length === 0) return null;
+
+  let type = null;
+  if (weights) {
+    type = pickWeighted(types.filter((t) => weights[t] > 0).map((t) => [t, weights[t]]), rng, null);
+    if (!type) return null;
+  } else {
+    type = rng.pick(types);
+  }
+
+  const powerup = new PowerUp(x, y, type, rng);
+  state.powerups.push(powerup);
+  return powerup;
+}
+
+/**
+ * Plan the fighter squadrons of state.wave: the wave's budget
+ * (CONFIG.FIGHTERS.BUDGET) is spent on squadrons of a random type each, every
+ * fighter costing its type's `cost`, until nothing more is affordable.
+ * Rolls come from state.rng; balance numbers from the run's config.
+ * @param {Object} state
+ * @returns {Array<{ type: string, count: number }>} squadrons in arrival order
+ */
+export function planSquadrons(state) {
+  const { rng } = state;
+  const config = state.config ?? CONFIG;
+  const F = config.FIGHTERS;
+  if (!F || state.wave < (F.START_WAVE ?? 0)) return [];
+
+  const waves = state.wave - (F.START_WAVE ?? 0);
+  let budget = Math.floor(Math.min(
+    F.BUDGET?.MAX ?? Infinity,
+    (F.BUDGET?.START ?? 0) + waves * (F.BUDGET?.GROWTH_PER_WAVE ?? 0)
+  ));
+  const minSize = Math.max(1, F.SQUADRON_SIZE?.MIN ?? 1);
+  const maxSize = Math.max(minSize, F.SQUADRON_SIZE?.MAX ?? minSize);
+
+  const squadrons = [];
+  for (;;) {
+    const affordable = Object.entries(F.types ?? {}).filter(([, rules]) =>
+      state.wave >= (rules.minWave ?? 0) && (rules.cost ?? 1) <= budget
     );
-    state.powerups.push(new PowerUp(x, y, type));
+    if (affordable.length === 0) break;
+
+    const [type, rules] = rng.pick(affordable);
+    const cost = Math.max(1, rules.cost ?? 1);
+    const size = minSize + rng.int(maxSize - minSize + 1);
+    const count = Math.max(1, Math.min(size, Math.floor(budget / cost)));
+    budget -= count * cost;
+    squadrons.push({ type, count });
+  }
+  return squadrons;
+}
+
+/**
+ * Roll which saucer variant (key of CONFIG.UFO.VARIANTS) the wave's UFO is,
+ * weighted for state.wave. Rolls come from state.rng.
+ * @param {Object} state
+ * @returns {string}
+ */
+export function pickUfoVariant(state) {
+  const config = state.config ?? CONFIG;
+  return pickWeighted(waveWeights(config.UFO.VARIANTS, state.wave), state.rng, 'large');
+}
+
+/**
+ * Leave the loot of a destroyed UFO where it blew up: maybe a power-up, and
+ * the wreck's debris (CONFIG.UFO.LOOT, with the variant's `loot` overrides).
+ * Fragments fly out all round, carrying some of the UFO's momentum, and are
+ * added to state.ufoDebris. Rolls come from state.rng.
+ * @param {Object} state
+ * @param {import('../entities/Ufo.js').Ufo} ufo
+ * @param {{ disabledTypes?: string[] }} [options] - power-up types that never drop (game mode rules)
+ * @returns {{ powerUp: PowerUp|null, debris: UfoDebris[] }}
+ */
+export function spawnUfoLoot(state, ufo, { disabledTypes = [] } = {}) {
+  const { rng } = state;
+  const config = state.config ?? CONFIG;
+  const base = config.UFO.LOOT ?? {};
+  const own = config.UFO.VARIANTS?.[ufo.variant]?.loot ?? {};
+  const loot = { ...base, ...own, debris: { ...base.debris, ...own.debris } };
+
+  const powerUp = rng.chance(loot.powerUpChance ?? 0)
+    ? spawnPowerUpAt(state, ufo.x, ufo.y, { disabledTypes, weights: loot.powerUps ?? null })
+    : null;
+
+  const rules = loot.debris;
+  const spriteSets = config.UFO.DEBRIS_SPRITES ?? {};
+  const sprites = spriteSets[ufo.spriteKey] ?? Object.values(spriteSets)[0] ?? [];
+  const count = Math.max(0, Math.floor(rules.count ?? 0));
+  const debris = [];
+  for (let i = 0; i < count; i++) {
+    // Evenly spread round the wreck, each a little off its slot.
+    const angle = ((i + rng.next()) / count) * Math.PI * 2;
+    const speed = rng.range(rules.speedMin ?? 0, rules.speedMax ?? 0);
+    debris.push(new UfoDebris({
+      x: ufo.x,
+      y: ufo.y,
+      vx: Math.cos(angle) * speed + ufo.vx * 0.5,
+      vy: Math.sin(angle) * speed + ufo.vy * 0.5,
+      r: rules.radius ?? 6,
+      spriteKey: sprites[i % sprites.length] ?? null,
+      angle: rng.next() * Math.PI * 2,
+      spin: rng.range(-(rules.spin ?? 0), rules.spin ?? 0),
+      lifetime: rules.lifetime ?? 1
+    }));
+  }
+  state.ufoDebris.push(...debris);
+  return { powerUp, debris };
+}
+
+/**
+ * Bring in the boss of a boss wave: a mothership entering through the middle
+ * of the top edge, tougher for every boss before it (CONFIG.BOSS.HEALTH_GROWTH).
+ * @param {Object} state
+ * @returns {Mothership} the boss, also stored as state.boss
+ */
+export function spawnBoss(state) {
+  const config = state.config ?? CONFIG;
+  const B = config.BOSS;
+  const earlierBosses = Math.max(0, Math.floor((state.wave + 1) / B.EVERY_N_WAVES) - 1);
+  state.boss = new Mothership({
+    x: config.CANVAS.W / 2,
+    y: -B.RADIUS,
+    healthScale: 1 + earlierBosses * (B.HEALTH_GROWTH ?? 0)
+  });
+  return state.boss;
+}
+
+/**
+ * Fly a squadron in from a random screen edge, side by side and heading
+ * across the field. Rolls come from state.rng.
+ * @param {Object} state
+ * @param {{ type: string, count: number }} squadron - planSquadrons() entry
+ * @returns {Fighter[]} the fighters added
+ */
+export function spawnSquadron(state, { type, count }) {
+  const { rng } = state;
+  const config = state.config ?? CONFIG;
+  const F = config.FIGHTERS;
+  const { W, H } = config.CANVAS;
+  const margin = F.OFFSCREEN_MARGIN ?? 0;
+  const spacing = F.SQUADRON_SPACING ?? 0;
+
+  // Enter through the middle of an edge, facing into the field.
+  const edge = rng.int(4);
+  const along = 0.2 + rng.next() * 0.6;
+  let x = 0, y = 0, angle = 0;
+  if (edge === 0) { x = -margin;    y = along * H; angle = 0; }
+  if (edge === 1) { x = W + margin; y = along * H; angle = Math.PI; }
+  if (edge === 2) { x = along * W;  y = -margin;   angle = Math.PI / 2; }
+  if (edge === 3) { x = along * W;  y = H + margin; angle = -Math.PI / 2; }
+
+  const spriteKey = rng.pick(F.types[type]?.sprites ?? ['enemyBlack1']);
+  const orbitDir = rng.next() < 0.5 ? 1 : -1;
+
+  const fighters = [];
+  for (let i = 0; i < count; i++) {
+    // Line abreast, across the heading.
+    const offset = (i - (count - 1) / 2) * spacing;
+    const fighter = new Fighter({
+      kind: type,
+      x: x - Math.sin(angle) * offset,
+      y: y + Math.cos(angle) * offset,
+      angle,
+      spriteKey,
+      orbitDir
+    });
+    fighters.push(fighter);
+  }
+  state.fighters.push(...fighters);
+  return fighters;
+}
+
+// [key, weight] of every entry that can appear in `wave`
+// (see CONFIG.ASTEROID.TYPES and CONFIG.UFO.VARIANTS).
+function waveWeights(types = {}, wave) {
+  const weights = [];
+  for (const [type, rules] of Object.entries(types)) {
+    const minWave = rules?.minWave ?? 0;
+    if (wave < minWave) continue;
+    const grown = (rules?.weight ?? 0) + (wave - minWave) * (rules?.weightPerWave ?? 0);
+    const weight = Math.min(grown, rules?.maxWeight ?? Infinity);
+    if (weight > 0) weights.push([type, weight]);
+  }
+  return weights;
+}
+
+function pickWeighted(weights, rng, fallback) {
+  if (weights.length === 0) return fallback;
+  const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = rng.next() * total;
+  for (const [type, weight] of weights) {
+    roll -= weight;
+    if (roll < 0) return type;
   }
+  return weights[weights.length - 1][0];
 }
 
-function shouldSpawnType(rules, wave) {
+function shouldSpawnType(rules, wave, rng) {
   const model = rules?.model ?? 'chance';
 
   if (model === 'chance') {
-    const chance = Math.max(0, Math.min(1, rules?.chancePerWave ?? 0));
-    return Math.random() < chance;
+    return rng.chance(rules?.chancePerWave ?? 0);
   }
 
   if (model === 'interval') {
@@ -54,12 +319,12 @@ function shouldSpawnType(rules, wave) {
 }
 
 /* utility used by both asteroid & power-up spawns */
-function randomEdgeSpawn(W, H, margin) {
-  const edge = Math.floor(Math.random() * 4);
+function randomEdgeSpawn(W, H, margin, rng) {
+  const edge = rng.int(4);
   let x = 0, y = 0;
-  if (edge === 0) { x = -margin;    y = Math.random() * H; }
-  if (edge === 1) { x = W + margin; y = Math.random() * H; }
-  if (edge === 2) { x = Math.random() * W; y = -margin; }
-  if (edge === 3) { x = Math.random() * W; y = H + margin; }
+  if (edge === 0) { x = -margin;    y = rng.next() * H; }
+  if (edge === 1) { x = W + margin; y = rng.next() * H; }
+  if (edge === 2) { x = rng.next() * W; y = -margin; }
+  if (edge === 3) { x = rng.next() * W; y = H + margin; }
   return { x, y };
 }
@@ -0,0 +1,182 @@
+/* ========================= src/ui/DailyChallengePanel.js ========================= */
+import { getDailyKey, msUntilNextDaily, formatCountdown } from '../utils/dailyChallenge.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * DailyChallengePanel
+ * -------------------
+ * Daily challenge parts of the start menu (owned by MenuOverlay):
+ * - the "Daily Challenge" button on the start panel, with today's result or
+ *   the countdown to the next challenge once today's attempt is used,
+ * - the "Daily" panel: countdown plus a month calendar of past results.
+ * The countdown ticks once per second while the menu is visible (start()/stop()).
+ */
+export class DailyChallengePanel {
+  /**
+   * @param {import('../core/Game.js').Game} game
+   * @param {HTMLElement} root - menu overlay root
+   * @param {{ onStart?: Function }} [options] - called when the daily button is pressed
+   */
+  constructor(game, root, { onStart } = {}) {
+    this.game = game;
+    this.root = root;
+
+    this.startButton = root.querySelector('[data-action="daily-challenge"]');
+    this.startLabel = root.querySelector('[data-daily-label]');
+    this.countdownValue = root.querySelector('[data-daily-countdown]');
+    this.calendar = root.querySelector('[data-daily-calendar]');
+    this.monthLabel = root.querySelector('[data-daily-month-label]');
+    this.monthButtons = Array.from(root.querySelectorAll('[data-daily-month]'));
+    this.summary = root.querySelector('[data-daily-summary]');
+
+    // Calendar month on display (first day of that month).
+    const today = new Date();
+    this.viewMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+    this.todayKey = getDailyKey(today);
+    this.timer = null;
+
+    this.onStartClick = (event) => {
+      event.preventDefault();
+      onStart?.();
+    };
+
+    this.onMonthClick = (event) => {
+      const step = Number(event.currentTarget?.dataset?.dailyMonth) || 0;
+      this.viewMonth = new Date(this.viewMonth.getFullYear(), this.viewMonth.getMonth() + step, 1);
+      this.renderCalendar();
+    };
+
+    this.handleResultsChanged = () => {
+      this.refresh();
+    };
+
+    this.startButton?.addEventListener('click', this.onStartClick);
+    this.monthButtons.forEach((button) => button.addEventListener('click', this.onMonthClick));
+    this.game?.canvas?.addEventListener?.('daily-results-changed', this.handleResultsChanged);
+  }
+
+  /** Begin the once-per-second countdown (menu shown). */
+  start() {
+    this.refresh();
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), 1000);
+  }
+
+  /** Stop the countdown (menu hidden). */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  tick() {
+    // Midnight passed: a new challenge is available.
+    if (getDailyKey() !== this.todayKey) {
+      this.refresh();
+      return;
+    }
+    this.renderStartButton();
+  }
+
+  /** Re-render everything from the Game's daily results. */
+  refresh() {
+    this.todayKey = getDailyKey();
+    this.renderStartButton();
+    this.renderCalendar();
+  }
+
+  renderStartButton() {
+    const countdown = formatCountdown(msUntilNextDaily());
+    if (this.countdownValue) {
+      this.countdownValue.textContent = countdown;
+    }
+
+    const daily = this.game?.getDailyChallenge?.();
+    if (!daily) return;
+
+    if (this.startButton) {
+      this.startButton.disabled = daily.attempted;
+    }
+    if (this.startLabel) {
+      this.startLabel.textContent = daily.attempted
+        ? `Played · ${(daily.result?.score ?? 0).toLocaleString()} pts · next in ${countdown}`
+        : `${daily.key} · one scored attempt`;
+    }
+  }
+
+  renderCalendar() {
+    if (!this.calendar) return;
+
+    const results = this.game?.getDailyResults?.() ?? {};
+    const year = this.viewMonth.getFullYear();
+    const month = this.viewMonth.getMonth();
+
+    if (this.monthLabel) {
+      this.monthLabel.textContent = this.viewMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    }
+
+    this.calendar.textContent = '';
+    for (const name of WEEKDAYS) {
+      const header = document.createElement('div');
+      header.className = 'daily-calendar-weekday';
+      header.textContent = name;
+      this.calendar.appendChild(header);
+    }
+
+    // Blank cells before the 1st so the days line up under their weekday.
+    const firstWeekday = new Date(year, month, 1).getDay();
+    for (let i = 0; i < firstWeekday; i++) {
+      this.calendar.appendChild(document.createElement('div'));
+    }
+
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    for (let day = 1; day <= daysInMonth; day++) {
+      const key = getDailyKey(new Date(year, month, day));
+      const result = results[key];
+
+      const cell = document.createElement('div');
+      cell.className = 'daily-calendar-day';
+      cell.classList.toggle('is-today', key === this.todayKey);
+      cell.classList.toggle('has-result', !!result);
+      cell.classList.toggle('is-unfinished', !!result && !result.finished);
+
+      const date = document.createElement('span');
+      date.className = 'daily-calendar-date';
+      date.textContent = String(day);
+      cell.appendChild(date);
+
+      if (result) {
+        const score = document.createElement('span');
+        score.className = 'daily-calendar-score';
+        score.textContent = (result.score ?? 0).toLocaleString();
+        cell.appendChild(score);
+        cell.title = `${key}: ${(result.score ?? 0).toLocaleString()} pts, wave ${(result.wave ?? 0) + 1}`;
+      }
+
+      this.calendar.appendChild(cell);
+    }
+
+    this.renderSummary(results);
+  }
+
+  renderSummary(results) {
+    if (!this.summary) return;
+
+    const entries = Object.entries(results);
+    if (entries.length === 0) {
+      this.summary.textContent = 'No daily challenges played yet.';
+      return;
+    }
+
+    const [bestKey, best] = entries.reduce((top, entry) => ((entry[1]?.score ?? 0) > (top[1]?.score ?? 0) ? entry : top));
+    const days = entries.length === 1 ? '1 day' : `${entries.length} days`;
+    this.summary.textContent = `${days} played · best ${(best?.score ?? 0).toLocaleString()} pts on ${bestKey}`;
+  }
+
+  destroy() {
+    this.stop();
+    this.startButton?.removeEventListener('click', this.onStartClick);
+    this.monthButtons.forEach((button) => button.removeEventListener('click', this.onMonthClick));
+    this.game?.canvas?.removeEventListener?.('daily-results-changed', this.handleResultsChanged);
+  }
+}
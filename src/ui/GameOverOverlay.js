@@ -1,12 +1,20 @@
 /* ========================= src/ui/GameOverOverlay.js ========================= */
 
+import { formatSeed } from '../utils/rng.js';
+import { serializeReplay } from '../replay/replayFormat.js';
+import { getGameModeRules } from '../core/gameModes.js';
+import { getDifficultyPreset } from '../core/difficulty.js';
+
 /**
  * GameOverOverlay
  * ---------------
- * Displays a post-run menu when the player loses all lives.
- * Presents the final score, wave reached, and options to restart or return to the
- * main menu. The overlay listens for `game-over` and `game-started` events that
- * the Game instance dispatches on the canvas element.
+ * Displays a post-run menu when the player loses all lives (or a timed mode runs out).
+ * Versus rounds end in the RoundSummaryOverlay instead.
+ * Presents the final score, game mode, difficulty, wave reached, the run seed, per-player scores of
+ * a co-op run, and options to restart
+ * (fresh or same seed), download the run's replay, or return to the main menu.
+ * The overlay listens for `game-over`, `replay-finished` and `game-started`
+ * events that the Game instance dispatches on the canvas element.
  */
 export class GameOverOverlay {
   constructor(game, options = {}) {
@@ -19,23 +27,57 @@ export class GameOverOverlay {
     }
 
     // Cache references to DOM nodes we need to populate and interact with.
+    this.titleValue = this.root.querySelector('[data-gameover-title]');
+    this.gameModeValue = this.root.querySelector('[data-game-mode-value]');
+    this.difficultyValue = this.root.querySelector('[data-difficulty-value]');
+    this.dailyMessage = this.root.querySelector('[data-daily-message]');
+    this.playerScoresValue = this.root.querySelector('[data-player-scores]');
     this.scoreValue = this.root.querySelector('[data-score-value]');
     this.waveValue = this.root.querySelector('[data-wave-value]');
     this.highScoreValue = this.root.querySelector('[data-highscore-value]');
     this.highScoreMessage = this.root.querySelector('[data-highscore-message]');
+    this.seedValue = this.root.querySelector('[data-seed-value]');
     this.playAgainButton = this.root.querySelector('[data-action="play-again"]');
+    this.replaySeedButton = this.root.querySelector('[data-action="replay-seed"]');
+    this.downloadReplayButton = this.root.querySelector('[data-action="download-replay"]');
+    this.replayMessage = this.root.querySelector('[data-replay-message]');
+
+    // Seed, game mode, difficulty and players of the run that just ended (so "Replay Seed" can restart it exactly).
+    this.lastSeed = null;
+    this.lastGameMode = null;
+    this.lastDifficulty = null;
+    this.lastPlayerCount = null;
+    this.lastScoreMode = null;
     this.returnMenuButton = this.root.querySelector('[data-action="return-menu"]');
 
     // Event handler fired when the Game dispatches a `game-over` CustomEvent.
     // The canvas event detail contains the final score and wave index.
     this.handleGameOver = (event) => {
       const detail = event?.detail ?? {};
-      this.updateDetails(detail.score, detail.wave, detail.highScore, detail.newHighScore);
+      if (getGameModeRules(detail.gameMode).versus) return;
+      this.updateDetails(
+        detail.score,
+        detail.wave,
+        detail.highScore,
+        detail.newHighScore,
+        detail.seed,
+        detail.gameMode,
+        detail.difficulty,
+        detail.reason
+      );
+      this.showPlayerScores(detail.playerScores, detail.scoreMode);
+      this.showDailyResult(detail.daily);
       this.show();
     };
 
+    // A watched replay ended: tell QA whether the re-simulation matched the recording.
+    this.handleReplayFinished = (event) => {
+      this.showReplayResult(event?.detail ?? null);
+    };
+
     // When a fresh game run begins, hide the overlay so the player can see playfield.
     this.handleGameStarted = () => {
+      this.showReplayResult(null);
       this.hide();
     };
 
@@ -50,6 +92,33 @@ export class GameOverOverlay {
       this.game?.reset?.();
     };
 
+    // Restart with the same seed to replay the exact asteroid/power-up/UFO rolls.
+    this.handleReplaySeedClick = () => {
+      this.hide();
+      this.game?.reset?.(this.lastSeed ?? undefined, {
+        gameMode: this.lastGameMode ?? undefined,
+        difficulty: this.lastDifficulty ?? undefined,
+        playerCount: this.lastPlayerCount ?? undefined,
+        scoreMode: this.lastScoreMode ?? undefined
+      });
+    };
+
+    // Save the finished run as a replay file (attach it to a bug report).
+    this.handleDownloadReplayClick = () => {
+      const replay = this.game?.getLastReplay?.();
+      if (!replay) return;
+
+      const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `rockbuster-${formatSeed(replay.seed)}-${replay.final?.score ?? 0}.replay.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    };
+
     // Return to the title menu via Game helper, then trigger optional callback.
     this.handleReturnMenuClick = () => {
       this.hide();
@@ -61,10 +130,13 @@ export class GameOverOverlay {
 
     // Wire up button click listeners.
     this.playAgainButton?.addEventListener('click', this.handlePlayAgainClick);
+    this.replaySeedButton?.addEventListener('click', this.handleReplaySeedClick);
+    this.downloadReplayButton?.addEventListener('click', this.handleDownloadReplayClick);
     this.returnMenuButton?.addEventListener('click', this.handleReturnMenuClick);
 
     // Subscribe to lifecycle events emitted by the Game via the canvas element.
     this.game?.canvas?.addEventListener?.('game-over', this.handleGameOver);
+    this.game?.canvas?.addEventListener?.('replay-finished', this.handleReplayFinished);
     this.game?.canvas?.addEventListener?.('game-started', this.handleGameStarted);
     this.game?.canvas?.addEventListener?.('game-returned-to-menu', this.handleReturnedToMenu);
   }
@@ -82,8 +154,24 @@ export class GameOverOverlay {
     this.root.setAttribute('aria-hidden', 'true');
   }
 
-  updateDetails(score, wave, highScore, isNewHighScore) {
+  updateDetails(score, wave, highScore, isNewHighScore, seed, gameMode, difficulty, reason) {
     // Defensive defaulting keeps the overlay stable even if detail is missing.
+    if (this.titleValue) {
+      this.titleValue.textContent = reason === 'time-up' ? "Time's Up" : 'Game Over';
+    }
+
+    const rules = getGameModeRules(gameMode);
+    this.lastGameMode = rules.id;
+    if (this.gameModeValue) {
+      this.gameModeValue.textContent = rules.label;
+    }
+
+    const preset = getDifficultyPreset(difficulty);
+    this.lastDifficulty = preset.id;
+    if (this.difficultyValue) {
+      this.difficultyValue.textContent = preset.label;
+    }
+
     if (this.scoreValue) {
       const safeScore = typeof score === 'number' ? score : 0;
       this.scoreValue.textContent = safeScore.toLocaleString();
@@ -102,15 +190,90 @@ export class GameOverOverlay {
     if (this.highScoreMessage) {
       this.highScoreMessage.hidden = !isNewHighScore;
     }
+
+    this.lastSeed = typeof seed === 'number' ? seed : null;
+    if (this.seedValue) {
+      this.seedValue.textContent = this.lastSeed === null ? '—' : formatSeed(this.lastSeed);
+    }
+
+    if (this.downloadReplayButton) {
+      this.downloadReplayButton.hidden = !this.game?.getLastReplay?.();
+    }
+  }
+
+  /**
+   * Co-op results: each player's score, and the leader when scores are kept
+   * separately. Hidden for solo runs.
+   * @param {number[]} [playerScores] - one entry per player
+   * @param {'shared'|'separate'} [scoreMode]
+   */
+  showPlayerScores(playerScores = [], scoreMode = 'shared') {
+    this.lastPlayerCount = playerScores.length || null;
+    this.lastScoreMode = scoreMode;
+    if (!this.playerScoresValue) return;
+
+    const coop = playerScores.length > 1;
+    this.playerScoresValue.hidden = !coop;
+    if (!coop) {
+      this.playerScoresValue.textContent = '';
+      return;
+    }
+
+    const scores = playerScores.map((score, i) => `P${i + 1}: ${score.toLocaleString()}`).join(' · ');
+    const best = Math.max(...playerScores);
+    const leaders = playerScores.flatMap((score, i) => (score === best ? [`P${i + 1}`] : []));
+    const verdict = leaders.length > 1 ? 'Tie!' : `${leaders[0]} wins!`;
+    this.playerScoresValue.textContent = scoreMode === 'separate' ? `${scores} — ${verdict}` : scores;
+  }
+
+  /**
+   * Mark the run as a daily challenge attempt (null hides the line).
+   * @param {string|null} dailyKey - date key (YYYY-MM-DD)
+   */
+  showDailyResult(dailyKey) {
+    if (!this.dailyMessage) return;
+    this.dailyMessage.hidden = !dailyKey;
+    this.dailyMessage.textContent = dailyKey ? `Daily Challenge ${dailyKey} recorded` : '';
+  }
+
+  /**
+   * Show (or clear, when result is null) the outcome of a watched replay.
+   * @param {{ diverged: boolean, divergence: Object|null, expected: Object|null, actual: Object }|null} result
+   */
+  showReplayResult(result) {
+    if (!this.replayMessage) return;
+
+    if (!result) {
+      this.replayMessage.hidden = true;
+      this.replayMessage.textContent = '';
+      return;
+    }
+
+    let message;
+    if (!result.diverged) {
+      message = 'Replay verified: run matches the recording.';
+    } else if (result.divergence) {
+      message = `Replay diverged at tick ${result.divergence.tick.toLocaleString()}.`;
+    } else {
+      const expectedScore = result.expected?.score ?? 0;
+      message = `Replay diverged: recorded score ${expectedScore.toLocaleString()}, got ${result.actual.score.toLocaleString()}.`;
+    }
+
+    this.replayMessage.textContent = message;
+    this.replayMessage.classList.toggle('is-diverged', !!result.diverged);
+    this.replayMessage.hidden = false;
   }
 
   destroy() {
     // Remove DOM and canvas listeners so the instance can be garbage-collected.
     this.game?.canvas?.removeEventListener?.('game-over', this.handleGameOver);
+    this.game?.canvas?.removeEventListener?.('replay-finished', this.handleReplayFinished);
     this.game?.canvas?.removeEventListener?.('game-started', this.handleGameStarted);
     this.game?.canvas?.removeEventListener?.('game-returned-to-menu', this.handleReturnedToMenu);
 
     this.playAgainButton?.removeEventListener('click', this.handlePlayAgainClick);
+    this.replaySeedButton?.removeEventListener('click', this.handleReplaySeedClick);
+    this.downloadReplayButton?.removeEventListener('click', this.handleDownloadReplayClick);
     this.returnMenuButton?.removeEventListener('click', this.handleReturnMenuClick);
   }
 }
@@ -1,4 +1,19 @@
 /* ========================= src/ui/MenuOverlay.js ========================= */
+import { parseReplay } from '../replay/replayFormat.js';
+import { getGameModeRules, listGameModes } from '../core/gameModes.js';
+import { getDifficultyPreset, listDifficulties } from '../core/difficulty.js';
+import { DailyChallengePanel } from './DailyChallengePanel.js';
+
+// Append one <option> per entry ({ id, label }) to a <select>.
+function fillSelect(select, entries) {
+  if (!select) return;
+  for (const entry of entries) {
+    const option = document.createElement('option');
+    option.value = entry.id;
+    option.textContent = entry.label;
+    select.appendChild(option);
+  }
+}
 
 /**
  * MenuOverlay
@@ -6,7 +21,12 @@
  * Handles the main menu overlay UI that appears before the game starts.
  * - Allows navigation between "Start", "How to Play", and "About" sections.
  * - Shows/hides the menu overlay.
- * - Starts gameplay when the user presses the Start button.
+ * - Starts gameplay when the user presses the Start button (optionally with a typed seed).
+ * - Lets the player pick the game mode (Classic, Time Attack, ...) and difficulty of the next run.
+ * - Lets the player pick solo or two-player co-op, and how a co-op run keeps score.
+ * - Offers "Continue Run" when the Game has a saved run.
+ * - Starts the daily challenge and shows its history (DailyChallengePanel).
+ * - Loads a replay file and hands it to the Game for playback.
  */
 export class MenuOverlay {
   constructor(game) {
@@ -53,6 +73,92 @@ export class MenuOverlay {
       button.addEventListener('click', this.onNavClick);
     });
 
+    // Optional seed field: lets a player replay a run shared from the game-over screen.
+    this.seedInput = this.root.querySelector('[data-seed-input]');
+    this.onSeedKeyDown = (event) => {
+      // Input ignores keys typed into form fields, so Enter is handled here.
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        this.game?.requestAudioUnlock?.();
+        this.startGame();
+      }
+    };
+    this.seedInput?.addEventListener('keydown', this.onSeedKeyDown);
+
+    // Game mode picker, filled from CONFIG.GAME_MODES so new modes show up automatically.
+    this.gameModeSelect = this.root.querySelector('[data-game-mode]');
+    this.gameModeDescription = this.root.querySelector('[data-game-mode-description]');
+    fillSelect(this.gameModeSelect, listGameModes());
+
+    // A mode with a fixed player count (Versus) also updates the player pickers.
+    this.onGameModeChange = () => {
+      this.game?.setGameMode?.(this.gameModeSelect.value);
+      this.refreshGameMode();
+      this.refreshPlayers();
+    };
+
+    // The Game may switch modes itself (e.g. continuing a saved Time Attack run).
+    this.handleGameModeChanged = () => {
+      this.refreshGameMode();
+      this.refreshPlayers();
+    };
+
+    this.gameModeSelect?.addEventListener('change', this.onGameModeChange);
+    this.game?.canvas?.addEventListener?.('game-mode-changed', this.handleGameModeChanged);
+
+    // Difficulty picker (CONFIG.DIFFICULTY presets).
+    this.difficultySelect = this.root.querySelector('[data-difficulty]');
+    fillSelect(this.difficultySelect, listDifficulties());
+
+    this.onDifficultyChange = () => {
+      this.game?.setDifficulty?.(this.difficultySelect.value);
+      this.refreshDifficulty();
+    };
+
+    this.handleDifficultyChanged = () => {
+      this.refreshDifficulty();
+    };
+
+    this.difficultySelect?.addEventListener('change', this.onDifficultyChange);
+    this.game?.canvas?.addEventListener?.('difficulty-changed', this.handleDifficultyChanged);
+
+    // Player count + co-op score mode (the score picker only shows for co-op).
+    this.playerCountSelect = this.root.querySelector('[data-player-count]');
+    this.scoreModeField = this.root.querySelector('[data-score-mode-field]');
+    this.scoreModeSelect = this.root.querySelector('[data-score-mode]');
+
+    this.onPlayerCountChange = () => {
+      this.game?.setPlayerCount?.(Number(this.playerCountSelect.value));
+      this.refreshPlayers();
+    };
+
+    this.onScoreModeChange = () => {
+      this.game?.setScoreMode?.(this.scoreModeSelect.value);
+      this.refreshPlayers();
+    };
+
+    this.handlePlayersChanged = () => {
+      this.refreshPlayers();
+    };
+
+    this.playerCountSelect?.addEventListener('change', this.onPlayerCountChange);
+    this.scoreModeSelect?.addEventListener('change', this.onScoreModeChange);
+    this.game?.canvas?.addEventListener?.('players-changed', this.handlePlayersChanged);
+
+    // Ghost of the best run on the same seed (G toggles it in-game too).
+    this.ghostSelect = this.root.querySelector('[data-ghost]');
+
+    this.onGhostChange = () => {
+      this.game?.setGhostEnabled?.(this.ghostSelect.value === 'on');
+    };
+
+    this.handleGhostChanged = () => {
+      this.refreshGhost();
+    };
+
+    this.ghostSelect?.addEventListener('change', this.onGhostChange);
+    this.game?.canvas?.addEventListener?.('ghost-changed', this.handleGhostChanged);
+
     // Find the Start Game button (data-action="start-game")
     this.startButton = this.root.querySelector('[data-action="start-game"]');
     if (this.startButton) {
@@ -63,6 +169,53 @@ export class MenuOverlay {
       });
     }
 
+    // "Continue Run": only visible while the Game holds a saved run.
+    this.continueButton = this.root.querySelector('[data-action="continue-run"]');
+    this.continueLabel = this.root.querySelector('[data-continue-label]');
+
+    this.onContinueClick = (event) => {
+      event.preventDefault();
+      this.game?.requestAudioUnlock?.();
+      this.continueRun();
+    };
+
+    this.handleSavedRunChanged = () => {
+      this.refreshContinueButton();
+    };
+
+    this.continueButton?.addEventListener('click', this.onContinueClick);
+    this.game?.canvas?.addEventListener?.('saved-run-changed', this.handleSavedRunChanged);
+
+    // Daily challenge button + "Daily" history panel.
+    this.dailyPanel = new DailyChallengePanel(game, this.root, {
+      onStart: () => {
+        this.game?.requestAudioUnlock?.();
+        this.startDailyChallenge();
+      }
+    });
+
+    // Replay playback: a visible button opens the hidden file picker.
+    this.replayButton = this.root.querySelector('[data-action="watch-replay"]');
+    this.replayFileInput = this.root.querySelector('[data-replay-file]');
+    this.replaySpeedSelect = this.root.querySelector('[data-replay-speed]');
+    this.replayStatus = this.root.querySelector('[data-replay-status]');
+
+    this.onReplayButtonClick = (event) => {
+      event.preventDefault();
+      this.game?.requestAudioUnlock?.();
+      this.replayFileInput?.click();
+    };
+
+    this.onReplayFileChange = () => {
+      const file = this.replayFileInput?.files?.[0];
+      if (!file) return;
+      this.loadReplayFile(file);
+      this.replayFileInput.value = ''; // allow re-selecting the same file
+    };
+
+    this.replayButton?.addEventListener('click', this.onReplayButtonClick);
+    this.replayFileInput?.addEventListener('change', this.onReplayFileChange);
+
     // When the game notifies that gameplay has officially begun, hide the menu
     this.handleGameStarted = () => {
       this.hide();
@@ -77,10 +230,128 @@ export class MenuOverlay {
 
   /**
    * Public method to begin gameplay and hide the menu.
+   * Uses the seed typed into the menu (if any); otherwise the Game picks one.
    */
   startGame() {
+    const typedSeed = this.seedInput?.value?.trim();
+    this.hide();
+    this.game?.startGame?.(typedSeed ? typedSeed : undefined);
+  }
+
+  /**
+   * Start today's daily challenge. If today's attempt was already used the menu
+   * stays up and says so.
+   */
+  startDailyChallenge() {
+    this.setStatus('');
+    this.hide();
+    if (!this.game?.startDailyChallenge?.()) {
+      this.show('start');
+      this.setStatus("Today's challenge has already been played.");
+    }
+  }
+
+  /**
+   * Resume the saved run. If it cannot be restored the menu stays up and says so.
+   */
+  continueRun() {
+    this.setStatus('');
     this.hide();
-    this.game?.startGame?.();
+    if (!this.game?.continueRun?.()) {
+      this.show('start');
+      this.setStatus('The saved run could not be restored.');
+    }
+  }
+
+  /**
+   * Show or hide "Continue Run" and describe the saved run on it.
+   */
+  refreshContinueButton() {
+    if (!this.continueButton) return;
+    const saved = this.game?.getSavedRun?.();
+    this.continueButton.hidden = !saved;
+    if (saved && this.continueLabel) {
+      const wave = (saved.wave ?? 0) + 1;
+      const score = (saved.score ?? 0).toLocaleString();
+      const rules = getGameModeRules(saved.gameMode);
+      const preset = getDifficultyPreset(saved.difficulty);
+      const players = (saved.players?.length ?? 1) > 1 && !rules.players ? ' · 2P' : '';
+      this.continueLabel.textContent = `${rules.label} (${preset.label})${players} · Wave ${wave} · ${score} pts`;
+    }
+  }
+
+  /**
+   * Sync the mode picker and its description with the Game's selected game mode.
+   */
+  refreshGameMode() {
+    const rules = getGameModeRules(this.game?.gameMode);
+    if (this.gameModeSelect) {
+      this.gameModeSelect.value = rules.id;
+    }
+    if (this.gameModeDescription) {
+      this.gameModeDescription.textContent = rules.description ?? '';
+    }
+  }
+
+  /**
+   * Sync the difficulty picker with the Game's selected preset.
+   */
+  refreshDifficulty() {
+    if (this.difficultySelect) {
+      this.difficultySelect.value = getDifficultyPreset(this.game?.difficulty).id;
+    }
+  }
+
+  /**
+   * Sync the player count / score mode pickers with the Game's selection.
+   * A game mode with a fixed player count (Versus) locks the count picker and
+   * has no co-op score to present.
+   */
+  refreshPlayers() {
+    const rules = getGameModeRules(this.game?.gameMode);
+    const playerCount = rules.players ?? this.game?.playerCount ?? 1;
+    if (this.playerCountSelect) {
+      this.playerCountSelect.value = String(playerCount);
+      this.playerCountSelect.disabled = !!rules.players;
+    }
+    if (this.scoreModeSelect && this.game?.scoreMode) {
+      this.scoreModeSelect.value = this.game.scoreMode;
+    }
+    if (this.scoreModeField) {
+      this.scoreModeField.hidden = playerCount < 2 || !!rules.versus;
+    }
+  }
+
+  /** Sync the ghost picker with the Game's setting. */
+  refreshGhost() {
+    if (this.ghostSelect) {
+      this.ghostSelect.value = this.game?.ghostEnabled === false ? 'off' : 'on';
+    }
+  }
+
+  /**
+   * Read a replay file chosen by the user and start playback.
+   * Parse errors are shown in the menu instead of throwing.
+   * @param {File} file
+   */
+  async loadReplayFile(file) {
+    this.setStatus('');
+    try {
+      const replay = parseReplay(await file.text());
+      const speed = Number(this.replaySpeedSelect?.value) || 1;
+      this.hide();
+      this.game?.startReplay?.(replay, { speed });
+    } catch (err) {
+      console.warn('Failed to load replay:', err);
+      this.setStatus(err?.message ?? 'Could not load replay.');
+    }
+  }
+
+  /** Show an error line under the start panel ('' hides it). */
+  setStatus(message) {
+    if (!this.replayStatus) return;
+    this.replayStatus.textContent = message;
+    this.replayStatus.hidden = !message;
   }
 
   /**
@@ -110,6 +381,12 @@ export class MenuOverlay {
    */
   show(view = 'start') {
     this.setView(view);
+    this.refreshContinueButton();
+    this.refreshGameMode();
+    this.refreshDifficulty();
+    this.refreshPlayers();
+    this.refreshGhost();
+    this.dailyPanel?.start();
     this.root.classList.remove('is-hidden');
     this.root.setAttribute('aria-hidden', 'false');
   }
@@ -118,6 +395,7 @@ export class MenuOverlay {
    * Hide the menu overlay entirely (e.g., when the game starts).
    */
   hide() {
+    this.dailyPanel?.stop();
     this.root.classList.add('is-hidden');
     this.root.setAttribute('aria-hidden', 'true');
     // Reset to start screen so when user returns, it defaults to main panel
@@ -131,6 +409,21 @@ export class MenuOverlay {
     this.navButtons.forEach((button) => {
       button.removeEventListener('click', this.onNavClick);
     });
+    this.seedInput?.removeEventListener('keydown', this.onSeedKeyDown);
+    this.dailyPanel?.destroy();
+    this.gameModeSelect?.removeEventListener('change', this.onGameModeChange);
+    this.game?.canvas?.removeEventListener?.('game-mode-changed', this.handleGameModeChanged);
+    this.difficultySelect?.removeEventListener('change', this.onDifficultyChange);
+    this.game?.canvas?.removeEventListener?.('difficulty-changed', this.handleDifficultyChanged);
+    this.playerCountSelect?.removeEventListener('change', this.onPlayerCountChange);
+    this.scoreModeSelect?.removeEventListener('change', this.onScoreModeChange);
+    this.game?.canvas?.removeEventListener?.('players-changed', this.handlePlayersChanged);
+    this.ghostSelect?.removeEventListener('change', this.onGhostChange);
+    this.game?.canvas?.removeEventListener?.('ghost-changed', this.handleGhostChanged);
+    this.continueButton?.removeEventListener('click', this.onContinueClick);
+    this.game?.canvas?.removeEventListener?.('saved-run-changed', this.handleSavedRunChanged);
+    this.replayButton?.removeEventListener('click', this.onReplayButtonClick);
+    this.replayFileInput?.removeEventListener('change', this.onReplayFileChange);
     this.game?.canvas?.removeEventListener?.('game-started', this.handleGameStarted);
   }
 }
@@ -0,0 +1,104 @@
+/* ========================= src/ui/PauseOverlay.js ========================= */
+
+/**
+ * PauseOverlay
+ * ------------
+ * Displays the pause menu while a run is frozen.
+ * Offers Resume, Restart, and Quit to menu. The overlay listens for
+ * `game-paused` and `game-resumed` events that the Game instance dispatches on
+ * the canvas element, plus `game-started` / `game-returned-to-menu` so it never
+ * lingers over a fresh run or the title screen.
+ */
+export class PauseOverlay {
+  constructor(game, options = {}) {
+    this.game = game;
+    this.onReturnToMenu = options.onReturnToMenu;
+
+    this.root = document.getElementById('pause-overlay');
+    if (!this.root) {
+      return;
+    }
+
+    // Cache references to DOM nodes we need to interact with.
+    this.resumeButton = this.root.querySelector('[data-action="resume"]');
+    this.restartButton = this.root.querySelector('[data-action="restart"]');
+    this.quitButton = this.root.querySelector('[data-action="quit-menu"]');
+
+    // Show the overlay whenever the Game enters PAUSED (key, touch, or auto-pause).
+    this.handleGamePaused = () => {
+      this.show();
+    };
+
+    // Any path back into gameplay (or out to the menu) hides the overlay.
+    this.handleGameResumed = () => {
+      this.hide();
+    };
+
+    // A continued run starts out PAUSED, so keep the overlay up for it.
+    this.handleGameStarted = () => {
+      if (this.game?.state?.mode !== 'PAUSED') this.hide();
+    };
+
+    this.handleReturnedToMenu = () => {
+      this.hide();
+    };
+
+    // Continue the frozen run where it left off.
+    this.handleResumeClick = () => {
+      this.game?.requestAudioUnlock?.();
+      this.game?.resume?.();
+    };
+
+    // Throw the current run away and start a fresh one immediately.
+    this.handleRestartClick = () => {
+      this.hide();
+      this.game?.requestAudioUnlock?.();
+      this.game?.reset?.();
+    };
+
+    // Abandon the run and go back to the title menu.
+    this.handleQuitClick = () => {
+      this.hide();
+      this.game?.returnToMenu?.();
+      if (typeof this.onReturnToMenu === 'function') {
+        this.onReturnToMenu();
+      }
+    };
+
+    // Wire up button click listeners.
+    this.resumeButton?.addEventListener('click', this.handleResumeClick);
+    this.restartButton?.addEventListener('click', this.handleRestartClick);
+    this.quitButton?.addEventListener('click', this.handleQuitClick);
+
+    // Subscribe to lifecycle events emitted by the Game via the canvas element.
+    this.game?.canvas?.addEventListener?.('game-paused', this.handleGamePaused);
+    this.game?.canvas?.addEventListener?.('game-resumed', this.handleGameResumed);
+    this.game?.canvas?.addEventListener?.('game-started', this.handleGameStarted);
+    this.game?.canvas?.addEventListener?.('game-returned-to-menu', this.handleReturnedToMenu);
+  }
+
+  show() {
+    // Reveal the overlay and focus the "Resume" button for accessibility.
+    this.root.classList.remove('is-hidden');
+    this.root.setAttribute('aria-hidden', 'false');
+    this.resumeButton?.focus?.();
+  }
+
+  hide() {
+    // Hide overlay visually and for assistive technologies.
+    this.root.classList.add('is-hidden');
+    this.root.setAttribute('aria-hidden', 'true');
+  }
+
+  destroy() {
+    // Remove DOM and canvas listeners so the instance can be garbage-collected.
+    this.game?.canvas?.removeEventListener?.('game-paused', this.handleGamePaused);
+    this.game?.canvas?.removeEventListener?.('game-resumed', this.handleGameResumed);
+    this.game?.canvas?.removeEventListener?.('game-started', this.handleGameStarted);
+    this.game?.canvas?.removeEventListener?.('game-returned-to-menu', this.handleReturnedToMenu);
+
+    this.resumeButton?.removeEventListener('click', this.handleResumeClick);
+    this.restartButton?.removeEventListener('click', this.handleRestartClick);
+    this.quitButton?.removeEventListener('click', this.handleQuitClick);
+  }
+}
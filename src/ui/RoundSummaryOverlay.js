@@ -0,0 +1,141 @@
+/* ========================= src/ui/RoundSummaryOverlay.js ========================= */
+
+import { formatSeed } from '../utils/rng.js';
+import { getGameModeRules } from '../core/gameModes.js';
+import { getDifficultyPreset } from '../core/difficulty.js';
+
+/**
+ * RoundSummaryOverlay
+ * -------------------
+ * Displays the end of a versus round (the GameOverOverlay handles every other
+ * game mode): the winner, each player's kills and deaths, the rounds won since
+ * leaving the menu, and options to start the next round or return to the menu.
+ * The overlay listens for `game-over`, `game-started` and `game-returned-to-menu`
+ * events that the Game instance dispatches on the canvas element.
+ */
+export class RoundSummaryOverlay {
+  constructor(game, options = {}) {
+    this.game = game;
+    this.onReturnToMenu = options.onReturnToMenu;
+
+    this.root = document.getElementById('round-overlay');
+    if (!this.root) {
+      return;
+    }
+
+    // Cache references to DOM nodes we need to populate and interact with.
+    this.titleValue = this.root.querySelector('[data-round-title]');
+    this.targetValue = this.root.querySelector('[data-round-target]');
+    this.playerList = this.root.querySelector('[data-round-players]');
+    this.roundWinsValue = this.root.querySelector('[data-round-wins]');
+    this.difficultyValue = this.root.querySelector('[data-difficulty-value]');
+    this.seedValue = this.root.querySelector('[data-seed-value]');
+    this.nextRoundButton = this.root.querySelector('[data-action="next-round"]');
+    this.returnMenuButton = this.root.querySelector('[data-action="return-menu"]');
+
+    // Game mode and difficulty of the round that just ended (the next round keeps them).
+    this.lastGameMode = null;
+    this.lastDifficulty = null;
+
+    // Only versus rounds end here.
+    this.handleGameOver = (event) => {
+      const detail = event?.detail ?? {};
+      if (!getGameModeRules(detail.gameMode).versus) return;
+      this.updateDetails(detail);
+      this.show();
+    };
+
+    this.handleGameStarted = () => {
+      this.hide();
+    };
+
+    this.handleReturnedToMenu = () => {
+      this.hide();
+    };
+
+    this.handleNextRoundClick = () => {
+      this.hide();
+      this.game?.reset?.(undefined, {
+        gameMode: this.lastGameMode ?? undefined,
+        difficulty: this.lastDifficulty ?? undefined
+      });
+    };
+
+    this.handleReturnMenuClick = () => {
+      this.hide();
+      this.game?.returnToMenu?.();
+      if (typeof this.onReturnToMenu === 'function') {
+        this.onReturnToMenu();
+      }
+    };
+
+    this.nextRoundButton?.addEventListener('click', this.handleNextRoundClick);
+    this.returnMenuButton?.addEventListener('click', this.handleReturnMenuClick);
+
+    this.game?.canvas?.addEventListener?.('game-over', this.handleGameOver);
+    this.game?.canvas?.addEventListener?.('game-started', this.handleGameStarted);
+    this.game?.canvas?.addEventListener?.('game-returned-to-menu', this.handleReturnedToMenu);
+  }
+
+  show() {
+    this.root.classList.remove('is-hidden');
+    this.root.setAttribute('aria-hidden', 'false');
+    this.nextRoundButton?.focus?.();
+  }
+
+  hide() {
+    this.root.classList.add('is-hidden');
+    this.root.setAttribute('aria-hidden', 'true');
+  }
+
+  /**
+   * @param {{ gameMode?: string, difficulty?: string, seed?: number, winner?: number|null,
+   *           kills?: number[], deaths?: number[], roundWins?: number[] }} detail - game-over detail
+   */
+  updateDetails({ gameMode, difficulty, seed, winner = null, kills = [], deaths = [], roundWins = [] }) {
+    const rules = getGameModeRules(gameMode);
+    this.lastGameMode = rules.id;
+
+    const preset = getDifficultyPreset(difficulty);
+    this.lastDifficulty = preset.id;
+    if (this.difficultyValue) {
+      this.difficultyValue.textContent = preset.label;
+    }
+
+    if (this.titleValue) {
+      this.titleValue.textContent = typeof winner === 'number' ? `Player ${winner + 1} Wins!` : 'Round Over';
+    }
+    if (this.targetValue) {
+      this.targetValue.textContent = String(rules.killsToWin ?? 0);
+    }
+
+    if (this.playerList) {
+      this.playerList.replaceChildren(
+        ...kills.map((count, index) => {
+          const item = document.createElement('li');
+          const lost = deaths[index] ?? 0;
+          item.textContent = `P${index + 1}: ${count} ${count === 1 ? 'kill' : 'kills'} · ${lost} ${lost === 1 ? 'death' : 'deaths'}`;
+          item.classList.toggle('is-winner', index === winner);
+          return item;
+        })
+      );
+    }
+
+    if (this.roundWinsValue) {
+      this.roundWinsValue.textContent = roundWins.map((wins, index) => `P${index + 1} ${wins}`).join(' – ');
+    }
+
+    if (this.seedValue) {
+      this.seedValue.textContent = typeof seed === 'number' ? formatSeed(seed) : '—';
+    }
+  }
+
+  destroy() {
+    this.game?.canvas?.removeEventListener?.('game-over', this.handleGameOver);
+    this.game?.canvas?.removeEventListener?.('game-started', this.handleGameStarted);
+    this.game?.canvas?.removeEventListener?.('game-returned-to-menu', this.handleReturnedToMenu);
+
+    this.nextRoundButton?.removeEventListener('click', this.handleNextRoundClick);
+    this.returnMenuButton?.removeEventListener('click', this.handleReturnMenuClick);
+  }
+}
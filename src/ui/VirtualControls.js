@@ -1,4 +1,6 @@
 /* ========================= src/ui/VirtualControls.js ========================= */
+import { getPlayerControls } from '../core/players.js';
+
 /**
  * VirtualControls (joystick + fire button)
  *
@@ -7,14 +9,22 @@
  *              When the stick is deflected beyond a small threshold, we:
  *                • Compute stickAngle = atan2(-dy, dx)   (screen Y down → invert)
  *                • Compare to getShipAngle()             (supplied by Game)
- *                • Press ArrowLeft/ArrowRight based on shortest angular difference
- *                • Hold ArrowUp (thrust) while deflected
- *  - Fire button: on press, send a one-frame justPressed('Space') and then hold 'Space'
+ *                • Press left/right based on shortest angular difference
+ *                • Hold thrust while deflected
+ *  - Fire button: on press, send a one-frame justPressed(fire) and then hold it
+ *  - Hyperspace button: on press, send a one-frame justPressed(hyperspace) (optional element)
+ *  - Pause button: calls opts.onPauseToggle (optional; skipped if the element is missing)
+ *
+ * Touch always flies player 1: the keys pressed are the first code of each
+ * control in player 1's key set (getPlayerControls), which differs between
+ * solo and co-op runs. Game keeps it in sync through setPlayerCount().
  *
  * Requirements in index.html:
  *   <div id="ui-controls">
  *     <div id="stick"><div id="stick-nub"></div></div>
  *     <button id="fire-btn" aria-label="Fire"></button>
+ *     <button id="hyperspace-btn" aria-label="Hyperspace"></button>
+ *     <button id="pause-btn" aria-label="Pause"></button>
  *   </div>
  *
  * CSS positions them on small screens; hidden on desktop via media query.
@@ -24,15 +34,23 @@ export class VirtualControls {
     this.canvas = canvas;
     this.input = input;
 
+    // Player 1's key codes for the current player count (see setPlayerCount)
+    this.playerCount = 0;
+    this.codes = null;
+    this.setPlayerCount(opts.playerCount ?? 1);
+
     // Optional: provided by Game so we can steer toward current ship angle
     this.getShipAngle = typeof opts.getShipAngle === 'function' ? opts.getShipAngle : null;
     this.onUserGesture = typeof opts.onUserGesture === 'function' ? opts.onUserGesture : null;
+    this.onPauseToggle = typeof opts.onPauseToggle === 'function' ? opts.onPauseToggle : null;
 
     // UI elements
     this.ui = document.getElementById('ui-controls');
     this.stick = document.getElementById('stick');
     this.nub = document.getElementById('stick-nub');
     this.fireBtn = document.getElementById('fire-btn');
+    this.hyperspaceBtn = document.getElementById('hyperspace-btn');
+    this.pauseBtn = document.getElementById('pause-btn');
 
     // If overlay not present, no-op
     if (!this.ui || !this.stick || !this.nub || !this.fireBtn) {
@@ -58,6 +76,8 @@ export class VirtualControls {
     this.onStickUp   = this.onStickUp.bind(this);
     this.onFireDown  = this.onFireDown.bind(this);
     this.onFireUp    = this.onFireUp.bind(this);
+    this.onHyperspaceDown = this.onHyperspaceDown.bind(this);
+    this.onPauseDown = this.onPauseDown.bind(this);
 
     // Wire events
     this.stick.addEventListener('pointerdown',  this.onStickDown,  { passive: true });
@@ -68,6 +88,9 @@ export class VirtualControls {
     this.fireBtn.addEventListener('pointerdown', this.onFireDown,  { passive: true });
     this.fireBtn.addEventListener('pointerup',   this.onFireUp,    { passive: true });
     this.fireBtn.addEventListener('pointercancel', this.onFireUp,  { passive: true });
+
+    this.hyperspaceBtn?.addEventListener('pointerdown', this.onHyperspaceDown, { passive: true });
+    this.pauseBtn?.addEventListener('pointerdown', this.onPauseDown, { passive: true });
   }
 
   destroy() {
@@ -79,6 +102,40 @@ export class VirtualControls {
     this.fireBtn.removeEventListener('pointerdown', this.onFireDown);
     this.fireBtn.removeEventListener('pointerup',   this.onFireUp);
     this.fireBtn.removeEventListener('pointercancel', this.onFireUp);
+    this.hyperspaceBtn?.removeEventListener('pointerdown', this.onHyperspaceDown);
+    this.pauseBtn?.removeEventListener('pointerdown', this.onPauseDown);
+  }
+
+  /**
+   * Drop any active stick/fire pointer and recenter the nub.
+   * Game calls this on pause, right after clearing Input, so the overlay
+   * state matches the (now empty) key set.
+   */
+  reset() {
+    if (!this._active) return;
+    this.activeStickId = null;
+    this.nub.style.transform = 'translate(0px, 0px)';
+  }
+
+  /**
+   * Press player 1's keys for a run of `playerCount` players. Keys held with
+   * the old set are let go, so nothing stays stuck down when it changes.
+   * @param {number} playerCount
+   */
+  setPlayerCount(playerCount) {
+    if (playerCount === this.playerCount) return;
+    if (this.codes) {
+      for (const code of Object.values(this.codes)) this.input.keys.delete(code);
+    }
+    this.playerCount = playerCount;
+    const controls = getPlayerControls(0, playerCount);
+    this.codes = {
+      left: controls.left[0],
+      right: controls.right[0],
+      thrust: controls.thrust[0],
+      fire: controls.fire[0],
+      hyperspace: controls.hyperspace[0]
+    };
   }
 
   rect(el) { return el.getBoundingClientRect(); }
@@ -119,10 +176,11 @@ export class VirtualControls {
     const mag = Math.min(1, Math.hypot(nx, ny)); // 0..1
 
     // ---- Thrust: always on while deflected beyond threshold ----
+    const { left, right, thrust } = this.codes;
     if (mag > this.thrustThreshold) {
-      this.input.keys.add('ArrowUp');
+      this.input.keys.add(thrust);
     } else {
-      this.input.keys.delete('ArrowUp');
+      this.input.keys.delete(thrust);
     }
 
     // ---- Steering: turn toward the stick's absolute angle ----
@@ -141,20 +199,20 @@ export class VirtualControls {
 
       // Decide which key to press based on sign of difference
       if (d > this.turnDeadzoneRad) {
-        this.input.keys.add('ArrowRight');
-        this.input.keys.delete('ArrowLeft');
+        this.input.keys.add(right);
+        this.input.keys.delete(left);
       } else if (d < -this.turnDeadzoneRad) {
-        this.input.keys.add('ArrowLeft');
-        this.input.keys.delete('ArrowRight');
+        this.input.keys.add(left);
+        this.input.keys.delete(right);
       } else {
         // Close enough: stop turning
-        this.input.keys.delete('ArrowLeft');
-        this.input.keys.delete('ArrowRight');
+        this.input.keys.delete(left);
+        this.input.keys.delete(right);
       }
     } else {
       // Not enough deflection or no ship angle provider -> no steering
-      this.input.keys.delete('ArrowLeft');
-      this.input.keys.delete('ArrowRight');
+      this.input.keys.delete(left);
+      this.input.keys.delete(right);
     }
   }
 
@@ -165,9 +223,9 @@ export class VirtualControls {
 
     // Reset nub + clear keys
     this.nub.style.transform = 'translate(0px, 0px)';
-    this.input.keys.delete('ArrowLeft');
-    this.input.keys.delete('ArrowRight');
-    this.input.keys.delete('ArrowUp');
+    this.input.keys.delete(this.codes.left);
+    this.input.keys.delete(this.codes.right);
+    this.input.keys.delete(this.codes.thrust);
 
     this.stick.releasePointerCapture?.(e.pointerId);
   }
@@ -176,16 +234,29 @@ export class VirtualControls {
   onFireDown(e) {
     this.onUserGesture?.(e);
     // Trigger an immediate shot if not already held
-    if (!this.input.keys.has('Space')) {
-      this.input.justPressed.add('Space'); // one-frame edge
+    const { fire } = this.codes;
+    if (!this.input.keys.has(fire)) {
+      this.input.justPressed.add(fire); // one-frame edge
     }
-    this.input.keys.add('Space');          // hold for auto-fire (cooldown gates rate)
+    this.input.keys.add(fire);          // hold for auto-fire (cooldown gates rate)
     this.fireBtn.setPointerCapture?.(e.pointerId);
   }
 
   onFireUp(e) {
     this.onUserGesture?.(e);
-    this.input.keys.delete('Space');
+    this.input.keys.delete(this.codes.fire);
     this.fireBtn.releasePointerCapture?.(e.pointerId);
   }
+
+  /* ---------------------------- Hyperspace ---------------------------- */
+  onHyperspaceDown(e) {
+    this.onUserGesture?.(e);
+    this.input.justPressed.add(this.codes.hyperspace); // one-frame edge; a jump is never held
+  }
+
+  /* ------------------------------ Pause ------------------------------- */
+  onPauseDown(e) {
+    this.onUserGesture?.(e);
+    this.onPauseToggle?.();
+  }
 }
@@ -0,0 +1,54 @@
+/* ========================= src/utils/dailyChallenge.js ========================= */
+/**
+ * Daily challenge helpers.
+ *
+ * Every local calendar day has one challenge, identified by its date key
+ * (YYYY-MM-DD). The run seed is the date key hashed with
+ * CONFIG.DAILY_CHALLENGE.SEED_PREFIX, so every player gets the same asteroid
+ * layouts, power-up rolls and UFO spawns that day.
+ */
+import { CONFIG } from '../config.js';
+import { normalizeSeed } from './rng.js';
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * Date key of the local calendar day containing `date`.
+ * @param {Date} [date]
+ * @returns {string} YYYY-MM-DD
+ */
+export function getDailyKey(date = new Date()) {
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+/**
+ * Run seed of a daily challenge.
+ * @param {string} key - date key (YYYY-MM-DD)
+ * @returns {number} uint32 seed
+ */
+export function getDailySeed(key) {
+  const prefix = CONFIG.DAILY_CHALLENGE?.SEED_PREFIX ?? 'rockbuster-daily';
+  return normalizeSeed(`${prefix}-${key}`);
+}
+
+/**
+ * Milliseconds until the next local midnight (the next challenge).
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export function msUntilNextDaily(now = new Date()) {
+  const next = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  return Math.max(0, next.getTime() - now.getTime());
+}
+
+/**
+ * Format a duration as HH:MM:SS.
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatCountdown(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return `${pad2(hours)}:${pad2(minutes)}:${pad2(total % 60)}`;
+}
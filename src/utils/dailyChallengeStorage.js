@@ -0,0 +1,83 @@
+/* ========================= src/utils/dailyChallengeStorage.js ========================= */
+/**
+ * Daily challenge results backed by IndexedDB with a localStorage fallback.
+ *
+ * All days live in one record keyed by date (YYYY-MM-DD):
+ *   { '2024-05-01': { score, wave, finished, updatedAt }, ... }
+ * A day has an entry as soon as its (single) scored attempt starts; the entry
+ * is updated while the run is saved and when it ends (`finished: true`).
+ */
+import {
+  openProgressDatabase,
+  readProgress,
+  writeProgress
+} from './progressStore.js';
+
+const DAILY_RESULTS_KEY = 'dailyChallenges';
+// A unique key for localStorage so that different builds don't collide.
+const FALLBACK_STORAGE_KEY = 'asteroids-lite/daily-challenges';
+
+// Retrieves the results from the localStorage fallback.
+function readFallback() {
+  try {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return null;
+    }
+    const value = window.localStorage.getItem(FALLBACK_STORAGE_KEY);
+    return value == null ? null : JSON.parse(value);
+  } catch (err) {
+    console.warn('Failed to read daily challenges from localStorage:', err);
+    return null;
+  }
+}
+
+// Mirrors the results into localStorage.
+function writeFallback(results) {
+  try {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return false;
+    }
+    window.localStorage.setItem(FALLBACK_STORAGE_KEY, JSON.stringify(results));
+    return true;
+  } catch (err) {
+    console.warn('Failed to write daily challenges to localStorage:', err);
+    return false;
+  }
+}
+
+/**
+ * Retrieve every recorded daily challenge. Resolves with `{}` if nothing has been saved.
+ * Days found in both stores keep the entry updated last.
+ * @returns {Promise<Object<string, { score: number, wave: number, finished: boolean, updatedAt: number }>>}
+ */
+export async function loadDailyResults() {
+  const fallback = readFallback() ?? {};
+
+  const db = await openProgressDatabase();
+  const stored = (db ? await readProgress(db, DAILY_RESULTS_KEY) : null) ?? {};
+
+  const merged = { ...fallback };
+  for (const [key, entry] of Object.entries(stored)) {
+    if (!merged[key] || (entry?.updatedAt ?? 0) >= (merged[key].updatedAt ?? 0)) {
+      merged[key] = entry;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Persist the full results object (loadDailyResults() shape).
+ */
+export async function saveDailyResults(results) {
+  if (!results || typeof results !== 'object') {
+    return false;
+  }
+
+  writeFallback(results);
+
+  const db = await openProgressDatabase();
+  if (db) {
+    await writeProgress(db, DAILY_RESULTS_KEY, results);
+  }
+  return true;
+}
@@ -0,0 +1,110 @@
+/* ========================= src/utils/ghostStorage.js ========================= */
+/**
+ * Ghost persistence (see replay/ghostFormat.js) backed by IndexedDB, next to
+ * the high scores.
+ *
+ * One ghost is kept per seed, game mode and difficulty: the best finished solo
+ * run. Ghosts are too large for localStorage (a few hundred KB for a long
+ * run), so there is no fallback; without IndexedDB the ghost is simply absent.
+ * An index record lists the stored ghosts so only the `CONFIG.GHOST.MAX_STORED`
+ * most recently improved ones are kept.
+ *
+ * Whether the ghost is drawn is a display setting stored in localStorage.
+ */
+import { CONFIG } from '../config.js';
+import {
+  openProgressDatabase,
+  readProgress,
+  writeProgress,
+  deleteProgress
+} from './progressStore.js';
+import { isGhost } from '../replay/ghostFormat.js';
+
+const GHOST_KEY = 'ghost';
+const GHOST_INDEX_KEY = 'ghostIndex';
+// A unique key for localStorage so that different builds don't collide.
+const ENABLED_STORAGE_KEY = 'asteroids-lite/ghost-enabled';
+
+// IndexedDB key of the ghost for one seed / game mode / difficulty.
+function ghostKey(seed, gameMode, difficulty) {
+  return `${GHOST_KEY}:${gameMode}:${difficulty}:${seed}`;
+}
+
+/**
+ * Retrieve the stored ghost. Resolves with `null` if there is none.
+ * @param {number} seed
+ * @param {string} gameMode
+ * @param {string} difficulty
+ */
+export async function loadGhost(seed, gameMode, difficulty) {
+  const db = await openProgressDatabase();
+  if (!db) return null;
+  const ghost = await readProgress(db, ghostKey(seed, gameMode, difficulty));
+  return isGhost(ghost) ? ghost : null;
+}
+
+/**
+ * Store a ghost unless a higher-scoring one already exists for its seed, game
+ * mode and difficulty. Resolves with true when the ghost was written.
+ * @param {Object} ghost - GhostRecorder.finish() output
+ */
+export async function saveGhost(ghost) {
+  if (!isGhost(ghost)) return false;
+
+  const db = await openProgressDatabase();
+  if (!db) return false;
+
+  const key = ghostKey(ghost.seed, ghost.gameMode, ghost.difficulty);
+  const stored = await readProgress(db, key);
+  if (isGhost(stored) && stored.score >= ghost.score) {
+    return false;
+  }
+
+  const written = await writeProgress(db, key, ghost);
+  if (!written) return false;
+
+  // Newest first; ghosts beyond the limit are dropped.
+  const index = await readProgress(db, GHOST_INDEX_KEY);
+  const keys = [key, ...(Array.isArray(index) ? index : []).filter((entry) => entry !== key)];
+  const maxStored = Math.max(1, CONFIG.GHOST?.MAX_STORED ?? 20);
+  for (const stale of keys.slice(maxStored)) {
+    await deleteProgress(db, stale);
+  }
+  await writeProgress(db, GHOST_INDEX_KEY, keys.slice(0, maxStored));
+  return true;
+}
+
+/**
+ * Whether the ghost is drawn (the player's setting, or CONFIG.GHOST.ENABLED).
+ * @returns {boolean}
+ */
+export function loadGhostEnabled() {
+  const fallback = CONFIG.GHOST?.ENABLED ?? true;
+  try {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return fallback;
+    }
+    const value = window.localStorage.getItem(ENABLED_STORAGE_KEY);
+    return value == null ? fallback : value === 'true';
+  } catch (err) {
+    console.warn('Failed to read ghost setting from localStorage:', err);
+    return fallback;
+  }
+}
+
+/**
+ * Remember whether the ghost is drawn.
+ * @param {boolean} enabled
+ */
+export function saveGhostEnabled(enabled) {
+  try {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return false;
+    }
+    window.localStorage.setItem(ENABLED_STORAGE_KEY, String(!!enabled));
+    return true;
+  } catch (err) {
+    console.warn('Failed to write ghost setting to localStorage:', err);
+    return false;
+  }
+}
@@ -6,119 +6,46 @@
  * keep the player's best run indefinitely. If IndexedDB is unavailable (older
  * browsers, privacy modes), we fall back to localStorage so the player still
  * retains progress during the current browsing profile.
+ *
+ * Every game mode / difficulty pair keeps its own best score. Classic on Normal
+ * uses the original keys so existing high scores carry over; other pairs append
+ * their ids (the difficulty only when it is not Normal). Co-op team scores are
+ * kept apart from solo ones under an extra `coop` part.
  */
-// Database configuration used when storing scores in IndexedDB.
-const DB_NAME = 'asteroids-lite';
-const DB_VERSION = 1;
-const STORE_NAME = 'progress';
+import {
+  openProgressDatabase,
+  readProgress,
+  writeProgress,
+  resetProgressDatabaseCache
+} from './progressStore.js';
+
 const HIGH_SCORE_KEY = 'highScore';
 // A unique key for localStorage so that different builds don't collide.
 const FALLBACK_STORAGE_KEY = 'asteroids-lite/high-score';
-
-// Lazily-initialized promise for the IndexedDB connection so we only open it once.
-let dbPromise = null;
-
-// Detects whether the current environment exposes IndexedDB without throwing.
-function hasIndexedDB() {
-  try {
-    return typeof window !== 'undefined' && !!window.indexedDB;
-  } catch (err) {
-    return false;
+const LEGACY_GAME_MODE = 'classic';
+const LEGACY_DIFFICULTY = 'normal';
+
+// Storage keys for one game mode / difficulty / player count high score.
+function keysFor(gameMode, difficulty, playerCount) {
+  const coop = playerCount > 1;
+  if (gameMode === LEGACY_GAME_MODE && difficulty === LEGACY_DIFFICULTY && !coop) {
+    return { record: HIGH_SCORE_KEY, fallback: FALLBACK_STORAGE_KEY };
   }
-}
-
-// Opens the IndexedDB database (creating it if necessary) and memoizes the promise.
-function openDatabase() {
-  if (!hasIndexedDB()) {
-    return Promise.resolve(null);
-  }
-
-  if (!dbPromise) {
-    dbPromise = new Promise((resolve, reject) => {
-      try {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-        request.onupgradeneeded = () => {
-          const db = request.result;
-          if (!db.objectStoreNames.contains(STORE_NAME)) {
-            db.createObjectStore(STORE_NAME);
-          }
-        };
-
-        request.onsuccess = () => {
-          resolve(request.result);
-        };
-
-        request.onerror = () => {
-          reject(request.error || new Error('Failed to open high score database'));
-        };
-
-        request.onblocked = () => {
-          console.warn('High score database upgrade is blocked by an open connection.');
-        };
-      } catch (err) {
-        reject(err);
-      }
-    }).catch((err) => {
-      console.warn('Unable to open IndexedDB for high score persistence:', err);
-      return null;
-    });
-  }
-
-  return dbPromise;
-}
-
-// Reads the high score record from the IndexedDB object store.
-function readFromStore(db) {
-  return new Promise((resolve) => {
-    try {
-      const tx = db.transaction(STORE_NAME, 'readonly');
-      const store = tx.objectStore(STORE_NAME);
-      const request = store.get(HIGH_SCORE_KEY);
-
-      request.onsuccess = () => {
-        resolve(request.result ?? null);
-      };
-
-      request.onerror = () => {
-        console.warn('Failed to read high score from IndexedDB:', request.error);
-        resolve(null);
-      };
-    } catch (err) {
-      console.warn('High score read transaction failed:', err);
-      resolve(null);
-    }
-  });
-}
-
-// Writes the current high score into the IndexedDB object store.
-function writeToStore(db, score) {
-  return new Promise((resolve) => {
-    try {
-      const tx = db.transaction(STORE_NAME, 'readwrite');
-      const store = tx.objectStore(STORE_NAME);
-      const value = { value: score, updatedAt: Date.now() };
-      const request = store.put(value, HIGH_SCORE_KEY);
-
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => {
-        console.warn('Failed to persist high score to IndexedDB:', request.error);
-        resolve(false);
-      };
-    } catch (err) {
-      console.warn('High score write transaction failed:', err);
-      resolve(false);
-    }
-  });
+  const parts = difficulty === LEGACY_DIFFICULTY ? [gameMode] : [gameMode, difficulty];
+  if (coop) parts.push('coop');
+  return {
+    record: `${HIGH_SCORE_KEY}:${parts.join(':')}`,
+    fallback: `${FALLBACK_STORAGE_KEY}/${parts.join('/')}`
+  };
 }
 
 // Retrieves a high score from the localStorage fallback.
-function readFallback() {
+function readFallback(key) {
   try {
     if (typeof window === 'undefined' || !window.localStorage) {
       return null;
     }
-    const value = window.localStorage.getItem(FALLBACK_STORAGE_KEY);
+    const value = window.localStorage.getItem(key);
     if (value == null) return null;
     const parsed = Number(value);
     return Number.isFinite(parsed) ? parsed : null;
@@ -129,12 +56,12 @@ function readFallback() {
 }
 
 // Persists a high score using localStorage as a safety net when IndexedDB is unavailable.
-function writeFallback(score) {
+function writeFallback(key, score) {
   try {
     if (typeof window === 'undefined' || !window.localStorage) {
       return false;
     }
-    window.localStorage.setItem(FALLBACK_STORAGE_KEY, String(score));
+    window.localStorage.setItem(key, String(score));
     return true;
   } catch (err) {
     console.warn('Failed to write high score to localStorage:', err);
@@ -159,34 +86,43 @@ function normalizeStoredValue(value) {
 
 /**
  * Retrieve the stored high score. Resolves with `null` if nothing has been saved.
+ * @param {string} [gameMode='classic'] - id from CONFIG.GAME_MODES.types
+ * @param {string} [difficulty='normal'] - id from CONFIG.DIFFICULTY.presets
+ * @param {number} [playerCount=1] - ships in the run (co-op scores are kept apart)
  */
-export async function loadHighScore() {
-  const db = await openDatabase();
+export async function loadHighScore(gameMode = LEGACY_GAME_MODE, difficulty = LEGACY_DIFFICULTY, playerCount = 1) {
+  const keys = keysFor(gameMode, difficulty, playerCount);
+  const db = await openProgressDatabase();
   if (db) {
-    const value = await readFromStore(db);
+    const value = await readProgress(db, keys.record);
     const normalized = normalizeStoredValue(value);
     if (typeof normalized === 'number') {
       return normalized;
     }
   }
-  return readFallback();
+  return readFallback(keys.fallback);
 }
 
 /**
  * Persist a new high score. Resolves once both IndexedDB (if available) and the
  * fallback store have been updated.
+ * @param {number} score
+ * @param {string} [gameMode='classic']
+ * @param {string} [difficulty='normal']
+ * @param {number} [playerCount=1]
  */
-export async function saveHighScore(score) {
+export async function saveHighScore(score, gameMode = LEGACY_GAME_MODE, difficulty = LEGACY_DIFFICULTY, playerCount = 1) {
   if (typeof score !== 'number' || !Number.isFinite(score)) {
     return false;
   }
 
-  const db = await openDatabase();
+  const keys = keysFor(gameMode, difficulty, playerCount);
+  const db = await openProgressDatabase();
   if (db) {
-    await writeToStore(db, score);
+    await writeProgress(db, keys.record, { value: score, updatedAt: Date.now() });
   }
 
-  writeFallback(score);
+  writeFallback(keys.fallback, score);
   return true;
 }
 
@@ -195,5 +131,5 @@ export async function saveHighScore(score) {
  * but exported for completeness.
  */
 export function _resetHighScoreDatabaseCache() {
-  dbPromise = null;
+  resetProgressDatabaseCache();
 }
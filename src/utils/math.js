@@ -2,7 +2,14 @@
 export const TAU = Math.PI * 2;
 export const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
 export const wrap = (v, max) => (v < 0 ? v + max : v >= max ? v - max : v);
-export const randRange = (a, b) => a + Math.random() * (b - a);
-export const randSign = () => (Math.random() < 0.5 ? -1 : 1);
+// Shortest offset along a wrapping axis (the field is a torus).
+export const wrapDelta = (d, max) => (d > max / 2 ? d - max : d < -max / 2 ? d + max : d);
 export const len2 = (x, y) => Math.hypot(x, y);
-export const angleToVec = a => ({ x: Math.cos(a), y: Math.sin(a) });
\ No newline at end of file
+export const angleToVec = a => ({ x: Math.cos(a), y: Math.sin(a) });
+// Interpolate along the shorter arc so 359° → 1° does not spin the long way round.
+export const lerpAngle = (a, b, t) => a + (Math.atan2(Math.sin(b - a), Math.cos(b - a))) * t;
+// Rotate `angle` toward `target` by at most `maxStep` radians, along the shorter arc.
+export const turnToward = (angle, target, maxStep) => {
+  const diff = Math.atan2(Math.sin(target - angle), Math.cos(target - angle));
+  return angle + Math.max(-maxStep, Math.min(maxStep, diff));
+};
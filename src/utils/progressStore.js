@@ -0,0 +1,136 @@
+/* ========================= src/utils/progressStore.js ========================= */
+/**
+ * Shared IndexedDB key-value store for player progress.
+ *
+ * High scores, saved runs, daily results and ghosts live side by side in one
+ * object store, each under its own key. Every helper resolves (never rejects): storage failures are
+ * logged and reported as `null` / `false` so gameplay never breaks because a
+ * browser refused to persist something.
+ */
+// Database configuration used when storing progress in IndexedDB.
+const DB_NAME = 'asteroids-lite';
+const DB_VERSION = 1;
+const STORE_NAME = 'progress';
+
+// Lazily-initialized promise for the IndexedDB connection so we only open it once.
+let dbPromise = null;
+
+// Detects whether the current environment exposes IndexedDB without throwing.
+export function hasIndexedDB() {
+  try {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Opens the IndexedDB database (creating it if necessary) and memoizes the promise.
+export function openProgressDatabase() {
+  if (!hasIndexedDB()) {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      try {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME);
+          }
+        };
+
+        request.onsuccess = () => {
+          resolve(request.result);
+        };
+
+        request.onerror = () => {
+          reject(request.error || new Error('Failed to open progress database'));
+        };
+
+        request.onblocked = () => {
+          console.warn('Progress database upgrade is blocked by an open connection.');
+        };
+      } catch (err) {
+        reject(err);
+      }
+    }).catch((err) => {
+      console.warn('Unable to open IndexedDB for progress persistence:', err);
+      return null;
+    });
+  }
+
+  return dbPromise;
+}
+
+// Reads the record stored under `key`.
+export function readProgress(db, key) {
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const store = tx.objectStore(STORE_NAME);
+      const request = store.get(key);
+
+      request.onsuccess = () => {
+        resolve(request.result ?? null);
+      };
+
+      request.onerror = () => {
+        console.warn(`Failed to read "${key}" from IndexedDB:`, request.error);
+        resolve(null);
+      };
+    } catch (err) {
+      console.warn(`Read transaction for "${key}" failed:`, err);
+      resolve(null);
+    }
+  });
+}
+
+// Writes `value` under `key`, replacing any previous record.
+export function writeProgress(db, key, value) {
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      const store = tx.objectStore(STORE_NAME);
+      const request = store.put(value, key);
+
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => {
+        console.warn(`Failed to persist "${key}" to IndexedDB:`, request.error);
+        resolve(false);
+      };
+    } catch (err) {
+      console.warn(`Write transaction for "${key}" failed:`, err);
+      resolve(false);
+    }
+  });
+}
+
+// Removes the record stored under `key` (no-op when missing).
+export function deleteProgress(db, key) {
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      const store = tx.objectStore(STORE_NAME);
+      const request = store.delete(key);
+
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => {
+        console.warn(`Failed to delete "${key}" from IndexedDB:`, request.error);
+        resolve(false);
+      };
+    } catch (err) {
+      console.warn(`Delete transaction for "${key}" failed:`, err);
+      resolve(false);
+    }
+  });
+}
+
+/**
+ * Clear cached IndexedDB promise (useful in tests).
+ */
+export function resetProgressDatabaseCache() {
+  dbPromise = null;
+}
@@ -0,0 +1,133 @@
+/* ========================= src/utils/rng.js ========================= */
+/**
+ * Seedable pseudo-random number generator used for ALL gameplay randomness.
+ *
+ * Runs are reproducible: the same seed always produces the same asteroid
+ * layouts, power-up rolls and UFO spawns. Gameplay code must never call
+ * `Math.random()` directly; it receives an `Rng` (usually `state.rng`) instead.
+ *
+ * The core is mulberry32 — tiny, fast, and plenty random for an arcade game.
+ */
+
+// Upper bound (exclusive) for 32-bit unsigned seeds.
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * Produce a fresh, non-deterministic seed for a new run.
+ * Prefers `crypto.getRandomValues` and falls back to Math.random.
+ * @returns {number} unsigned 32-bit integer
+ */
+export function generateSeed() {
+  try {
+    if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+      return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+  } catch (err) {
+    // Fall through to Math.random below.
+  }
+  return Math.floor(Math.random() * UINT32_RANGE) >>> 0;
+}
+
+/**
+ * Coerce any user-facing seed into an unsigned 32-bit integer.
+ * - Numbers are truncated to uint32.
+ * - Hex strings (as shown by `formatSeed`) are parsed back to the same number.
+ * - Any other string is hashed (FNV-1a) so "my-seed" style seeds also work.
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.trunc(seed) >>> 0;
+  }
+
+  if (typeof seed === 'string') {
+    const text = seed.trim();
+    if (/^[0-9a-f]{1,8}$/i.test(text)) {
+      return parseInt(text, 16) >>> 0;
+    }
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  return generateSeed();
+}
+
+/**
+ * Format a seed for display/sharing (8 upper-case hex digits).
+ * @param {number} seed
+ * @returns {string}
+ */
+export function formatSeed(seed) {
+  return (normalizeSeed(seed) >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+export class Rng {
+  /**
+   * @param {number|string} [seed] - omitted → a random seed is generated
+   */
+  constructor(seed) {
+    this.seed = seed === undefined || seed === null ? generateSeed() : normalizeSeed(seed);
+    this._state = this.seed;
+  }
+
+  /** @returns {number} current generator position (saved with a run) */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Jump to a position captured by getState() so a restored run keeps
+   * rolling exactly the numbers it would have rolled.
+   * @param {number} state
+   */
+  setState(state) {
+    this._state = state >>> 0;
+  }
+
+  /** @returns {number} float in [0, 1) */
+  next() {
+    this._state = (this._state + 0x6d2b79f5) >>> 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+  }
+
+  /** @returns {number} float in [min, max) */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /** @returns {number} integer in [0, maxExclusive) */
+  int(maxExclusive) {
+    return Math.floor(this.next() * maxExclusive);
+  }
+
+  /** @returns {-1|1} */
+  sign() {
+    return this.next() < 0.5 ? -1 : 1;
+  }
+
+  /** @returns {boolean} true with probability p (clamped to 0..1) */
+  chance(p) {
+    return this.next() < Math.max(0, Math.min(1, p));
+  }
+
+  /** @returns {*} a random element of list, or null when empty */
+  pick(list) {
+    if (!list || list.length === 0) return null;
+    return list[this.int(list.length)];
+  }
+}
+
+/**
+ * Shared unseeded generator for code paths that were not handed an Rng
+ * (e.g. entities created outside a run). Gameplay should always pass state.rng.
+ */
+export const fallbackRng = new Rng();
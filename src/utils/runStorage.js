@@ -0,0 +1,102 @@
+/* ========================= src/utils/runStorage.js ========================= */
+/**
+ * Saved-run persistence (the "Continue Run" slot) backed by IndexedDB with a
+ * localStorage fallback.
+ *
+ * Only one run is kept. Every save goes to both stores: IndexedDB writes are
+ * asynchronous and may not finish when the tab is closing (`pagehide`), while
+ * the localStorage copy is written synchronously. On load the newer of the two
+ * copies wins (compared by `savedAt`).
+ */
+import {
+  openProgressDatabase,
+  readProgress,
+  writeProgress,
+  deleteProgress
+} from './progressStore.js';
+
+const SAVED_RUN_KEY = 'savedRun';
+// A unique key for localStorage so that different builds don't collide.
+const FALLBACK_STORAGE_KEY = 'asteroids-lite/saved-run';
+
+// Retrieves the saved run from the localStorage fallback.
+function readFallback() {
+  try {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return null;
+    }
+    const value = window.localStorage.getItem(FALLBACK_STORAGE_KEY);
+    return value == null ? null : JSON.parse(value);
+  } catch (err) {
+    console.warn('Failed to read saved run from localStorage:', err);
+    return null;
+  }
+}
+
+// Mirrors the saved run into localStorage (synchronous, survives tab close).
+function writeFallback(snapshot) {
+  try {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return false;
+    }
+    if (snapshot == null) {
+      window.localStorage.removeItem(FALLBACK_STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(FALLBACK_STORAGE_KEY, JSON.stringify(snapshot));
+    }
+    return true;
+  } catch (err) {
+    console.warn('Failed to write saved run to localStorage:', err);
+    return false;
+  }
+}
+
+function savedAtOf(snapshot) {
+  return typeof snapshot?.savedAt === 'number' ? snapshot.savedAt : -Infinity;
+}
+
+/**
+ * Retrieve the saved run snapshot. Resolves with `null` if nothing has been saved.
+ * The snapshot is returned as stored; validate it with deserializeRun().
+ */
+export async function loadSavedRun() {
+  const fallback = readFallback();
+
+  const db = await openProgressDatabase();
+  const stored = db ? await readProgress(db, SAVED_RUN_KEY) : null;
+
+  if (stored && savedAtOf(stored) >= savedAtOf(fallback)) {
+    return stored;
+  }
+  return fallback ?? null;
+}
+
+/**
+ * Persist a run snapshot (see save/runSnapshot.js serializeRun()).
+ */
+export async function saveRun(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object') {
+    return false;
+  }
+
+  writeFallback(snapshot);
+
+  const db = await openProgressDatabase();
+  if (db) {
+    await writeProgress(db, SAVED_RUN_KEY, snapshot);
+  }
+  return true;
+}
+
+/**
+ * Forget the saved run (it ended, or could not be restored).
+ */
+export async function clearSavedRun() {
+  writeFallback(null);
+
+  const db = await openProgressDatabase();
+  if (db) {
+    await deleteProgress(db, SAVED_RUN_KEY);
+  }
+  return true;
+}